@@ -1,5 +1,16 @@
-import { idbResponse } from '../modules/indexedDbUtilities.js';
-import { dbConnect, sendContentScriptMessage } from '../modules/core.js';
+import {
+  sendContentScriptMessage, SNAPSHOT_BATCH_SIZE
+} from '../modules/core.js';
+import { compress } from '../modules/compression.js';
+import { servePort } from '../modules/ports.js';
+import { getSettings, originPattern } from '../modules/settings.js';
+import {
+  completeSnapshot, createSnapshot, dedupeSnapshots, deleteSnapshot,
+  getSnapshot, getSnapshotBatch, getSnapshotMetadata, lockSnapshot,
+  pruneAutoSnapshots, snapshotWriter, unlockSnapshot
+} from '../modules/snapshots.js';
+import { snapshotFileName, snapshotToFile } from '../modules/snapshotFile.js';
+import { applyTransform } from '../modules/transform.js';
 
 browser.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (!msg?.target || msg.target !== "background") {
@@ -7,9 +18,6 @@ browser.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   }
 
   switch (msg.command) {
-    case "snapshot-data":
-      return snapshotData(msg);
-      break;
     case "start-processing-notif":
       return startProcessing(msg);
       break;
@@ -17,26 +25,47 @@ browser.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       return endProcessing(msg);
       break;
     case "kickoff-snapshot-restore":
-      console.log("kickoff-snapshot-restore", msg);
-      return kickoffSnapshotRestore(msg.snapshotKey);
+      // Not the whole message, which may hold a passphrase.
+      console.log("kickoff-snapshot-restore", msg.snapshotKey);
+      return kickoffSnapshotRestore(msg);
       break;
     case "snapshot-delete":
-      console.log("snapshot-delete", msg);
+      console.log("snapshot-delete", msg.snapshotKey);
       return snapshotDelete(msg);
       break;
+    case "snapshot-export":
+      console.log("snapshot-export", msg.snapshotKey);
+      return snapshotExport(msg);
+      break;
+    case "snapshot-passphrase":
+      return setSnapshotPassphrase(msg);
+      break;
+    case "tab-relay":
+      return tabRelay(msg, sender);
+      break;
     default:
       console.log(`Unknown message: ${msg.command}`);
       break;
   }
 });
 
+/* Snapshots and restores stream their records over a port, see
+   modules/ports.js
+ */
+browser.runtime.onConnect.addListener((port) => {
+  switch (port.name) {
+    case "snapshot-stream":
+      return snapshotStream(port);
+    case "restore-stream":
+      return restoreStream(port);
+    default:
+      console.log(`Unknown port: ${port.name}`);
+      break;
+  }
+});
+
 async function snapshotDelete(msg) {
-  const dbCon = await dbConnect();
-  const tx = dbCon.transaction('snapshots', 'readwrite');
-  const store = tx.objectStore('snapshots');
-  const response = idbResponse(
-    store.delete(msg.snapshotKey), req => req.result
-  );
+  const response = deleteSnapshot(msg.snapshotKey);
   browser.runtime.sendMessage({
     target: "popup",
     command: "refresh-snapshot-display",
@@ -44,15 +73,178 @@ async function snapshotDelete(msg) {
   return response;
 }
 
-/* Fetch the full snapshot from extension owned indexeddb and send it
-   to the content script to perform the actual restore logic.
+/* The content scripts the devtools panel installs in the inspected
+   tab's frames (see popup/frames.js), and the pages it opens. */
+const RELAY_SCRIPTS = [
+  "/content_scripts/install_message_handlers.js",
+  "/content_scripts/read_dbs.js",
+];
+const RELAY_PAGES = ["/import/import.html", "/manager/manager.html"];
+
+/* Make a tabs, webNavigation or permissions call for the devtools
+   panel, which can't make them itself (see `tabApi` in core.js).
+   `msg.method` names the call and `msg.args` are its arguments.
+
+   Only the panel can ask, and only for the calls it makes: installing
+   the extension's own content scripts, messaging them, listing the
+   tab's frames, opening the extension's pages and checking origin
+   permissions. Arguments are copied over field by field, so nothing
+   else (e.g. a script's `code`) gets through.
+ */
+async function tabRelay(msg, sender) {
+  const [senderPage] = (sender.url ?? "").split(/[?#]/);
+  if (senderPage !== browser.runtime.getURL("popup/menu.html")) {
+    throw new Error("Only the devtools panel can relay tab calls");
+  }
+
+  function integerId(value) {
+    if (!Number.isInteger(value)) {
+      throw new Error(`Not a tab or frame id: ${value}`);
+    }
+    return value;
+  }
+
+  const { method, args } = msg;
+  switch (method) {
+    case "tabs.executeScript": {
+      const [id, { file, frameId, matchAboutBlank }] = args;
+      if (!RELAY_SCRIPTS.includes(file)) {
+        throw new Error(`Can't relay running ${file}`);
+      }
+      return browser.tabs.executeScript(integerId(id), {
+        file,
+        frameId: integerId(frameId),
+        matchAboutBlank: !!matchAboutBlank,
+      });
+    }
+    case "tabs.sendMessage": {
+      const [id, message, { frameId }] = args;
+      return browser.tabs.sendMessage(
+        integerId(id), message, { frameId: integerId(frameId) }
+      );
+    }
+    case "tabs.create": {
+      const url = new URL(args[0].url, browser.runtime.getURL(""));
+      if (url.origin !== new URL(browser.runtime.getURL("")).origin ||
+          !RELAY_PAGES.includes(url.pathname)) {
+        throw new Error(`Can't relay opening ${url}`);
+      }
+      return browser.tabs.create({ url: url.href });
+    }
+    case "webNavigation.getAllFrames":
+      return browser.webNavigation.getAllFrames({
+        tabId: integerId(args[0].tabId)
+      });
+    case "permissions.contains": {
+      const { origins } = args[0];
+      if (!Array.isArray(origins) ||
+          !origins.every(origin => typeof origin === "string")) {
+        throw new Error("Can only relay checking origin permissions");
+      }
+      return browser.permissions.contains({ origins });
+    }
+    default:
+      throw new Error(`Can't relay ${method}`);
+  }
+}
+
+/* Passphrases for snapshots about to be taken, by the id the content
+   script passes along in the snapshot's "begin" request. The popup
+   sends them here directly so they never reach the page's tab.
  */
-async function kickoffSnapshotRestore(keyId) {
-  const dbCon = await dbConnect();
-  const tx = dbCon.transaction('snapshots', 'readonly');
-  const store = tx.objectStore('snapshots');
-  const snapshot = await idbResponse(store.get(keyId), req => req.result);
-  return sendContentScriptMessage({command: "restore-snapshot", snapshot });
+const pendingPassphrases = new Map();
+
+async function setSnapshotPassphrase(msg) {
+  pendingPassphrases.set(msg.id, msg.passphrase);
+}
+
+/* Fetch the snapshot's metadata from extension owned indexeddb and
+   send it to the content script to perform the actual restore logic.
+   The content script then requests the records over a
+   "restore-stream" port.
+
+   `msg.mode` is one of "merge", "replace" or "as", with
+   `msg.targetDbName` naming the database to restore into for "as".
+   `msg.stores` (optional) restores only those of the snapshot's
+   stores. `msg.tabId` is the tab to restore into, the popup's tab
+   (which isn't always the active one, see `targetTabId` in core.js),
+   and `msg.frameId` (optional) one of its frames rather than the page
+   itself. `msg.passphrase` unlocks an encrypted snapshot until the
+   content script has finished restoring it.
+ */
+async function kickoffSnapshotRestore(msg) {
+  const {
+    snapshotKey, mode, targetDbName, stores, transform, frameId, tabId
+  } = msg;
+  if (msg.passphrase) {
+    await unlockSnapshot(snapshotKey, msg.passphrase);
+  }
+  const snapshot = await getSnapshotMetadata(snapshotKey);
+  try {
+    return await sendContentScriptMessage({
+      command: "restore-snapshot", snapshot, mode, targetDbName, stores,
+      transform
+    }, frameId, tabId);
+  } finally {
+    lockSnapshot(snapshotKey);
+  }
+}
+
+/* Download a snapshot as a snapshot file (see
+   modules/snapshotFile.js).
+
+   This runs in the background rather than the popup since the popup
+   closes as soon as the save dialog takes focus.
+
+   Encrypted snapshots are exported encrypted with the same
+   `msg.passphrase`. Their records are compressed before they're
+   encrypted rather than compressing the whole file, which gains
+   next to nothing once they're encrypted.
+ */
+async function snapshotExport(msg) {
+  const { passphrase } = msg;
+  let snapshot;
+  try {
+    if (passphrase) {
+      await unlockSnapshot(msg.snapshotKey, passphrase);
+    }
+    snapshot = await getSnapshot(msg.snapshotKey);
+  } finally {
+    lockSnapshot(msg.snapshotKey);
+  }
+  const { compressExports } = await getSettings();
+  const encrypted = !!snapshot.encryption;
+  const text = await snapshotToFile(
+    snapshot, encrypted ? passphrase : undefined, compressExports
+  );
+  const gzipped = compressExports && !encrypted;
+  const blob = gzipped
+    ? new Blob([await compress(text)], {type: "application/gzip"})
+    : new Blob([text], {type: "application/json"});
+  const url = URL.createObjectURL(blob);
+
+  let downloadId;
+  try {
+    downloadId = await browser.downloads.download({
+      url,
+      filename: snapshotFileName(snapshot, gzipped),
+      saveAs: true,
+    });
+  } catch (error) {
+    // Most commonly the user canceling the save dialog
+    console.log(`Snapshot export not downloaded: ${error}`);
+    URL.revokeObjectURL(url);
+    return;
+  }
+
+  function revokeWhenDone(delta) {
+    const state = delta.state?.current;
+    if (delta.id === downloadId && state && state !== "in_progress") {
+      URL.revokeObjectURL(url);
+      browser.downloads.onChanged.removeListener(revokeWhenDone);
+    }
+  }
+  browser.downloads.onChanged.addListener(revokeWhenDone);
 }
 
 /* Set a local storage variable to show we're processing a request
@@ -77,26 +269,372 @@ async function endProcessing(msg) {
   browser.storage.local.set({processing: false});
 }
 
-/*
-   Save the snapshot data into the extension's indexeddb
+/* Set a local storage variable with the progress of a long running
+   snapshot or restore, e.g.
+
+   ```
+   {task: "snapshot", dbName: "example", done: 1500, total: 4000}
+   ```
+
+   Pass null once it's finished. The popup shows this in place of the
+   generic "processing" message, see `showProgress` in the popup
+   script.js.
+ */
+function setProgress(progress) {
+  return browser.storage.local.set({progress});
+}
+
+/* Store a snapshot streamed from the content script, see
+   `takeSnapshot` in install_message_handlers.js.
+
+   The content script makes these requests in order:
+
+   - {type: "begin", metadata, total, encrypt}: create the snapshot,
+     replies with its key. `encrypt` (optional) is the id of its
+     passphrase, see `setSnapshotPassphrase`.
+   - {type: "batch", storeName, seq, records}: store a batch of
+     records. They're stored in chunks shared with other snapshots,
+     see `snapshotWriter` in snapshots.js, so `seq` isn't kept.
+   - {type: "end", updates}: mark the snapshot complete, with any
+     final updates to its metadata.
+
+   If the port disconnects before "end", e.g. the tab was closed, the
+   unfinished snapshot is deleted.
+ */
+function snapshotStream(port) {
+  let snapshotKey = null;
+  let metadata = null;
+  let writer = null;
+  let completed = false;
+  let progress = null;
+
+  servePort(port, async (msg) => {
+    switch (msg.type) {
+      case "begin": {
+        const passphrase = pendingPassphrases.get(msg.encrypt);
+        pendingPassphrases.delete(msg.encrypt);
+        if (msg.encrypt && !passphrase) {
+          throw new Error("The snapshot's passphrase was lost, try again");
+        }
+        snapshotKey = await createSnapshot(msg.metadata, passphrase);
+        metadata = msg.metadata;
+        writer = snapshotWriter(snapshotKey);
+        progress = {
+          task: "snapshot",
+          dbName: msg.metadata.dbName,
+          done: 0,
+          total: msg.total,
+        };
+        setProgress(progress);
+        return snapshotKey;
+      }
+      case "batch":
+        await writer.add(msg.storeName, msg.records);
+        progress.done += msg.records.length;
+        setProgress(progress);
+        return null;
+      case "end":
+        await writer.finish();
+        lockSnapshot(snapshotKey);
+        await completeSnapshot(snapshotKey, msg.updates);
+        completed = true;
+        console.log(`Snapshot ${snapshotKey} stored`);
+        setProgress(null);
+        if (metadata.auto) {
+          await pruneAfterAutoSnapshot(metadata);
+        }
+        browser.runtime.sendMessage({
+          target: "popup",
+          command: "refresh-snapshot-display",
+        });
+        return snapshotKey;
+      default:
+        throw new Error(`Unknown snapshot-stream request: ${msg.type}`);
+    }
+  }, () => {
+    if (completed) {
+      return;
+    }
+    setProgress(null);
+    if (snapshotKey !== null) {
+      lockSnapshot(snapshotKey);
+      console.log(`Snapshot ${snapshotKey} unfinished, deleting it`);
+      deleteSnapshot(snapshotKey);
+    }
+  });
+}
+
+/* Read the records of `stores` from a snapshot and run a transform
+   over them. Resolves to `{storeName: [[primaryKey, value], ...]}`.
+ */
+async function transformSnapshot(snapshotKey, stores, transform) {
+  const records = {};
+  for (const storeName of stores) {
+    records[storeName] = [];
+    for (let seq = 0; ; seq++) {
+      const batch = await getSnapshotBatch(snapshotKey, storeName, seq);
+      if (batch === null) {
+        break;
+      }
+      records[storeName].push(...batch);
+    }
+  }
+  return applyTransform(transform, records);
+}
+
+/* Serve transformed records in batches the same size as stored ones */
+function transformedBatch(transformed, storeName, seq) {
+  const records = transformed[storeName] ?? [];
+  const start = seq * SNAPSHOT_BATCH_SIZE;
+  return start < records.length
+    ? records.slice(start, start + SNAPSHOT_BATCH_SIZE)
+    : null;
+}
+
+/* Apply the retention rules to a database's automatic snapshots,
+   after a new one is stored.
+ */
+async function pruneAfterAutoSnapshot(metadata) {
+  const { retention } = await getSettings();
+  const pruned = await pruneAutoSnapshots(
+    metadata.origin, metadata.dbName, retention
+  );
+  console.log(`Pruned ${pruned} automatic snapshots of ${metadata.dbName}`);
+}
+
+/* Periodic snapshots (see `periodic` in settings.js) are checked
+   every minute, each origin is snapshotted once its interval has
+   passed and only while one of its tabs is open.
  */
-async function snapshotData(msg) {
-  const dbCon = await dbConnect();
-  console.log(dbCon);
+const PERIODIC_ALARM = "periodic-snapshots";
 
-  const tx = dbCon.transaction('snapshots', 'readwrite');
-  tx.oncomplete = (ev) => {
-    console.log("snapshot-data transaction completed");
+browser.alarms.get(PERIODIC_ALARM).then((alarm) => {
+  if (!alarm) {
+    browser.alarms.create(PERIODIC_ALARM, {periodInMinutes: 1});
   }
-  tx.onerror = (ev) => {
-    console.log("snapshot-data transaction failed");
+});
+
+browser.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PERIODIC_ALARM) {
+    return runPeriodicSnapshots();
   }
+});
 
-  const store = tx.objectStore('snapshots');
-  await idbResponse(store.add(msg.data), req => undefined);
+/* Set while periodic snapshots are being taken, so a slow run isn't
+   overlapped by the next alarm's.
+ */
+let periodicRunning = false;
 
-  browser.runtime.sendMessage({
-    target: "popup",
-    command: "refresh-snapshot-display",
+async function runPeriodicSnapshots() {
+  if (periodicRunning) {
+    console.log("Periodic snapshots are still running, skipping this run");
+    return;
+  }
+  periodicRunning = true;
+  try {
+    await takePeriodicSnapshots();
+  } finally {
+    periodicRunning = false;
+  }
+}
+
+async function takePeriodicSnapshots() {
+  const settings = await getSettings();
+  const { periodicLastRun = {} } = await browser.storage.local.get(
+    "periodicLastRun"
+  );
+  const now = Date.now();
+
+  for (const [origin, periodic] of Object.entries(settings.periodic)) {
+    const { intervalMinutes, dbNames } = periodic;
+    if (now - (periodicLastRun[origin] ?? 0) < intervalMinutes * 60 * 1000) {
+      continue;
+    }
+    // Finding tabs by URL needs the host permission granted when the
+    // periodic snapshots were set up.
+    const tabs = await browser.tabs
+      .query({url: originPattern(origin)})
+      .catch(() => []);
+    const tab = tabs.find(tab => new URL(tab.url).origin === origin);
+    if (!tab) {
+      continue;
+    }
+
+    periodicLastRun[origin] = now;
+    try {
+      await snapshotInTab(tab.id, dbNames);
+    } catch (error) {
+      console.log(`Periodic snapshot of ${origin} failed`, error);
+    }
+  }
+  await browser.storage.local.set({periodicLastRun});
+}
+
+/* Take automatic snapshots of databases in a tab other than the one
+   the popup was opened on.
+ */
+async function snapshotInTab(tabId, dbNames) {
+  await browser.tabs.executeScript(
+    tabId, {file: "/content_scripts/install_message_handlers.js"}
+  );
+  await waitForContentScript(tabId);
+  for (const dbName of dbNames) {
+    await browser.tabs.sendMessage(
+      tabId, {command: "snapshot", dbName, auto: "scheduled"}, {frameId: 0}
+    );
+  }
+}
+
+/* The content script installs its message handlers after loading its
+   modules, so wait until it answers.
+ */
+async function waitForContentScript(tabId, tries=20) {
+  for (let i = 0; i < tries; i++) {
+    try {
+      return await browser.tabs.sendMessage(
+        tabId, {command: "get-origin"}, {frameId: 0}
+      );
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error(`No content script answering in tab ${tabId}`);
+}
+
+/* Pages of the origins in the `watchUpgrades` setting get
+   watch_upgrades.js before any of their own scripts run. The
+   registration is redone whenever the settings change. It only lasts
+   as long as this page, so it's also made every time the page starts.
+ */
+let upgradeWatch = null;
+// Registrations are made one at a time, so two can't both be kept.
+let upgradeWatchQueue = Promise.resolve();
+
+function registerUpgradeWatch() {
+  upgradeWatchQueue = upgradeWatchQueue
+    .catch(() => {})
+    .then(updateUpgradeWatch);
+  return upgradeWatchQueue;
+}
+
+async function updateUpgradeWatch() {
+  const { watchUpgrades } = await getSettings();
+  await upgradeWatch?.unregister();
+  upgradeWatch = null;
+  if (watchUpgrades.length === 0) {
+    return;
+  }
+  upgradeWatch = await browser.contentScripts.register({
+    matches: [...new Set(watchUpgrades.map(originPattern))],
+    js: [{file: "content_scripts/watch_upgrades.js"}],
+    runAt: "document_start",
+  });
+}
+
+registerUpgradeWatch().catch((error) => {
+  console.log("Couldn't register the upgrade watch", error);
+});
+
+/* Snapshots stored by older versions keep their records apart from
+   everyone else's, move them into shared chunks after an update. The
+   `dedupePending` flag stays set until that's succeeded, so it's
+   tried again the next time the browser starts if it fails or is cut
+   short. */
+async function runDedupe() {
+  try {
+    const moved = await dedupeSnapshots();
+    console.log(`Moved ${moved} snapshots into shared chunks`);
+    await browser.storage.local.set({dedupePending: false});
+  } catch (error) {
+    console.log("Moving snapshots into shared chunks failed", error);
+  }
+}
+
+browser.runtime.onInstalled.addListener(async ({ reason }) => {
+  if (reason !== "update") {
+    return;
+  }
+  await browser.storage.local.set({dedupePending: true});
+  await runDedupe();
+});
+
+browser.runtime.onStartup.addListener(async () => {
+  const { dedupePending } = await browser.storage.local.get("dedupePending");
+  if (dedupePending) {
+    await runDedupe();
+  }
+});
+browser.storage.local.onChanged.addListener((changes) => {
+  if (changes.settings) {
+    registerUpgradeWatch().catch((error) => {
+      console.log("Couldn't register the upgrade watch", error);
+    });
+  }
+});
+
+/* Send a snapshot's records to the content script a batch at a time,
+   see `restoreSnapshot` in install_message_handlers.js.
+
+   - {type: "begin", dbName, total, snapshotKey, stores, transform}:
+     start reporting progress. With a `transform` (see
+     modules/transform.js) the stores' records are transformed up
+     front, and this replies with the number of records to restore to
+     each store, which may include stores records were emitted to.
+     Replies null otherwise.
+   - {type: "batch", snapshotKey, storeName, seq}: replies with the
+     batch's records, or null after a store's last batch.
+   - {type: "end"}: the restore is done.
+ */
+function restoreStream(port) {
+  let progress = null;
+  let transformed = null;
+
+  servePort(port, async (msg) => {
+    switch (msg.type) {
+      case "begin": {
+        progress = {
+          task: "restore",
+          dbName: msg.dbName,
+          done: 0,
+          total: msg.total,
+        };
+        setProgress(progress);
+        if (!msg.transform) {
+          return null;
+        }
+
+        transformed = await transformSnapshot(
+          msg.snapshotKey, msg.stores, msg.transform
+        );
+        const counts = {};
+        for (const [storeName, records] of Object.entries(transformed)) {
+          counts[storeName] = records.length;
+        }
+        progress.total = Object.values(counts).reduce((a, b) => a + b, 0);
+        setProgress(progress);
+        return counts;
+      }
+      case "batch": {
+        const records = transformed
+          ? transformedBatch(transformed, msg.storeName, msg.seq)
+          : await getSnapshotBatch(msg.snapshotKey, msg.storeName, msg.seq);
+        if (records && progress) {
+          progress.done += records.length;
+          setProgress(progress);
+        }
+        return records;
+      }
+      case "end":
+        progress = null;
+        transformed = null;
+        setProgress(null);
+        return null;
+      default:
+        throw new Error(`Unknown restore-stream request: ${msg.type}`);
+    }
+  }, () => {
+    if (progress) {
+      setProgress(null);
+    }
   });
 }
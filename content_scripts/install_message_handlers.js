@@ -19,8 +19,25 @@
 
 (async () => {
   const {
-    idbCursorEach, idbResponse, getOriginOrOpaque
+    idbCursorEach, idbCursorPage, idbKeepOpen, idbResponse,
+    idbTransactionDone, getOriginOrOpaque, getDbSchema, keyPathValue,
+    makeKeyRange, openDbWithSchema
   } = await import(browser.runtime.getURL('modules/indexedDbUtilities.js'));
+  const {
+    SNAPSHOT_BATCH_SIZE
+  } = await import(browser.runtime.getURL('modules/core.js'));
+  const {
+    portClient
+  } = await import(browser.runtime.getURL('modules/ports.js'));
+  const {
+    AUTO_REASONS, autoLabels, getSettings
+  } = await import(browser.runtime.getURL('modules/settings.js'));
+  const {
+    redactor
+  } = await import(browser.runtime.getURL('modules/redaction.js'));
+  const {
+    compileTemplate, seededRandom, templateRefs
+  } = await import(browser.runtime.getURL('modules/seedData.js'));
 
   /* We only want to install message handlers on the window once */
   if (window.indexedDbUtilsInstallMessageHandlersHasRun) {
@@ -28,46 +45,256 @@
   }
   window.indexedDbUtilsInstallMessageHandlersHasRun = true;
 
-  /* Fetch all records from all objectStores in the database.
-
-     Send a message to the background script with this snapshot and
-     associated metadata, so it can be stored in the extension's
-     indexeddb.
+  /* The layout of the `snapshot` records.
 
+     - 1 (or missing): a list of values per store
+     - 2: a list of `[primaryKey, value]` pairs per store
    */
-  async function takeSnapshot(msg) {
-    const {dbName, dbVersion} = msg;
-    console.log(`Take Snapshot: ${dbName}, ${dbVersion}`);
+  const SNAPSHOT_FORMAT = 2;
 
-    let dbcon = await idbResponse(
+  /* Open a database to snapshot, and check the stores to include
+     exist. `onlyStores` (optional) limits the snapshot to those
+     stores.
+
+     Resolves to `{dbcon, metadata}`, where `metadata` is the snapshot
+     metadata stored in the extension's indexeddb, apart from the
+     record counts. The schema always covers the whole database, so it
+     can be recreated as it was.
+   */
+  async function openForSnapshot(dbName, dbVersion, onlyStores) {
+    const dbcon = await idbResponse(
       window.indexedDB.open(dbName), req => req.result
     );
-    const storeNames = [...dbcon.objectStoreNames];
-    const storeSnapshots = {};
-    for (const storeName of storeNames) {
-      const tx = dbcon.transaction(storeName, "readonly");
-      const store = tx.objectStore(storeName);
-      const all = await idbResponse(store.getAll(), req => req.result);
-      storeSnapshots[storeName] = all;
+    const schema = getDbSchema(dbcon);
+    const allStoreNames = [...dbcon.objectStoreNames];
+    const storeNames = onlyStores ?? allStoreNames;
+    const missing = storeNames.filter(s => !allStoreNames.includes(s));
+    if (missing.length > 0) {
+      dbcon.close();
+      throw new Error(`${dbName} has no stores named: ${missing.join(", ")}`);
     }
-    const records = Object.values(storeSnapshots)
-                          .map(snap => snap.length)
-                          .reduce((a, b) => a + b, 0);
 
-    browser.runtime.sendMessage({
-      command: "snapshot-data",
-      target: "background",
-      data: {
+    return {
+      dbcon,
+      metadata: {
+        "format": SNAPSHOT_FORMAT,
         "origin": getOriginOrOpaque(),
         "dbName": dbName,
-        "dbVersion": dbVersion,
+        "dbVersion": Number(dbVersion ?? schema.version),
         "created": Date.now(),
         "stores": storeNames,
         "storeCount": storeNames.length,
-        "recordCount": records,
-        "snapshot": storeSnapshots,
+        "partial": storeNames.length < allStoreNames.length,
+        "schema": schema,
+      },
+    };
+  }
+
+  /* Read a store's records as batches of `[primaryKey, value]` pairs,
+     so stores of any size can be read without holding them in memory
+     (or one message) all at once.
+
+     Each batch is read in its own transaction, using ranged
+     `getAll`s that start after the last key of the previous batch.
+     Records written while the batches are read may or may not be
+     included.
+   */
+  async function* storeBatches(dbcon, storeName) {
+    let range = undefined;
+    while (true) {
+      const tx = dbcon.transaction(storeName, "readonly");
+      const store = tx.objectStore(storeName);
+      const [keys, values] = await Promise.all([
+        idbResponse(
+          store.getAllKeys(range, SNAPSHOT_BATCH_SIZE), req => req.result
+        ),
+        idbResponse(store.getAll(range, SNAPSHOT_BATCH_SIZE), req => req.result),
+      ]);
+      if (keys.length > 0) {
+        yield keys.map((key, i) => [key, values[i]]);
       }
-    });
+      if (keys.length < SNAPSHOT_BATCH_SIZE) {
+        return;
+      }
+      range = IDBKeyRange.lowerBound(keys[keys.length - 1], true);
+    }
+  }
+
+  /* The number of records in each of `storeNames`, and their total */
+  async function countRecords(dbcon, storeNames) {
+    const storeCounts = {};
+    if (storeNames.length > 0) {
+      const tx = dbcon.transaction(storeNames, "readonly");
+      for (const storeName of storeNames) {
+        storeCounts[storeName] = await idbResponse(
+          tx.objectStore(storeName).count(), req => req.result
+        );
+      }
+    }
+    const recordCount = Object.values(storeCounts).reduce((a, b) => a + b, 0);
+    return { storeCounts, recordCount };
+  }
+
+  /* Fetch all records from the objectStores in the database, along
+     with the database schema (stores, keyPaths and indexes) so it can
+     be recreated on restore.
+
+     Records are stored as `[primaryKey, value]` pairs, so stores with
+     out-of-line keys (no keyPath) keep their keys.
+
+     Resolves to the snapshot data and associated metadata, with all
+     the records in its `snapshot` property. See `takeSnapshot` to
+     store large databases without holding them in memory.
+   */
+  async function captureSnapshot(dbName, dbVersion, onlyStores) {
+    const { dbcon, metadata } = await openForSnapshot(
+      dbName, dbVersion, onlyStores
+    );
+    const storeSnapshots = {};
+    const storeCounts = {};
+    try {
+      for (const storeName of metadata.stores) {
+        storeSnapshots[storeName] = [];
+        for await (const batch of storeBatches(dbcon, storeName)) {
+          storeSnapshots[storeName].push(...batch);
+        }
+        storeCounts[storeName] = storeSnapshots[storeName].length;
+      }
+    } finally {
+      dbcon.close();
+    }
+    const records = Object.values(storeCounts).reduce((a, b) => a + b, 0);
+
+    return {
+      ...metadata,
+      "storeCounts": storeCounts,
+      "recordCount": records,
+      "snapshot": storeSnapshots,
+    };
+  }
+
+  /* Take a snapshot of the database, streaming it a batch at a time
+     to the background script over a "snapshot-stream" port, so it
+     can be stored in the extension's indexeddb. See `snapshotStream`
+     in the background script.
+
+     `msg.labels` (optional) is the snapshot's `{name, notes, tags}`.
+     `msg.auto` (optional) marks an automatic snapshot, with the
+     reason it was taken (see `AUTO_REASONS` in settings.js). These
+     are labelled and pruned automatically. `msg.encrypt` (optional)
+     is the id of the passphrase the popup gave the background script
+     to encrypt the snapshot with.
+
+     Automatic snapshots of a database that doesn't exist (e.g. a
+     scheduled one after the page deleted it) are skipped, resolving
+     to null, since opening it would create it.
+
+     The origin's redaction rules (see modules/redaction.js) are
+     applied to each batch before it's sent, and listed in the
+     snapshot's `redaction`.
+   */
+  async function takeSnapshot(msg) {
+    const {dbName, dbVersion, stores, auto, encrypt} = msg;
+    const labels = auto ? {...autoLabels(auto), auto} : msg.labels;
+    console.log(`Take Snapshot: ${dbName}, ${dbVersion}`);
+    if (auto && !(await databaseExists(dbName))) {
+      console.log(`No database ${dbName}, skipping the snapshot`);
+      return null;
+    }
+
+    const { dbcon, metadata } = await openForSnapshot(
+      dbName, dbVersion, stores
+    );
+    let client = null;
+    try {
+      // Throws for rules that can't be applied to this database.
+      const redaction = (await getSettings()).redaction[metadata.origin];
+      const redact = redactor(redaction, metadata.schema);
+      if (redact) {
+        metadata.redaction = { rules: redaction.rules };
+      }
+      client = portClient(
+        browser.runtime.connect({name: "snapshot-stream"})
+      );
+
+      // Counted up front for progress, the final counts are sent at
+      // the end.
+      const expected = await countRecords(dbcon, metadata.stores);
+      const snapshotKey = await client.request({
+        type: "begin",
+        metadata: {...metadata, ...labels, ...expected},
+        total: expected.recordCount,
+        encrypt,
+      });
+
+      const storeCounts = {};
+      for (const storeName of metadata.stores) {
+        storeCounts[storeName] = 0;
+        let seq = 0;
+        for await (let records of storeBatches(dbcon, storeName)) {
+          if (redact) {
+            records = await redact(storeName, records);
+          }
+          await client.request({type: "batch", storeName, seq, records});
+          storeCounts[storeName] += records.length;
+          seq += 1;
+        }
+      }
+
+      const recordCount = Object.values(storeCounts).reduce((a, b) => a + b, 0);
+      await client.request({type: "end", updates: {storeCounts, recordCount}});
+      console.log(`Snapshot ${snapshotKey}: ${recordCount} records`);
+      return snapshotKey;
+    } finally {
+      client?.disconnect();
+      dbcon.close();
+    }
+  }
+
+  /* Capture the current state of a database without storing it, e.g.
+     to compare a snapshot against the live data.
+   */
+  function captureLive(msg) {
+    return captureSnapshot(msg.dbName);
+  }
+
+  /* Take an automatic snapshot of a database before it's changed, if
+     the settings ask for one (see settings.js). `reason` is one of
+     `AUTO_REASONS`.
+
+     Resolves to true if the change can go ahead. If the snapshot
+     fails the popup asks whether to make the change without it, and
+     this resolves to false if not (or if the popup is closed).
+   */
+  async function autoSnapshot(dbName, reason) {
+    const settings = await getSettings();
+    if (!settings.snapshotBeforeDestructive) {
+      return true;
+    }
+    try {
+      // Databases that don't exist are skipped by `takeSnapshot`.
+      await takeSnapshot({dbName, auto: reason});
+      return true;
+    } catch (error) {
+      console.log(`Automatic snapshot of ${dbName} failed`, error);
+      return browser.runtime.sendMessage({
+        target: "popup",
+        command: "popup-confirm",
+        message: [
+          `The automatic snapshot of ${dbName} (${AUTO_REASONS[reason]}) `,
+          `failed: ${error.message ?? error}\n\n`,
+          "Do you want to continue without it?",
+        ].join(""),
+      }).then(Boolean, () => false);
+    }
+  }
+
+  /* Whether the page has a database named `dbName`, without opening
+     it, which would create it.
+   */
+  async function databaseExists(dbName) {
+    const dbs = await window.indexedDB.databases();
+    return dbs.some(db => db.name === dbName);
   }
 
   /* Remove all records, but don't delete the database
@@ -76,6 +303,10 @@
 
     const {dbName, dbVersion} = msg;
     console.log(`Clear Database: ${dbName}, ${dbVersion}`);
+    if (!(await autoSnapshot(dbName, "before-clear"))) {
+      console.log("Clear database request canceled");
+      return;
+    }
 
     let dbcon = await idbResponse(
       window.indexedDB.open(dbName), req => req.result
@@ -124,61 +355,741 @@
       "Do you wish to continue?"
     ].join("");
 
-    browser.runtime.sendMessage({
+    const continueDelete = await browser.runtime.sendMessage({
       target: "popup",
       command: "popup-confirm",
       message: popupMsg,
-    }).then((continueDelete) => {
-      if (continueDelete) {
-        console.log("Confirmed request to delete database");
-        browser.runtime.sendMessage({
-          target: 'background',
-          command: 'start-processing-notif',
-        });
-        idbResponse(window.indexedDB.deleteDatabase(dbName), x => x)
-          .then((val) => {
-            console.log("successfully deleted db");
-            browser.runtime.sendMessage({
-              target: 'background',
-              command: 'end-processing-notif',
-            })
-          })
-          .catch((error) => { console.log(error); });
-      } else {
-        console.log("Delete database request canceled");
-      }
-    })
+    });
+    if (!continueDelete || !(await autoSnapshot(dbName, "before-delete"))) {
+      console.log("Delete database request canceled");
+      return;
+    }
+    console.log("Confirmed request to delete database");
+    browser.runtime.sendMessage({
+      target: 'background',
+      command: 'start-processing-notif',
+    });
+    try {
+      await idbResponse(window.indexedDB.deleteDatabase(dbName), x => x);
+      console.log("successfully deleted db");
+    } finally {
+      browser.runtime.sendMessage({
+        target: 'background',
+        command: 'end-processing-notif',
+      });
+    }
   }
 
+  /* Write the records of a snapshot back into its database.
+
+     Snapshots that include a schema will recreate the database (or
+     any missing stores) before writing, so a restore works even
+     after the database has been deleted. Older snapshots without a
+     schema can only be restored into existing stores.
+
+     Keys are passed explicitly to `put` for stores with out-of-line
+     keys. Stores with a keyPath take their key from the value.
+
+     `msg.mode` picks how the records are written:
+
+     - "merge" (default): put records over the existing data, records
+       not in the snapshot are kept.
+     - "replace": clear each of the snapshot's stores first, in the
+       same transaction.
+     - "as": write into the database `msg.targetDbName` instead, so
+       it can sit alongside the original.
+
+     `msg.stores` (optional) restores only some of the snapshot's
+     stores, other stores are left untouched.
+
+     `msg.transform` (optional) runs the records through a
+     user-written transform before they're written, see
+     modules/transform.js.
+
+     The restore either commits fully or not at all, see
+     `writeSnapshot`. Once it's done a report is sent to the popup
+     ("restore-report"), and also returned:
+
+     {
+       snapshotKey, dbName, mode,
+       ok: true | false,
+       committed: true | false,
+       error: null | "why the restore failed",
+       schemaChange: null | "how the database's schema was changed",
+       stores: {
+         [storeName]: {expected, written, found}
+       }
+     }
+
+     `expected` is the snapshot's record count for the store, `written`
+     the number of different keys its records were written under and
+     `found` the number of records in the store once committed (null
+     if it wasn't). A store's counts may be missing if the restore
+     failed before reaching it.
+
+     `committed` is set once the records are written, a restore can
+     still fail the checks after that, see `writeSnapshot`.
+
+     `schemaChange` describes the database being created or upgraded to
+     the snapshot's schema. That happens before the records are written
+     and stays even if writing them fails.
+   */
   async function restoreSnapshot(msg) {
     console.log("Restore Snapshot");
     console.log(msg);
-    const { dbName, stores, snapshot } = msg.snapshot;
+    const mode = msg.mode ?? "merge";
+    const report = {
+      snapshotKey: msg.snapshot.id,
+      dbName: mode === "as" ? msg.targetDbName : msg.snapshot.dbName,
+      mode,
+      ok: false,
+      committed: false,
+      error: null,
+      schemaChange: null,
+      stores: {},
+    };
+
+    try {
+      await writeSnapshot(msg, mode, report);
+      report.ok = true;
+      console.log(`Restored ${msg.snapshot.dbName} into ${report.dbName}`);
+    } catch (error) {
+      console.log(error);
+      report.error = error?.message ?? String(error);
+    }
+
+    browser.runtime.sendMessage({
+      target: "popup",
+      command: "restore-report",
+      report,
+    });
+    browser.runtime.sendMessage({
+      target: "popup",
+      command: "refresh-db-display"
+    })
+    return report;
+  }
+
+  /* Restore a snapshot's records in a single transaction, filling in
+     `report.stores` as it goes.
+
+     `msg.snapshot` is the snapshot's metadata only, the records are
+     pulled a batch at a time from the background script over a
+     "restore-stream" port (see `restoreStream` in the background
+     script) and written as they arrive, so only one batch is held in
+     the page at a time. The transaction is kept open while waiting
+     for each batch with `idbKeepOpen`.
+
+     Once a store's records are written, the keys they were written
+     under are checked: one per record in the snapshot, so none of
+     them overwrote another. If a write fails or a check doesn't pass,
+     the transaction is aborted and the records are left as they were.
+
+     After the transaction commits the stores are read again, to check
+     every written key is there (and, for "replace", nothing else).
+     That can't be rolled back any more, it's reported as a failure.
+
+     Creating or upgrading the database to the snapshot's schema is
+     its own versionchange transaction, it has already committed by
+     then and isn't undone either, see `report.schemaChange`.
+   */
+  async function writeSnapshot(msg, mode, report) {
+    const { id: snapshotKey, schema, format, storeCounts } = msg.snapshot;
+    const keyed = (format ?? 1) >= 2;
+    const stores = msg.stores ?? msg.snapshot.stores;
+    const dbName = report.dbName;
+
+    const notInSnapshot = stores.filter(s => !msg.snapshot.stores.includes(s));
+    if (notInSnapshot.length > 0) {
+      throw new Error(
+        `Stores not in the snapshot: ${notInSnapshot.join(", ")}`
+      );
+    }
+
+    if (!["merge", "replace", "as"].includes(mode)) {
+      throw new Error(`Unknown restore mode: ${mode}`);
+    }
+    if (mode === "as" && !schema) {
+      throw new Error(
+        "Snapshot has no schema, it can't be restored into a new database"
+      );
+    }
+
+    if (mode === "replace" && !(await autoSnapshot(dbName, "before-restore"))) {
+      throw new Error(
+        "Restore canceled, the automatic snapshot before it failed"
+      );
+    }
+
+    if (msg.transform && !keyed) {
+      throw new Error(
+        "Snapshots taken by older versions of IndexedDB Utils can't be " +
+        "transformed"
+      );
+    }
+
+    const client = portClient(
+      browser.runtime.connect({name: "restore-stream"})
+    );
+    try {
+      const total = stores
+        .map(storeName => storeCounts?.[storeName] ?? 0)
+        .reduce((a, b) => a + b, 0);
+      const transformedCounts = await client.request({
+        type: "begin", dbName, total, snapshotKey, stores,
+        transform: msg.transform,
+      });
+      const counts = transformedCounts ?? storeCounts;
+      // A transform can emit records into other stores.
+      const writeStores = transformedCounts
+        ? Object.keys(transformedCounts)
+        : stores;
+
+      const before = schema ? await getSchema({ dbName }) : null;
+      const dbCon = schema
+        ? await openDbWithSchema(dbName, schema)
+        : await idbResponse(window.indexedDB.open(dbName), req => req.result);
+      if (schema) {
+        report.schemaChange = describeSchemaChange(before, dbCon);
+      }
+
+      try {
+        const missing = writeStores
+          .filter(storeName => !dbCon.objectStoreNames.contains(storeName));
+        if (missing.length > 0) {
+          throw new Error(
+            `${dbName} has no stores named: ${missing.join(", ")}`
+          );
+        }
+        const written = await writeRecords(
+          dbCon, client, snapshotKey, writeStores, counts, mode, keyed, report
+        );
+        report.committed = true;
+        await verifyRestore(dbCon, written, mode, report);
+      } finally {
+        dbCon.close();
+      }
+      await client.request({type: "end"});
+    } finally {
+      client.disconnect();
+    }
+  }
+
+  /* Write the streamed records of `writeStores` in one transaction,
+     see `writeSnapshot`. Resolves to the keys written, by store, once
+     the transaction has committed.
+   */
+  async function writeRecords(
+    dbCon, client, snapshotKey, writeStores, counts, mode, keyed, report
+  ) {
+    const tx = dbCon.transaction(writeStores, "readwrite");
+    const done = idbTransactionDone(tx);
+    const written = {};
+    try {
+      for (const storeName of writeStores) {
+        const store = tx.objectStore(storeName);
+        if (mode === "replace") {
+          store.clear();
+        }
+        const keys = [];
+        written[storeName] = keys;
+        for (let seq = 0; ; seq++) {
+          const batch = await idbKeepOpen(store, client.request({
+            type: "batch", snapshotKey, storeName, seq
+          }));
+          if (batch === null) {
+            break;
+          }
+          for (const entry of batch) {
+            putEntry(store, entry, keyed).onsuccess = (event) => {
+              keys.push(event.target.result);
+            };
+          }
+        }
+        // Requests run in order, so the puts are done by now.
+        await idbResponse(store.count(), req => req.result);
 
-    const dbCon = await idbResponse(
+        const expected = counts?.[storeName] ?? keys.length;
+        report.stores[storeName] = {
+          expected, written: distinctKeys(keys), found: null
+        };
+        if (report.stores[storeName].written !== expected) {
+          throw new Error(
+            `${storeName} got ${report.stores[storeName].written} ` +
+            `distinct keys for ${expected} records in the snapshot`
+          );
+        }
+      }
+    } catch (error) {
+      // A failed put aborts the transaction itself, its error is
+      // more useful than the aborted requests'.
+      const cause = tx.error ?? error;
+      try {
+        tx.abort();
+      } catch (_) {
+        // Already aborted.
+      }
+      await done.catch(() => {});
+      throw cause;
+    }
+    await done;
+    return written;
+  }
+
+  /* The number of different keys in a list */
+  function distinctKeys(keys) {
+    const sorted = [...keys].sort((a, b) => window.indexedDB.cmp(a, b));
+    return sorted.filter(
+      (key, i) => i === 0 || window.indexedDB.cmp(key, sorted[i - 1]) !== 0
+    ).length;
+  }
+
+  /* Check the committed stores hold the keys written to them, see
+     `writeSnapshot`, filling in the report's `found` counts. Throws
+     if any are missing.
+   */
+  async function verifyRestore(dbCon, written, mode, report) {
+    const storeNames = Object.keys(written);
+    const tx = dbCon.transaction(storeNames, "readonly");
+    const done = idbTransactionDone(tx);
+    const present = {};
+    for (const storeName of storeNames) {
+      const store = tx.objectStore(storeName);
+      present[storeName] = 0;
+      for (const key of written[storeName]) {
+        store.getKey(key).onsuccess = (event) => {
+          if (event.target.result !== undefined) {
+            present[storeName]++;
+          }
+        };
+      }
+      store.count().onsuccess = (event) => {
+        report.stores[storeName].found = event.target.result;
+      };
+    }
+    await done;
+
+    const mismatched = storeNames.filter((storeName) => {
+      const { expected, found } = report.stores[storeName];
+      // Merged stores can keep records that aren't in the snapshot.
+      return present[storeName] !== expected
+        || (mode === "replace" && found !== expected);
+    });
+    if (mismatched.length > 0) {
+      throw new Error(
+        "The restore was committed, but the records don't match the " +
+        `snapshot for: ${mismatched.join(", ")}`
+      );
+    }
+  }
+
+  /* How opening `db` with a snapshot's schema changed it, given its
+     schema from before (null if it didn't exist). Returns null if it
+     was left as it was.
+   */
+  function describeSchemaChange(before, db) {
+    if (!before) {
+      return `Created ${db.name} at version ${db.version}`;
+    }
+    if (db.version === before.version) {
+      return null;
+    }
+    const added = [...db.objectStoreNames]
+      .filter(storeName => !(storeName in before.stores));
+    return [
+      `Upgraded ${db.name} from version ${before.version} to ${db.version}`,
+      added.length > 0 ? `, adding stores: ${added.join(", ")}` : "",
+    ].join("");
+  }
+
+  /* Write one snapshot entry to a store. `keyed` entries are
+     `[primaryKey, value]` pairs, the key is passed explicitly for
+     stores with out-of-line keys.
+   */
+  function putEntry(store, entry, keyed) {
+    if (!keyed) {
+      return store.put(entry);
+    }
+    const [key, value] = entry;
+    return store.keyPath === null ? store.put(value, key) : store.put(value);
+  }
+
+  /* The schema of one of the page's databases (see `getDbSchema`), or
+     null if there's no such database. Opening a database creates it,
+     so it's looked for with `databases()` first.
+   */
+  async function getSchema(msg) {
+    const dbs = await window.indexedDB.databases();
+    if (!dbs.some(db => db.name === msg.dbName)) {
+      return null;
+    }
+    const dbcon = await idbResponse(
+      window.indexedDB.open(msg.dbName), req => req.result
+    );
+    try {
+      return getDbSchema(dbcon);
+    } finally {
+      dbcon.close();
+    }
+  }
+
+  /* Look up a batch of a snapshot's unique index keys in the database,
+     for the popup's restore check (see popup/restoreCheck.js).
+
+     `msg.pairs` is a list of `[indexKey, primaryKey]` of the
+     snapshot's records in the index `msg.indexName` of
+     `msg.storeName`.
+
+     Resolves to a list of `[indexKey, livePrimaryKey]`, for the index
+     keys already used by a live record with another primary key.
+   */
+  async function findIndexConflicts(msg) {
+    const { dbName, storeName, indexName, pairs } = msg;
+    if (!(await databaseExists(dbName))) {
+      return [];
+    }
+    const dbcon = await idbResponse(
       window.indexedDB.open(dbName), req => req.result
     );
-    const tx = dbCon.transaction(stores, "readwrite");
+    try {
+      if (!dbcon.objectStoreNames.contains(storeName)) {
+        return [];
+      }
+      const store = dbcon.transaction(storeName, "readonly")
+        .objectStore(storeName);
+      if (!store.indexNames.contains(indexName)) {
+        return [];
+      }
+      const index = store.index(indexName);
+      const livePrimaryKeys = await Promise.all(pairs.map(
+        ([indexKey]) => idbResponse(index.getKey(indexKey), req => req.result)
+      ));
+      const clashes = [];
+      pairs.forEach(([indexKey, primaryKey], i) => {
+        const livePrimaryKey = livePrimaryKeys[i];
+        if (livePrimaryKey !== undefined &&
+            window.indexedDB.cmp(livePrimaryKey, primaryKey) !== 0) {
+          clashes.push([indexKey, livePrimaryKey]);
+        }
+      });
+      return clashes;
+    } finally {
+      dbcon.close();
+    }
+  }
+
+  /* Read one page of records from a store, for the popup's record
+     viewer.
 
-    const putResults = [];
-    for (storeName of stores) {
+     `msg.indexName` (optional) iterates through an index instead of
+     the store's primary keys, `msg.range` (optional) is a key range
+     description as accepted by `makeKeyRange`, and `msg.after` is the
+     `next` position returned with the previous page.
+
+     Resolves to `{records, next, total, keyPath, autoIncrement,
+     indexNames}`, where `total` is the number of records in the range.
+   */
+  async function readRecords(msg) {
+    const {
+      dbName, storeName, indexName, range, direction, after, pageSize
+    } = msg;
+
+    const dbcon = await idbResponse(
+      window.indexedDB.open(dbName), req => req.result
+    );
+    try {
+      const tx = dbcon.transaction(storeName, "readonly");
       const store = tx.objectStore(storeName);
-      for (entry of snapshot[storeName]) {
-        putResults.push(store.put(entry));
+      const target = indexName ? store.index(indexName) : store;
+      const keyRange = makeKeyRange(range);
+
+      const [total, page] = await Promise.all([
+        idbResponse(target.count(keyRange), req => req.result),
+        idbCursorPage(
+          target, keyRange, direction ?? "next", after, pageSize ?? 25
+        ),
+      ]);
+      return {
+        records: page.entries,
+        next: page.next,
+        total: total,
+        keyPath: store.keyPath,
+        autoIncrement: store.autoIncrement,
+        indexNames: [...store.indexNames],
+      };
+    } finally {
+      dbcon.close();
+    }
+  }
+
+  /* Check that `value` and `key` can be written to `store`, throwing
+     an Error that explains the problem if not.
+
+     `key` is the key given for a new record, or the key of the record
+     being edited. Returns the key to pass to `add` / `put`, which is
+     undefined for stores with in-line keys.
+   */
+  function checkRecordKey(store, value, key, isNew) {
+    const storeDesc = `Store "${store.name}"`;
+
+    if (store.keyPath === null) {
+      if (key === undefined && !store.autoIncrement) {
+        throw new Error(
+          `${storeDesc} has out-of-line keys and no key generator, ` +
+          "enter a key for the record"
+        );
       }
+      return key;
     }
 
-    browser.runtime.sendMessage({
-      target: "popup",
-      command: "refresh-db-display"
-    })
+    const keyPathDesc = JSON.stringify(store.keyPath);
+    if (isNew && key !== undefined) {
+      throw new Error(
+        `${storeDesc} takes its keys from keyPath ${keyPathDesc}, ` +
+        "set the key in the value instead of entering one"
+      );
+    }
+    if (typeof value !== "object" || value === null) {
+      throw new Error(
+        `${storeDesc} takes its keys from keyPath ${keyPathDesc}, ` +
+        "so records must be objects"
+      );
+    }
 
-    return Promise.all(putResults).then((putIds) => {
-      console.log(
-        `Restored ${putIds.length} records from ${stores.length} stores`
+    const inlineKey = keyPathValue(value, store.keyPath);
+    if (inlineKey === undefined) {
+      if (isNew && store.autoIncrement) {
+        return undefined;
+      }
+      throw new Error(`The value has no key at keyPath ${keyPathDesc}`);
+    }
+    let cmp;
+    try {
+      cmp = isNew ? 0 : window.indexedDB.cmp(inlineKey, key);
+    } catch (error) {
+      throw new Error(
+        `The value at keyPath ${keyPathDesc} is not a valid key: ${error}`
       );
-      return putIds;
-    })
+    }
+    if (cmp !== 0) {
+      throw new Error(
+        `The value's key at keyPath ${keyPathDesc} doesn't match the ` +
+        "record being edited. Changing a record's key isn't supported, " +
+        "add a new record and delete the old one instead"
+      );
+    }
+    return undefined;
+  }
+
+  /* Add or replace a single record, for the popup's record editor.
+
+     `msg.add` inserts a new record with `msg.key` (for stores with
+     out-of-line keys), failing if the key is already in use.
+     Otherwise the record at `msg.originalKey` is replaced by
+     `msg.value`.
+
+     Resolves to the key of the written record.
+   */
+  async function putRecord(msg) {
+    const { dbName, storeName, value, key, originalKey, add } = msg;
+
+    const dbcon = await idbResponse(
+      window.indexedDB.open(dbName), req => req.result
+    );
+    try {
+      const tx = dbcon.transaction(storeName, "readwrite");
+      const store = tx.objectStore(storeName);
+      const recordKey = checkRecordKey(
+        store, value, add ? key : originalKey, !!add
+      );
+
+      let request;
+      try {
+        request = add
+          ? store.add(value, recordKey)
+          : store.put(value, recordKey);
+      } catch (error) {
+        // e.g. a DataError for an invalid key
+        throw new Error(`Couldn't save the record: ${error}`);
+      }
+      const [writtenKey] = await Promise.all([
+        idbResponse(request, req => req.result), idbTransactionDone(tx)
+      ]).catch((error) => {
+        throw new Error(`Couldn't save the record: ${error}`);
+      });
+
+      browser.runtime.sendMessage({
+        target: "popup",
+        command: "refresh-db-display"
+      });
+      return writtenKey;
+    } finally {
+      dbcon.close();
+    }
+  }
+
+  /* Delete either the record at `msg.key`, or every record in
+     `msg.range` (a key range description, see `makeKeyRange`). With
+     `msg.indexName` the range applies to that index's keys.
+
+     Resolves to the number of records deleted.
+   */
+  async function deleteRecords(msg) {
+    const { dbName, storeName, indexName, key, range } = msg;
+    const keyRange = key !== undefined
+      ? IDBKeyRange.only(key)
+      : makeKeyRange(range);
+    if (!keyRange) {
+      throw new Error("Choose a key or key range of records to delete");
+    }
+
+    const dbcon = await idbResponse(
+      window.indexedDB.open(dbName), req => req.result
+    );
+    try {
+      const tx = dbcon.transaction(storeName, "readwrite");
+      const store = tx.objectStore(storeName);
+      const done = idbTransactionDone(tx);
+
+      const deleting = indexName
+        ? idbCursorEach(
+          store.index(indexName), keyRange, 0, (cursor, acc) => {
+            cursor.delete();
+            return acc + 1;
+          })
+        : idbResponse(store.count(keyRange), req => req.result)
+          .then((count) => {
+            store.delete(keyRange);
+            return count;
+          });
+      const [deleted] = await Promise.all([deleting, done])
+        .catch((error) => {
+          throw new Error(`Couldn't delete the records: ${error}`);
+        });
+
+      browser.runtime.sendMessage({
+        target: "popup",
+        command: "refresh-db-display"
+      });
+      console.log(`${deleted} records deleted from ${storeName}`);
+      return deleted;
+    } finally {
+      dbcon.close();
+    }
+  }
+
+  /* Add `msg.count` generated records to a store, see
+     modules/seedData.js. `msg.template` generates the values and
+     `msg.keyTemplate` their keys, needed only for stores with neither
+     a keyPath nor autoIncrement. `msg.seed` (optional) seeds the
+     random values, and `msg.offset` (default 0) is added to the
+     records' numbers and the seed, so `$seq`s and random values
+     carry on from an earlier run rather than repeating it. With
+     `msg.preview` nothing is written, and this
+     resolves to the first few `[key, value]` pairs that would be.
+
+     Records are added a batch at a time, each batch in its own
+     transaction. Existing records are never overwritten: a clashing
+     key fails its batch, and the records of earlier batches are kept.
+
+     Resolves to the number of records added.
+   */
+  async function seedStore(msg) {
+    const { dbName, storeName, count, template, keyTemplate, preview } = msg;
+    const offset = msg.offset ?? 0;
+    const generate = compileTemplate(template);
+    const generateKey = keyTemplate ? compileTemplate(keyTemplate) : null;
+    const random = seededRandom(
+      msg.seed === null || msg.seed === undefined
+        ? Math.random() * 2 ** 32
+        : msg.seed + offset
+    );
+
+    // Opening a database that doesn't exist would create it.
+    if (!(await databaseExists(dbName))) {
+      throw new Error(`There's no database ${dbName} any more`);
+    }
+    const dbcon = await idbResponse(
+      window.indexedDB.open(dbName), req => req.result
+    );
+    try {
+      const { keyPath, autoIncrement } = dbcon
+        .transaction(storeName, "readonly").objectStore(storeName);
+      if (keyPath === null && !autoIncrement && !generateKey) {
+        throw new Error(
+          `${storeName} has no keyPath or key generator, ` +
+          "it needs a key template"
+        );
+      }
+      if (keyPath !== null && generateKey) {
+        throw new Error(`${storeName} takes its keys from the values`);
+      }
+
+      // $refs pick from the keys already in the other stores.
+      const refs = {};
+      for (const refStore of [
+        ...templateRefs(template), ...templateRefs(keyTemplate ?? null)
+      ]) {
+        if (![...dbcon.objectStoreNames].includes(refStore)) {
+          throw new Error(`${dbName} has no store ${refStore} to refer to`);
+        }
+        refs[refStore] = await idbResponse(
+          dbcon.transaction(refStore, "readonly").objectStore(refStore)
+            .getAllKeys(),
+          req => req.result
+        );
+      }
+      function record(index) {
+        const context = { index: offset + index, random, refs };
+        const key = generateKey ? generateKey(context) : undefined;
+        return [key, generate(context)];
+      }
+
+      if (preview) {
+        const records = [];
+        for (let index = 0; index < Math.min(count, preview); index++) {
+          records.push(record(index));
+        }
+        return records;
+      }
+
+      let added = 0;
+      const failed = error => new Error(
+        `Added ${added} of ${count} records to ${storeName}, then: ${error}`
+      );
+      while (added < count) {
+        const batchSize = Math.min(SNAPSHOT_BATCH_SIZE, count - added);
+        const tx = dbcon.transaction(storeName, "readwrite");
+        const store = tx.objectStore(storeName);
+        const done = idbTransactionDone(tx);
+        try {
+          for (let i = 0; i < batchSize; i++) {
+            const [key, value] = record(added + i);
+            store.add(value, key);
+          }
+        } catch (error) {
+          // e.g. a template error or an invalid key, none of the
+          // batch is written.
+          tx.abort();
+          done.catch(() => {});
+          throw failed(error);
+        }
+        await done.catch((error) => {
+          throw failed(error);
+        });
+        added += batchSize;
+      }
+      console.log(`${added} records added to ${storeName}`);
+      return added;
+    } finally {
+      dbcon.close();
+      if (!preview) {
+        browser.runtime.sendMessage({
+          target: "popup",
+          command: "refresh-db-display"
+        });
+      }
+    }
   }
 
   function getOrigin(msg) {
@@ -203,6 +1114,27 @@
       case "get-origin":
         return getOrigin(message);
         break;
+      case "capture-live":
+        return captureLive(message);
+        break;
+      case "read-records":
+        return readRecords(message);
+        break;
+      case "put-record":
+        return putRecord(message);
+        break;
+      case "delete-records":
+        return deleteRecords(message);
+        break;
+      case "get-schema":
+        return getSchema(message);
+        break;
+      case "find-index-conflicts":
+        return findIndexConflicts(message);
+        break;
+      case "seed-store":
+        return seedStore(message);
+        break;
       default:
         console.log(
           `Background doesn't understand message type: ${message.command}`
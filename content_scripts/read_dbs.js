@@ -43,14 +43,23 @@
       for (storeName of storeNames) {
         const tx = dbcon.transaction(storeName, "readonly");
         const store = tx.objectStore(storeName);
-        const indexes = [...store.indexNames].join(", ");
+        const indexNames = [...store.indexNames];
+        const indexes = indexNames.join(", ");
         const count = await idbResponse(store.count(), req => req.result);
+        const indexKeyPaths = {};
+        for (const indexName of indexNames) {
+          indexKeyPaths[indexName] = store.index(indexName).keyPath;
+        }
 
         summaries.push({
           name: dbName,
           version: dbVersion,
           store: storeName,
           indexes: indexes,
+          indexNames: indexNames,
+          indexKeyPaths: indexKeyPaths,
+          keyPath: store.keyPath,
+          autoIncrement: store.autoIncrement,
           count: count,
         })
       }
@@ -0,0 +1,234 @@
+/*
+   IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+   Copyright (C) 2025 Erik Swanson
+
+   This program is free software: you can redistribute it and/or modify
+   it under the terms of the GNU General Public License as published by
+   the Free Software Foundation, either version 3 of the License, or
+   (at your option) any later version.
+
+   This program is distributed in the hope that it will be useful,
+   but WITHOUT ANY WARRANTY; without even the implied warranty of
+   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+   GNU General Public License for more details.
+
+   You should have received a copy of the GNU General Public License
+   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Watch upgrades - snapshot a database just before the page upgrades
+   it, so a bad `onupgradeneeded` can be undone.
+
+   This is registered at document_start on the origins in the
+   `watchUpgrades` setting (see `registerUpgradeWatch` in the
+   background script), and replaces the page's `IDBFactory.open` with
+   a wrapper before any of the page's scripts run.
+
+   The wrapper adds its own `upgradeneeded` listener to each open
+   request. Once the settings say the origin is watched, it runs
+   before the page's handler and reads every store through the
+   `versionchange` transaction. Requests in a transaction run in order, so these reads
+   see the data as it was before any of the page's changes. The
+   records are then streamed to the background script like any other
+   snapshot.
+
+   The wrapping uses Firefox's `exportFunction` and Xray vision, see
+   https://developer.mozilla.org/en-US/docs/Mozilla/Add-ons/WebExtensions/Sharing_objects_with_page_scripts
+ */
+
+(() => {
+  /* Modules can only be imported asynchronously, the page's open has
+     to be wrapped before then. */
+  const modules = Promise.all([
+    import(browser.runtime.getURL('modules/core.js')),
+    import(browser.runtime.getURL('modules/ports.js')),
+    import(browser.runtime.getURL('modules/settings.js')),
+    import(browser.runtime.getURL('modules/redaction.js')),
+  ]);
+
+  /* Same as `getOriginOrOpaque` in indexedDbUtilities.js, which may
+     not have loaded yet. */
+  const origin = window.origin === "null"
+    ? `[opaque](${window.location.href})`
+    : window.origin;
+
+  /* Whether the page's origin is in the `watchUpgrades` setting. The
+     script is registered per host, so other ports of a watched host
+     get it too. Unknown (null) until the settings have loaded, upgrades
+     before then aren't read, rather than reading every store of an
+     origin that may not be watched. */
+  let watched = null;
+  modules
+    .then(([, , { getSettings }]) => getSettings())
+    .then(({ watchUpgrades }) => {
+      watched = watchUpgrades.includes(origin);
+    });
+  browser.storage.local.onChanged.addListener((changes) => {
+    if (changes.settings) {
+      const { watchUpgrades = [] } = changes.settings.newValue ?? {};
+      watched = watchUpgrades.includes(origin);
+    }
+  });
+
+  const pageFactory = window.wrappedJSObject.IDBFactory.prototype;
+  const pageOpen = pageFactory.open;
+
+  exportFunction(function open(name, version) {
+    // Errors from the page's own open are thrown to the page as usual.
+    const request = XPCNativeWrapper(pageOpen.apply(this, arguments));
+    request.addEventListener("upgradeneeded", (event) => {
+      onUpgradeNeeded(String(name), request, event);
+    });
+    return request;
+  }, pageFactory, {defineAs: "open"});
+
+  /* Objects read through Xrays (e.g. a keyPath array) have to be
+     copied before they can be sent to the extension. */
+  function copyKeyPath(keyPath) {
+    return Array.isArray(keyPath) ? Array.from(keyPath) : keyPath;
+  }
+
+  /* Same as `getStoreSchema` in indexedDbUtilities.js, which may not
+     have loaded yet. This has to run before the page's upgrade
+     handler changes the store. */
+  function readStoreSchema(store) {
+    const indexes = {};
+    for (const indexName of Array.from(store.indexNames)) {
+      const index = store.index(indexName);
+      indexes[indexName] = {
+        keyPath: copyKeyPath(index.keyPath),
+        unique: index.unique,
+        multiEntry: index.multiEntry,
+      };
+    }
+    return {
+      keyPath: copyKeyPath(store.keyPath),
+      autoIncrement: store.autoIncrement,
+      indexes: indexes,
+    };
+  }
+
+  function requestResult(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => {
+        // Copy the records out of the page, see `copyKeyPath`.
+        resolve(structuredClone(XPCNativeWrapper.unwrap(request.result)));
+      };
+      request.onerror = () => {
+        reject(`IDBRequest Error: ${request.error}`);
+      };
+    });
+  }
+
+  function onUpgradeNeeded(dbName, request, event) {
+    const { oldVersion, newVersion } = event;
+    // A new database has nothing to lose, and nothing is read for
+    // origins that aren't known to be watched.
+    if (oldVersion === 0 || watched !== true) {
+      return;
+    }
+
+    const tx = request.transaction;
+    const storeNames = Array.from(tx.objectStoreNames);
+    const schema = { version: oldVersion, stores: {} };
+    const reads = [];
+    for (const storeName of storeNames) {
+      const store = tx.objectStore(storeName);
+      schema.stores[storeName] = readStoreSchema(store);
+      reads.push(Promise.all([
+        requestResult(store.getAllKeys()),
+        requestResult(store.getAll()),
+      ]));
+    }
+
+    Promise.all(reads)
+      .then(results => sendSnapshot({
+        dbName, oldVersion, newVersion, schema, storeNames, results
+      }))
+      .catch((error) => {
+        console.log(`Snapshot before upgrading ${dbName} failed`, error);
+      });
+  }
+
+  async function sendSnapshot(upgrade) {
+    const { dbName, oldVersion, newVersion, schema, storeNames } = upgrade;
+    const [
+      { SNAPSHOT_BATCH_SIZE },
+      { portClient },
+      { autoLabels, getSettings },
+      { redactor },
+    ] = await modules;
+
+    // Checked again in case the settings changed since.
+    const { watchUpgrades, redaction } = await getSettings();
+    if (!watchUpgrades.includes(origin)) {
+      return;
+    }
+    // Redacted like any other snapshot, see `takeSnapshot` in
+    // install_message_handlers.js.
+    const redact = redactor(redaction[origin], schema);
+
+    const storeCounts = {};
+    storeNames.forEach((storeName, i) => {
+      storeCounts[storeName] = upgrade.results[i][0].length;
+    });
+    const recordCount = Object.values(storeCounts).reduce((a, b) => a + b, 0);
+    const labels = autoLabels("before-upgrade");
+    labels.name = `${labels.name} from v${oldVersion} to v${newVersion}`;
+    labels.tags.push(`from-v${oldVersion}`, `to-v${newVersion}`);
+
+    const metadata = {
+      "format": 2,
+      "origin": origin,
+      "dbName": dbName,
+      "dbVersion": oldVersion,
+      "created": Date.now(),
+      "stores": storeNames,
+      "storeCount": storeNames.length,
+      "partial": false,
+      "schema": schema,
+      ...labels,
+      "auto": "before-upgrade",
+      "upgrade": { from: oldVersion, to: newVersion },
+      "storeCounts": storeCounts,
+      "recordCount": recordCount,
+    };
+    if (redact) {
+      metadata.redaction = { rules: redaction[origin].rules };
+    }
+
+    const client = portClient(
+      browser.runtime.connect({name: "snapshot-stream"})
+    );
+    try {
+      const snapshotKey = await client.request({
+        type: "begin",
+        metadata,
+        total: recordCount,
+      });
+
+      for (const [i, storeName] of storeNames.entries()) {
+        const [keys, values] = upgrade.results[i];
+        for (let seq = 0; seq * SNAPSHOT_BATCH_SIZE < keys.length; seq++) {
+          const start = seq * SNAPSHOT_BATCH_SIZE;
+          const end = start + SNAPSHOT_BATCH_SIZE;
+          let records = keys
+            .slice(start, end)
+            .map((key, j) => [key, values[start + j]]);
+          if (redact) {
+            records = await redact(storeName, records);
+          }
+          await client.request({type: "batch", storeName, seq, records});
+        }
+      }
+
+      await client.request({type: "end", updates: {}});
+      console.log(
+        `Snapshot ${snapshotKey} of ${dbName} before upgrading to v${newVersion}`
+      );
+    } finally {
+      client.disconnect();
+    }
+  }
+})();
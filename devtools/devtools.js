@@ -0,0 +1,30 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Devtools page - adds an "IndexedDB" panel showing popup/menu.html
+   for the inspected tab. Unlike the browser-action popup the panel
+   stays open while the page is used, see `targetTabId` in
+   modules/core.js.
+ */
+
+browser.devtools.panels.create(
+  "IndexedDB",
+  "/icons/icon-32.png",
+  "/popup/menu.html"
+);
@@ -0,0 +1,158 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { decompressText, isCompressed } from '../modules/compression.js';
+import { addSnapshot } from '../modules/snapshots.js';
+import {
+  parseSnapshotFile, snapshotFromFile
+} from '../modules/snapshotFile.js';
+
+/* The snapshot parsed from the chosen file, or null if no valid file
+   has been chosen.
+ */
+let parsedFile = null;
+
+/* The chosen file while it waits for its passphrase, see
+   `onDecrypt`. Encrypted files are imported as snapshots encrypted
+   with the same passphrase.
+ */
+let encryptedFile = null;
+let passphrase = null;
+
+/* The text of a snapshot file, which may be gzipped, see
+   modules/compression.js.
+ */
+async function fileText(file) {
+  const buffer = await file.arrayBuffer();
+  return isCompressed(buffer)
+    ? decompressText(buffer)
+    : new TextDecoder().decode(buffer);
+}
+
+function setStatus(node, text, isError) {
+  node.textContent = text;
+  node.classList.toggle("error", !!isError);
+}
+
+/* Parse and validate the file as soon as it's chosen, so problems are
+   shown before anything is imported.
+ */
+async function onFileChange() {
+  const fileInput = document.querySelector("#input-file");
+  const fileInfo = document.querySelector("#file-info");
+  const importButton = document.querySelector("#button-import");
+  parsedFile = null;
+  encryptedFile = null;
+  passphrase = null;
+  importButton.disabled = true;
+  document.querySelector("#passphrase-row").classList.add("hidden");
+  setStatus(document.querySelector("#import-status"), "");
+
+  const file = fileInput.files[0];
+  if (!file) {
+    setStatus(fileInfo, "");
+    return;
+  }
+
+  try {
+    const parsed = parseSnapshotFile(await fileText(file));
+    if (parsed.encryption) {
+      encryptedFile = parsed;
+      document.querySelector("#passphrase-row").classList.remove("hidden");
+      setStatus(fileInfo, "The file is encrypted, enter its passphrase.");
+      return;
+    }
+    // The origin is filled in when importing, it may still change.
+    parsedFile = await snapshotFromFile(parsed, null);
+  } catch (error) {
+    setStatus(fileInfo, error.message, true);
+    return;
+  }
+  showParsedFile();
+}
+
+async function onDecrypt() {
+  const fileInfo = document.querySelector("#file-info");
+  const input = document.querySelector("#input-passphrase");
+  if (!encryptedFile) {
+    return;
+  }
+
+  setStatus(fileInfo, "Decrypting…");
+  try {
+    parsedFile = await snapshotFromFile(encryptedFile, null, input.value);
+  } catch (error) {
+    setStatus(fileInfo, error.message, true);
+    return;
+  }
+  passphrase = input.value;
+  input.value = "";
+  encryptedFile = null;
+  document.querySelector("#passphrase-row").classList.add("hidden");
+  showParsedFile();
+}
+
+function showParsedFile() {
+  const { dbName, dbVersion, created, storeCount, recordCount } = parsedFile;
+  setStatus(document.querySelector("#file-info"), [
+    `Database "${dbName}" version ${dbVersion}, `,
+    `taken ${new Date(created).toUTCString()}: `,
+    `${recordCount} records in ${storeCount} stores`,
+    passphrase ? ", encrypted." : ".",
+  ].join(""));
+  document.querySelector("#button-import").disabled = false;
+}
+
+async function onImport() {
+  const origin = document.querySelector("#input-origin").value.trim();
+  const status = document.querySelector("#import-status");
+
+  if (!parsedFile) {
+    return;
+  }
+  if (!origin) {
+    setStatus(status, "Enter the origin to import the snapshot into.", true);
+    return;
+  }
+
+  try {
+    const snapshotKey = await addSnapshot({...parsedFile, origin}, passphrase);
+    console.log(`Imported snapshot ${snapshotKey}`);
+  } catch (error) {
+    setStatus(status, `Import failed: ${error}`, true);
+    return;
+  }
+  setStatus(status, `Imported snapshot of "${parsedFile.dbName}" for ${origin}`);
+
+  // An open popup should show the new snapshot. It's fine if there is none.
+  browser.runtime.sendMessage({
+    target: "popup",
+    command: "refresh-snapshot-display",
+  }).catch(() => {});
+}
+
+function setup() {
+  const params = new URLSearchParams(window.location.search);
+  document.querySelector("#input-origin").value = params.get("origin") ?? "";
+  document.querySelector("#input-file").onchange = onFileChange;
+  document.querySelector("#button-import").onclick = onImport;
+  document.querySelector("#button-decrypt").onclick = onDecrypt;
+}
+
+setup();
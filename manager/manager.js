@@ -0,0 +1,363 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Snapshot manager - list the snapshots of every origin, not just the
+   active tab's, so they can be cleaned up or moved to another origin.
+ */
+
+import { formatBytes, promisePopupConfirm } from '../modules/core.js';
+import {
+  deleteSnapshots, listSnapshotOrigins, listSnapshots, moveSnapshot
+} from '../modules/snapshots.js';
+
+/* The `snapshots` store index each sortable field is read through */
+const SORT_INDEXES = {
+  created: "by_created",
+  origin: "by_origin",
+  dbName: "by_dbName",
+  dbVersion: "by_dbVersion",
+  recordCount: "by_recordCount",
+};
+
+function setStatus(text, isError) {
+  const node = document.querySelector("#manager-status");
+  node.textContent = text;
+  node.classList.toggle("error", !!isError);
+}
+
+function readFilters() {
+  const value = (id) => document.querySelector(id).value.trim();
+  const count = (id) => value(id) === "" ? null : Number(value(id));
+  return {
+    origin: value("#filter-origin"),
+    dbName: value("#filter-db-name"),
+    dbVersion: value("#filter-db-version"),
+    minRecords: count("#filter-min-records"),
+    maxRecords: count("#filter-max-records"),
+  };
+}
+
+/* The key ranges to read `field`'s index with to apply its filter,
+   an empty list if it isn't filtered on.
+ */
+function filterRanges(field, filters) {
+  switch (field) {
+    case "origin":
+      return filters.origin ? [IDBKeyRange.only(filters.origin)] : [];
+    case "dbName":
+      return filters.dbName ? [IDBKeyRange.only(filters.dbName)] : [];
+    case "dbVersion": {
+      if (!filters.dbVersion) {
+        return [];
+      }
+      // Older snapshots may hold the version as a string. Numbers
+      // sort before strings, so the ranges are in index order.
+      const version = Number(filters.dbVersion);
+      return Number.isNaN(version)
+        ? [IDBKeyRange.only(filters.dbVersion)]
+        : [IDBKeyRange.only(version), IDBKeyRange.only(filters.dbVersion)];
+    }
+    case "recordCount": {
+      const { minRecords: min, maxRecords: max } = filters;
+      if (min !== null && max !== null) {
+        return min <= max ? [IDBKeyRange.bound(min, max)] : [];
+      }
+      if (min !== null) {
+        return [IDBKeyRange.lowerBound(min)];
+      }
+      if (max !== null) {
+        return [IDBKeyRange.upperBound(max)];
+      }
+      return [];
+    }
+    default:
+      return [];
+  }
+}
+
+/* The filtered fields whose index is read instead of the sort
+   field's when the sort field isn't filtered on, most selective
+   first. */
+const FILTER_FIELDS = ["dbVersion", "dbName", "origin", "recordCount"];
+
+/* Read the snapshots matching one of the filters through an index,
+   sorted by `field`. Reading the sort field's index applies its
+   filter and the order at once. Otherwise a filtered field's index
+   is read, so only the snapshots matching it are loaded, and they're
+   sorted here, in the order the sort field's index would have them.
+   The other filters are left to `matchesFilters`.
+ */
+async function readSnapshots(field, direction, filters) {
+  let ranges = filterRanges(field, filters);
+  const readField = ranges.length > 0
+    ? field
+    : FILTER_FIELDS.find(name => filterRanges(name, filters).length > 0);
+  if (!readField) {
+    return listSnapshots(SORT_INDEXES[field], undefined, direction);
+  }
+
+  ranges = filterRanges(readField, filters);
+  if (readField === field && ranges.length === 1) {
+    return listSnapshots(SORT_INDEXES[field], ranges[0], direction);
+  }
+  const lists = await Promise.all(
+    ranges.map(range => listSnapshots(SORT_INDEXES[readField], range))
+  );
+  const snapshots = lists.flat()
+    // As in the index, snapshots without the field aren't listed.
+    .filter(snap => snap[field] !== undefined);
+  const sign = direction === "prev" ? -1 : 1;
+  return snapshots.sort((a, b) => sign * (
+    window.indexedDB.cmp(a[field], b[field]) ||
+    window.indexedDB.cmp(a.id, b.id)
+  ));
+}
+
+function matchesFilters(snap, filters) {
+  return (!filters.origin || snap.origin === filters.origin) &&
+    (!filters.dbName || snap.dbName === filters.dbName) &&
+    // Older snapshots may hold the version as a string.
+    (!filters.dbVersion || String(snap.dbVersion) === filters.dbVersion) &&
+    (filters.minRecords === null || snap.recordCount >= filters.minRecords) &&
+    (filters.maxRecords === null || snap.recordCount <= filters.maxRecords);
+}
+
+/* Counts calls to `refresh`, so a listing that finishes after a
+   newer one doesn't replace it. */
+let refreshRequest = 0;
+
+async function refresh() {
+  const request = ++refreshRequest;
+  await refreshOrigins();
+
+  const field = document.querySelector("#sort-field").value;
+  const direction = document.querySelector("#sort-direction").value;
+  const filters = readFilters();
+  let snapshots;
+  try {
+    snapshots = await readSnapshots(field, direction, filters);
+  } catch (error) {
+    if (request === refreshRequest) {
+      setStatus(`Couldn't list snapshots: ${error}`, true);
+    }
+    return;
+  }
+  if (request !== refreshRequest) {
+    return;
+  }
+  snapshots = snapshots.filter(snap => matchesFilters(snap, filters));
+
+  displaySnapshots(snapshots);
+  updateSelection();
+  await showStorageUsed(snapshots, request);
+}
+
+/* Offer every origin with snapshots in the origin filter, keeping the
+   current choice where possible.
+ */
+async function refreshOrigins() {
+  const select = document.querySelector("#filter-origin");
+  const selected = select.value;
+  const origins = await listSnapshotOrigins();
+  while (select.firstChild) {
+    select.removeChild(select.firstChild);
+  }
+  for (const [value, text] of [["", "any origin"], ...origins.map(o => [o, o])]) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.appendChild(document.createTextNode(text));
+    select.appendChild(option);
+  }
+  select.value = origins.includes(selected) ? selected : "";
+}
+
+function displaySnapshots(snapshots) {
+  const tbody = document.querySelector("#table-all-snapshots tbody");
+  while (tbody.firstChild) {
+    tbody.removeChild(tbody.firstChild);
+  }
+
+  for (const snap of snapshots) {
+    const tr = document.createElement("tr");
+    tbody.appendChild(tr);
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.classList.add("snapshot-select");
+    checkbox.dataset.snapshotKey = snap.id;
+    checkbox.onchange = updateSelection;
+
+    const dbDiv = document.createElement("div");
+    dbDiv.appendChild(document.createTextNode(snap.dbName));
+    if (snap.name) {
+      const name = document.createElement("div");
+      name.classList.add("snapshot-name");
+      name.appendChild(document.createTextNode(snap.name));
+      dbDiv.appendChild(name);
+    }
+    if (snap.complete === false) {
+      const incomplete = document.createElement("div");
+      incomplete.classList.add("incomplete");
+      incomplete.appendChild(document.createTextNode("incomplete"));
+      dbDiv.appendChild(incomplete);
+    }
+
+    const actions = document.createElement("div");
+    const moveButton = document.createElement("button");
+    moveButton.appendChild(document.createTextNode("move"));
+    moveButton.onclick = () => onMove(snap);
+    const deleteButton = document.createElement("button");
+    deleteButton.appendChild(document.createTextNode("delete"));
+    deleteButton.onclick = () => onDelete([snap.id]);
+    actions.appendChild(moveButton);
+    actions.appendChild(deleteButton);
+
+    const colNodes = [
+      checkbox,
+      document.createTextNode(snap.origin),
+      dbDiv,
+      document.createTextNode(snap.dbVersion),
+      document.createTextNode(new Date(snap.created).toUTCString()),
+      document.createTextNode(snap.recordCount),
+      actions,
+    ];
+    for (const node of colNodes) {
+      const td = document.createElement("td");
+      td.appendChild(node);
+      tr.appendChild(td);
+    }
+  }
+}
+
+function selectedKeys() {
+  return [...document.querySelectorAll(".snapshot-select")]
+    .filter(checkbox => checkbox.checked)
+    .map(checkbox => Number(checkbox.dataset.snapshotKey));
+}
+
+function updateSelection() {
+  const keys = selectedKeys();
+  const checkboxes = document.querySelectorAll(".snapshot-select");
+  const selectAll = document.querySelector("#select-all");
+  selectAll.checked = checkboxes.length > 0 && keys.length === checkboxes.length;
+  selectAll.indeterminate = keys.length > 0 && keys.length < checkboxes.length;
+  document.querySelector("#button-delete-selected").disabled = keys.length === 0;
+  document.querySelector("#selection-info").textContent = keys.length > 0
+    ? `${keys.length} of ${checkboxes.length} selected`
+    : "";
+}
+
+function onSelectAll(ev) {
+  for (const checkbox of document.querySelectorAll(".snapshot-select")) {
+    checkbox.checked = ev.target.checked;
+  }
+  updateSelection();
+}
+
+/* Show the listed snapshots' records, and the browser's estimate of
+   the storage used by all the extension's data: every origin's
+   snapshots, their settings and everything else it keeps. Nothing is
+   shown if a newer `refresh` than `request` has started meanwhile.
+ */
+async function showStorageUsed(snapshots, request) {
+  const records = snapshots
+    .map(snap => snap.recordCount ?? 0)
+    .reduce((a, b) => a + b, 0);
+  const parts = [`${snapshots.length} snapshots listed, ${records} records.`];
+  try {
+    const { usage } = await navigator.storage.estimate();
+    parts.push(
+      "Storage used by the whole extension, for all origins " +
+      `(browser estimate): ${formatBytes(usage)}.`
+    );
+  } catch (error) {
+    console.log("Storage estimate unavailable", error);
+  }
+  if (request !== refreshRequest) {
+    return;
+  }
+  document.querySelector("#storage-info").textContent = parts.join(" ");
+}
+
+async function onDelete(snapshotKeys) {
+  const confirmed = await promisePopupConfirm(
+    `Delete ${snapshotKeys.length} snapshot(s)? This can't be undone.`
+  );
+  if (!confirmed) {
+    return;
+  }
+  try {
+    await deleteSnapshots(snapshotKeys);
+    setStatus(`Deleted ${snapshotKeys.length} snapshot(s)`);
+  } catch (error) {
+    setStatus(`Delete failed: ${error}`, true);
+  }
+  notifyPopup();
+  refresh();
+}
+
+async function onMove(snap) {
+  const origin = prompt(
+    `Move the snapshot of "${snap.dbName}" to origin:`, snap.origin
+  )?.trim();
+  if (!origin || origin === snap.origin) {
+    return;
+  }
+  try {
+    await moveSnapshot(snap.id, origin);
+    setStatus(`Moved the snapshot of "${snap.dbName}" to ${origin}`);
+  } catch (error) {
+    setStatus(`Move failed: ${error}`, true);
+  }
+  notifyPopup();
+  refresh();
+}
+
+/* An open popup should show the changes. It's fine if there is none. */
+function notifyPopup() {
+  browser.runtime.sendMessage({
+    target: "popup",
+    command: "refresh-snapshot-display",
+  }).catch(() => {});
+}
+
+function setup() {
+  const controls = document.querySelectorAll(
+    "#manager-controls input, #manager-controls select"
+  );
+  for (const control of controls) {
+    control.onchange = refresh;
+  }
+  document.querySelector("#select-all").onchange = onSelectAll;
+  document.querySelector("#button-delete-selected").onclick = () => {
+    onDelete(selectedKeys());
+  };
+
+  // Snapshots taken, imported or deleted elsewhere.
+  browser.runtime.onMessage.addListener((message) => {
+    if (message?.target === "popup" &&
+        message.command === "refresh-snapshot-display") {
+      refresh();
+    }
+  });
+
+  refresh();
+}
+
+setup();
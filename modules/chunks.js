@@ -0,0 +1,98 @@
+/*
+   IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+   Copyright (C) 2025 Erik Swanson
+
+   This program is free software: you can redistribute it and/or modify
+   it under the terms of the GNU General Public License as published by
+   the Free Software Foundation, either version 3 of the License, or
+   (at your option) any later version.
+
+   This program is distributed in the hope that it will be useful,
+   but WITHOUT ANY WARRANTY; without even the implied warranty of
+   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+   GNU General Public License for more details.
+
+   You should have received a copy of the GNU General Public License
+   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* Chunks - split a store's records into content-defined chunks, so
+   snapshots of a database that changed a little share most of their
+   records (see snapshots.js).
+
+   Each record is hashed, and a chunk ends after any record whose hash
+   picks it as a boundary, about one record in CHUNK_TARGET_RECORDS.
+   Since the boundaries only depend on the records themselves, adding
+   or changing a record only changes the chunk it's in. With fixed
+   size batches every batch after it would shift.
+
+   A chunk is `{hash, records, size}`:
+
+   - `hash`: the SHA-256 of its records' hashes, which addresses it
+     in the chunk store.
+   - `records`: its `[primaryKey, value]` pairs.
+   - `size`: the size in bytes of its records' serialization (see
+     serialization.js) as UTF-8, an estimate of the space it takes
+     uncompressed. IndexedDB's own encoding of them isn't visible.
+ */
+
+import { SNAPSHOT_BATCH_SIZE } from './core.js';
+import { stringify } from './serialization.js';
+
+/* The average number of records in a chunk. Chunks are cut at
+   SNAPSHOT_BATCH_SIZE records at most. */
+export const CHUNK_TARGET_RECORDS = 128;
+
+const encoder = new TextEncoder();
+
+async function sha256(bytes) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return [...new Uint8Array(digest)]
+    .map(byte => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/* Split a store's records into chunks as they arrive, a batch at a
+   time. `onChunk(chunk)` is called, and awaited, for each finished
+   chunk.
+
+   Returns `{add(records), flush()}`, call `flush` after the store's
+   last records to finish its last chunk.
+ */
+export function chunker(onChunk) {
+  let records = [];
+  let hashes = [];
+  let size = 0;
+
+  async function flush() {
+    if (records.length === 0) {
+      return;
+    }
+    const chunk = { records, size };
+    const chunkHashes = hashes;
+    records = [];
+    hashes = [];
+    size = 0;
+    chunk.hash = await sha256(encoder.encode(chunkHashes.join("")));
+    await onChunk(chunk);
+  }
+
+  async function add(batch) {
+    for (const record of batch) {
+      const bytes = encoder.encode(await stringify(record));
+      const hash = await sha256(bytes);
+      records.push(record);
+      hashes.push(hash);
+      size += bytes.byteLength;
+      const boundary =
+        parseInt(hash.slice(0, 8), 16) % CHUNK_TARGET_RECORDS === 0;
+      if (boundary || records.length >= SNAPSHOT_BATCH_SIZE) {
+        await flush();
+      }
+    }
+  }
+
+  return { add, flush };
+}
@@ -0,0 +1,64 @@
+/*
+   IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+   Copyright (C) 2025 Erik Swanson
+
+   This program is free software: you can redistribute it and/or modify
+   it under the terms of the GNU General Public License as published by
+   the Free Software Foundation, either version 3 of the License, or
+   (at your option) any later version.
+
+   This program is distributed in the hope that it will be useful,
+   but WITHOUT ANY WARRANTY; without even the implied warranty of
+   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+   GNU General Public License for more details.
+
+   You should have received a copy of the GNU General Public License
+   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* Compression - gzip data with the browser's CompressionStream, for
+   the records of stored snapshots (see snapshots.js) and exported
+   snapshot files.
+ */
+
+import { parse, stringify } from './serialization.js';
+
+const FORMAT = "gzip";
+
+/* Compress text (or a Blob or ArrayBuffer). Resolves to an
+   ArrayBuffer.
+ */
+export function compress(data) {
+  const stream = new Blob([data]).stream()
+    .pipeThrough(new CompressionStream(FORMAT));
+  return new Response(stream).arrayBuffer();
+}
+
+/* Decompress data made by `compress`. Resolves to its text. */
+export function decompressText(data) {
+  const stream = new Blob([data]).stream()
+    .pipeThrough(new DecompressionStream(FORMAT));
+  return new Response(stream).text();
+}
+
+/* True if an ArrayBuffer starts with the gzip magic number, e.g. to
+   tell a compressed file from a plain one.
+ */
+export function isCompressed(buffer) {
+  const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 2));
+  return bytes.length === 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+/* Compress a list of records, keeping every type IndexedDB can store
+   (see serialization.js). Resolves to an ArrayBuffer.
+ */
+export async function compressRecords(records) {
+  return compress(await stringify(records));
+}
+
+/* The records compressed by `compressRecords` */
+export async function decompressRecords(buffer) {
+  return parse(await decompressText(buffer));
+}
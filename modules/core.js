@@ -29,7 +29,11 @@
 import { idbResponse, versionUpgrades } from './indexedDbUtilities.js';
 
 export const DBNAME = 'indexed-db-utils';
-export const DBVERSION = 1;
+export const DBVERSION = 5;
+
+/* How many records are read, sent and stored together when taking or
+   restoring a snapshot. */
+export const SNAPSHOT_BATCH_SIZE = 500;
 
 /* Own setup, version & connection to this extension's indexeddb
    databases. Other modules should import and use this function
@@ -59,11 +63,87 @@ export function dbConnect(version=DBVERSION) {
           const createdIndex = store.createIndex("by_created", "created");
           const recordIndex = store.createIndex("by_recordCount", "recordCount");
         },
+        2: (db, tx) => {
+          /* Records are kept apart from the snapshot metadata, in
+             batches keyed by [snapshotId, storeName, seq]. */
+          const batches = db.createObjectStore(
+            "snapshotBatches", {keyPath: ["snapshotId", "storeName", "seq"]}
+          );
+          moveSnapshotsToBatches(tx.objectStore("snapshots"), batches);
+        },
+        3: (db, tx) => {
+          /* Snapshots can be given a name, notes and tags, see
+             `updateSnapshotLabels` in snapshots.js. Tags are looked
+             up by index when filtering, see popup/snapshotLabels.js. */
+          const store = tx.objectStore("snapshots");
+          const nameIndex = store.createIndex("by_name", "name");
+          const tagIndex = store.createIndex(
+            "by_tag", "tags", {multiEntry: true}
+          );
+        },
+        4: (db) => {
+          /* Records are stored once, in content-addressed chunks
+             shared between snapshots, with a reference count for
+             each chunk (see chunks.js and snapshots.js). Batches
+             stored before keep their records until
+             `dedupeSnapshots` moves them into chunks. */
+          db.createObjectStore("chunks", {keyPath: "hash"});
+          db.createObjectStore("chunkRefs", {keyPath: "hash"});
+        },
+        5: (db, tx) => {
+          /* Names are searched along with the notes, in memory (see
+             `filterSnapshots` in popup/snapshotLabels.js), so the
+             by_name index isn't needed. */
+          tx.objectStore("snapshots").deleteIndex("by_name");
+        },
       })
     }
   });
 }
 
+/* Version 2 upgrade: move the records each snapshot held in its
+   `snapshot` property into the `snapshotBatches` store.
+ */
+function moveSnapshotsToBatches(snapshots, batches) {
+  snapshots.openCursor().onsuccess = (ev) => {
+    const cursor = ev.target.result;
+    if (!cursor) {
+      return;
+    }
+    const { snapshot, ...metadata } = cursor.value;
+    metadata.storeCounts = {};
+    metadata.complete = true;
+    for (const storeName of metadata.stores) {
+      const entries = snapshot?.[storeName] ?? [];
+      metadata.storeCounts[storeName] = entries.length;
+      for (let i = 0; i * SNAPSHOT_BATCH_SIZE < entries.length; i++) {
+        batches.add({
+          snapshotId: metadata.id,
+          storeName: storeName,
+          seq: i,
+          records: entries.slice(
+            i * SNAPSHOT_BATCH_SIZE, (i + 1) * SNAPSHOT_BATCH_SIZE
+          ),
+        });
+      }
+    }
+    cursor.update(metadata);
+    cursor.continue();
+  }
+}
+
+/* A byte count for display, e.g. "1.5 MB" */
+export function formatBytes(bytes) {
+  const units = ["bytes", "KB", "MB", "GB"];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit += 1;
+  }
+  return unit === 0 ? `${size} ${units[0]}` : `${size.toFixed(1)} ${units[unit]}`;
+}
+
 export function popupConfirm(message, onYes, onNo) {
   const isOk = confirm(message);
   if (isOk) {
@@ -84,17 +164,91 @@ export function promisePopupConfirm(message) {
   });
 }
 
-/* Send a message to the current, active tab's content_script.
+/* True in the devtools panel (devtools/devtools.js), which shows
+   popup/menu.html for the tab being inspected.
+ */
+export function inDevtools() {
+  return !!browser.devtools?.inspectedWindow;
+}
 
-   Returns a promise that resolves to the value of the response to the
-   underlying `sendMessage` call.
+/* Devtools panels only get a few of the extension APIs (devtools,
+   runtime, storage and the like), not tabs, webNavigation or
+   permissions. In the panel, calls to those are relayed through the
+   background script instead, see `tabRelay` there.
+ */
+function tabApi(method, ...args) {
+  if (!inDevtools()) {
+    const [api, name] = method.split(".");
+    return browser[api][name](...args);
+  }
+  return browser.runtime.sendMessage({
+    target: "background",
+    command: "tab-relay",
+    method,
+    args,
+  });
+}
+
+/* `tabs.executeScript`, which also works in the devtools panel */
+export function executeTabScript(tabId, details) {
+  return tabApi("tabs.executeScript", tabId, details);
+}
+
+/* `tabs.sendMessage`, which also works in the devtools panel */
+export function sendTabMessage(tabId, message, options) {
+  return tabApi("tabs.sendMessage", tabId, message, options);
+}
+
+/* `webNavigation.getAllFrames`, which also works in the devtools
+   panel */
+export function getAllFrames(tabId) {
+  return tabApi("webNavigation.getAllFrames", { tabId });
+}
+
+/* Open one of the extension's pages in a new tab */
+export function openExtensionPage(url) {
+  return tabApi("tabs.create", { url });
+}
+
+/* Ask for access to `origins` (see `originPattern` in settings.js).
+   Must be called straight from a click, before anything is awaited.
+
+   The devtools panel can't ask, so there this only checks whether
+   access was already granted, e.g. from the toolbar popup. Resolves
+   to true if the extension has access.
  */
-export function sendContentScriptMessage(message) {
+export function requestOriginAccess(origins) {
+  if (inDevtools()) {
+    return tabApi("permissions.contains", { origins });
+  }
+  return browser.permissions.request({ origins });
+}
+
+/* The tab the popup works on: the current, active tab, or the tab
+   being inspected in the devtools panel. */
+export function targetTabId() {
+  if (inDevtools()) {
+    return Promise.resolve(browser.devtools.inspectedWindow.tabId);
+  }
   return browser
     .tabs
     .query({ active: true, currentWindow: true })
-    .then((activeTabs) => {
-      const tabId = activeTabs[0].id;
-      return browser.tabs.sendMessage(tabId, message);
-    });
+    .then(activeTabs => activeTabs[0].id);
+}
+
+/* Send a message to the content_script of a tab, by default the
+   current, active tab (see `targetTabId`).
+
+   `frameId` picks which of the tab's frames gets it, the top frame by
+   default. Content scripts can be installed in several frames, and
+   only one of their answers would be used.
+
+   Returns a promise that resolves to the value of the response to the
+   underlying `sendMessage` call.
+ */
+export function sendContentScriptMessage(message, frameId = 0, tabId) {
+  const tab = tabId === undefined ? targetTabId() : Promise.resolve(tabId);
+  return tab.then((id) => {
+    return sendTabMessage(id, message, { frameId });
+  });
 }
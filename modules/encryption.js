@@ -0,0 +1,192 @@
+/*
+   IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+   Copyright (C) 2025 Erik Swanson
+
+   This program is free software: you can redistribute it and/or modify
+   it under the terms of the GNU General Public License as published by
+   the Free Software Foundation, either version 3 of the License, or
+   (at your option) any later version.
+
+   This program is distributed in the hope that it will be useful,
+   but WITHOUT ANY WARRANTY; without even the implied warranty of
+   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+   GNU General Public License for more details.
+
+   You should have received a copy of the GNU General Public License
+   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Encryption - passphrase-based encryption with WebCrypto, for
+   snapshots holding data that shouldn't sit in the clear, both their
+   stored records (see snapshots.js) and the files they're exported to
+   (see snapshotFile.js).
+
+   Keys are derived from the passphrase with PBKDF2 and a random salt,
+   and data is encrypted with AES-GCM. The passphrase is never stored,
+   only what's needed to derive the keys again: `{salt, iterations,
+   check}`, where `check` is a known text encrypted with the key, so a
+   wrong passphrase is caught before anything is decrypted.
+
+   Encrypted data is `{iv, data}`, both ArrayBuffers or Uint8Arrays.
+ */
+
+import {
+  compress, compressRecords, decompressRecords, decompressText
+} from './compression.js';
+import {
+  base64ToBytes, bytesToBase64, parse, stringify
+} from './serialization.js';
+
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const CHECK_TEXT = "indexeddb-utils";
+
+/* Derive the keys for a passphrase: `cipher` (AES-GCM) and `mac`
+   (HMAC), see `keyedHash`.
+ */
+async function deriveKeys(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(passphrase), "PBKDF2", false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" }, material, 512
+  );
+  const cipher = await crypto.subtle.importKey(
+    "raw", bits.slice(0, 32), "AES-GCM", false, ["encrypt", "decrypt"]
+  );
+  const mac = await crypto.subtle.importKey(
+    "raw", bits.slice(32), { name: "HMAC", hash: "SHA-256" }, false,
+    ["sign"]
+  );
+  return { cipher, mac };
+}
+
+/* Start encrypting with a new passphrase. Resolves to `{params,
+   keys}`, where `params` is kept with the encrypted data to unlock it
+   again with `unlockEncryption`.
+ */
+export async function createEncryption(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const keys = await deriveKeys(passphrase, salt, PBKDF2_ITERATIONS);
+  const check = await encrypt(keys, CHECK_TEXT);
+  return { params: { salt, iterations: PBKDF2_ITERATIONS, check }, keys };
+}
+
+/* Derive the keys of `params` (see `createEncryption`) again.
+   Throws an Error if the passphrase is wrong.
+ */
+export async function unlockEncryption(params, passphrase) {
+  const { salt, iterations, check } = params;
+  const keys = await deriveKeys(passphrase, salt, iterations);
+  let text;
+  try {
+    text = new TextDecoder().decode(await decrypt(keys, check));
+  } catch (error) {
+    text = null;
+  }
+  if (text !== CHECK_TEXT) {
+    throw new Error("Wrong passphrase");
+  }
+  return keys;
+}
+
+/* Encrypt text or binary data. Resolves to `{iv, data}`. */
+export async function encrypt(keys, data) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const bytes = typeof data === "string"
+    ? new TextEncoder().encode(data)
+    : data;
+  return {
+    iv,
+    data: await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv }, keys.cipher, bytes
+    ),
+  };
+}
+
+/* Decrypt `{iv, data}`. Resolves to an ArrayBuffer, rejects if the
+   data was encrypted with other keys or has been tampered with.
+ */
+export function decrypt(keys, sealed) {
+  return crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: sealed.iv }, keys.cipher, sealed.data
+  );
+}
+
+/* A hash of some text that can only be worked out with the keys, so
+   identical encrypted data can be found without revealing a hash of
+   what's encrypted.
+ */
+export async function keyedHash(keys, text) {
+  const digest = await crypto.subtle.sign(
+    "HMAC", keys.mac, new TextEncoder().encode(text)
+  );
+  return [...new Uint8Array(digest)]
+    .map(byte => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/* Encrypt a list of records, keeping every type IndexedDB can store
+   (see serialization.js), and compressing them first if `compressed`.
+   Resolves to `{iv, data, compressed}`.
+ */
+export async function encryptRecords(keys, records, compressed) {
+  const data = compressed
+    ? await compressRecords(records)
+    : await stringify(records);
+  return { ...await encrypt(keys, data), compressed };
+}
+
+/* The records encrypted by `encryptRecords` */
+export async function decryptRecords(keys, sealed) {
+  const data = await decrypt(keys, sealed);
+  return sealed.compressed
+    ? decompressRecords(data)
+    : parse(new TextDecoder().decode(data));
+}
+
+/* Encrypt text with a passphrase, for a file, compressing it first
+   if `compressed` (encrypted data doesn't compress). Resolves to
+   `{encryption: {salt, iterations, iv, compressed}, data}`, all base64
+   encoded apart from `iterations` and `compressed`.
+ */
+export async function encryptText(passphrase, text, compressed=false) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const keys = await deriveKeys(passphrase, salt, PBKDF2_ITERATIONS);
+  const { iv, data } = await encrypt(
+    keys, compressed ? await compress(text) : text
+  );
+  return {
+    encryption: {
+      salt: bytesToBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      iv: bytesToBase64(iv),
+      compressed,
+    },
+    data: bytesToBase64(new Uint8Array(data)),
+  };
+}
+
+/* The text encrypted by `encryptText`. Throws an Error if the
+   passphrase is wrong.
+ */
+export async function decryptText(passphrase, encryption, data) {
+  const keys = await deriveKeys(
+    passphrase, base64ToBytes(encryption.salt), encryption.iterations
+  );
+  let plain;
+  try {
+    plain = await decrypt(keys, {
+      iv: base64ToBytes(encryption.iv),
+      data: base64ToBytes(data),
+    });
+  } catch (error) {
+    throw new Error("Wrong passphrase, or the file is damaged");
+  }
+  return encryption.compressed
+    ? decompressText(plain)
+    : new TextDecoder().decode(plain);
+}
@@ -42,6 +42,73 @@ export function idbResponse(request, onSuccess) {
   });
 }
 
+/* Resolve once a transaction has committed, reject if it fails or
+   is aborted.
+
+   Create the promise before awaiting any request in the transaction,
+   so the `complete` event can't be missed.
+ */
+export function idbTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = (ev) => {
+      resolve();
+    }
+    transaction.onerror = (ev) => {
+      reject(`IDBTransaction Error: ${ev.target.error}`);
+    }
+    transaction.onabort = (ev) => {
+      reject(`IDBTransaction Aborted: ${transaction.error}`);
+    }
+  });
+}
+
+/* Wait for `promise` (e.g. a message) without letting the transaction
+   of `store` commit, and resolve to its value.
+
+   A transaction commits as soon as it has no requests left, so
+   cheap requests are made on `store` one after the other until the
+   promise settles. This resolves from one of their `success` events,
+   while the transaction is still active, so the caller can go on
+   making requests in it.
+ */
+export function idbKeepOpen(store, promise) {
+  return new Promise((resolve, reject) => {
+    let outcome = null;
+    promise.then(
+      (value) => { outcome = { value }; },
+      (error) => { outcome = { error }; }
+    );
+    (function ping() {
+      const request = store.count(IDBKeyRange.only(-Infinity));
+      request.onsuccess = () => {
+        if (outcome === null) {
+          ping();
+        } else if ("error" in outcome) {
+          reject(outcome.error);
+        } else {
+          resolve(outcome.value);
+        }
+      };
+      request.onerror = () => reject(request.error);
+    })();
+  });
+}
+
+/* Reject a cursor's promise if its request fails or its transaction
+   is aborted, so it isn't left pending forever. The abort is listened
+   for rather than assigned, not to replace the transaction's own
+   handlers (see `idbTransactionDone`).
+ */
+function rejectOnCursorFailure(request, reject) {
+  request.onerror = (ev) => {
+    reject(`IDBRequest Error: ${ev.target.error}`);
+  }
+  const transaction = request.transaction;
+  transaction.addEventListener("abort", () => {
+    reject(`IDBTransaction Aborted: ${transaction.error}`);
+  });
+}
+
 /* Async function which collects the results of iterating over a
    cursor into a list.
 
@@ -56,13 +123,18 @@ export function idbResponse(request, onSuccess) {
    `cursor.value`. If not provided, it defaults to the identity
    function.
 
+   `direction` (optional) :: The cursor direction, e.g. "prev" to
+   collect in descending key order. Defaults to "next".
+
  */
-export function idbCursorCollect(cursorTarget, range, valFn) {
+export function idbCursorCollect(cursorTarget, range, valFn, direction) {
   valFn = !!valFn ? valFn : (x) => x;
 
   return new Promise((resolve, reject) => {
     const collection = [];
-    cursorTarget.openCursor(range).onsuccess = (ev) => {
+    const request = cursorTarget.openCursor(range, direction);
+    rejectOnCursorFailure(request, reject);
+    request.onsuccess = (ev) => {
       const cursor = ev.target.result;
       if (cursor) {
         collection.push(valFn(cursor.value));
@@ -98,7 +170,9 @@ export function idbCursorEach(cursorTarget, range, acc, opFn) {
 
   return new Promise((resolve, reject) => {
     let accumulator = acc;
-    cursorTarget.openCursor(range).onsuccess = (ev) => {
+    const request = cursorTarget.openCursor(range);
+    rejectOnCursorFailure(request, reject);
+    request.onsuccess = (ev) => {
       const cursor = ev.target.result;
       if (cursor) {
         accumulator = opFn(cursor, accumulator);
@@ -110,6 +184,119 @@ export function idbCursorEach(cursorTarget, range, acc, opFn) {
   });
 }
 
+/* Read one page of records from a cursor, starting after a given
+   position, so large stores can be browsed without loading every
+   record.
+
+   `cursorTarget` :: Either an IDBObjectStore or IDBIndex to iterate
+   through.
+
+   `range` (optional) :: An IDBKeyRange to restrict the cursor to.
+
+   `direction` :: "next" or "prev".
+
+   `after` (optional) :: The `{key, primaryKey}` position of the last
+   record of the previous page. If not provided the page starts at the
+   beginning of the range.
+
+   `count` :: The maximum number of records in the page.
+
+   Resolves to `{entries, next}`, where `entries` is a list of `{key,
+   primaryKey, value}` and `next` is the position to pass as `after`
+   to get the following page, or null if this is the last page.
+ */
+export function idbCursorPage(cursorTarget, range, direction, after, count) {
+  const isIndex = cursorTarget instanceof IDBIndex;
+  const reverse = direction === "prev";
+
+  /* Where the cursor is relative to `after`, in the direction of
+     travel: negative if before it, 0 if at it, positive if past it */
+  function comparePosition(cursor) {
+    let cmp = window.indexedDB.cmp(cursor.key, after.key);
+    if (cmp === 0 && isIndex) {
+      cmp = window.indexedDB.cmp(cursor.primaryKey, after.primaryKey);
+    }
+    return reverse ? -cmp : cmp;
+  }
+
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    let positioned = !after;
+
+    const request = cursorTarget.openCursor(range, direction);
+    rejectOnCursorFailure(request, reject);
+    request.onsuccess = (ev) => {
+      const cursor = ev.target.result;
+      if (!cursor) {
+        resolve({ entries, next: null });
+        return;
+      }
+
+      if (!positioned) {
+        const position = comparePosition(cursor);
+        if (position < 0) {
+          // Jump straight to `after`, then check again.
+          if (isIndex) {
+            cursor.continuePrimaryKey(after.key, after.primaryKey);
+          } else {
+            cursor.continue(after.key);
+          }
+          return;
+        }
+        positioned = true;
+        if (position === 0) {
+          // `after` itself was on the previous page.
+          cursor.continue();
+          return;
+        }
+      }
+
+      // Read one record more than needed, to know if there's a next page.
+      if (entries.length === count) {
+        const { key, primaryKey } = entries[count - 1];
+        resolve({ entries, next: { key, primaryKey } });
+        return;
+      }
+      entries.push({
+        key: cursor.key,
+        primaryKey: cursor.primaryKey,
+        value: cursor.value,
+      });
+      cursor.continue();
+    }
+  });
+}
+
+/* Build an IDBKeyRange from a plain object description, which can be
+   sent in extension messages.
+
+   `spec.type` is one of "only", "lowerBound", "upperBound" or
+   "bound". "only" and "lowerBound" use `spec.lower`, "upperBound"
+   uses `spec.upper`, and "bound" both. `spec.lowerOpen` and
+   `spec.upperOpen` exclude the bounds themselves.
+
+   Returns undefined (meaning all keys) if `spec` or `spec.type` is
+   empty. Throws a DataError for invalid keys or bounds.
+ */
+export function makeKeyRange(spec) {
+  if (!spec?.type) {
+    return undefined;
+  }
+  const { type, lower, upper, lowerOpen, upperOpen } = spec;
+  switch (type) {
+    case "only":
+      return IDBKeyRange.only(lower);
+    case "lowerBound":
+      return IDBKeyRange.lowerBound(lower, !!lowerOpen);
+    case "upperBound":
+      return IDBKeyRange.upperBound(upper, !!upperOpen);
+    case "bound":
+      return IDBKeyRange.bound(lower, upper, !!lowerOpen, !!upperOpen);
+    default:
+      throw new Error(`Unknown key range type: ${type}`);
+  }
+}
+
 /*
    Manage version upgrade functions for an onupgradeneeded handler.
 
@@ -119,7 +306,9 @@ export function idbCursorEach(cursorTarget, range, acc, opFn) {
    function which upgrades from the previous version.
 
    When a client needs to upgrade, they will run each new function
-   in order.
+   in order. Each function is called with the database and the
+   `versionchange` transaction, which is needed to modify stores that
+   already exist.
 
    Example:
 
@@ -148,7 +337,7 @@ export function versionUpgrades(event, upgradeFns) {
   const current = event.oldVersion;
   const requested = event.newVersion;
 
-  const versions = Object.keys(upgradeFns).map(Number).sort();
+  const versions = Object.keys(upgradeFns).map(Number).sort((a, b) => a - b);
   if (!versions.includes(current)) {
     throw new Error(`upgradeFns missing current version: ${current}`);
   }
@@ -157,12 +346,168 @@ export function versionUpgrades(event, upgradeFns) {
   }
   const versionsSlice = versions.slice(versions.indexOf(current) + 1);
   for (const v of versionsSlice) {
-    upgradeFns[v](db);
+    upgradeFns[v](db, event.target.transaction);
     console.log(`Successfully upgraded ${db.name} to version: ${v}`);
   }
 }
 
 
+/* Describe an objectStore's schema: its keyPath, autoIncrement flag
+   and the definition of each of its indexes.
+
+   `store` :: An IDBObjectStore, from any transaction (including a
+   `versionchange` transaction).
+ */
+export function getStoreSchema(store) {
+  const indexes = {};
+  for (const indexName of store.indexNames) {
+    const index = store.index(indexName);
+    indexes[indexName] = {
+      keyPath: index.keyPath,
+      unique: index.unique,
+      multiEntry: index.multiEntry,
+    };
+  }
+  return {
+    keyPath: store.keyPath,
+    autoIncrement: store.autoIncrement,
+    indexes: indexes,
+  };
+}
+
+/* Describe the full schema of an open database, in a form that can be
+   stored alongside a snapshot and passed back to `createSchema`.
+
+   Example result:
+
+   ```
+   {
+     version: 2,
+     stores: {
+       books: {
+         keyPath: "isbn",
+         autoIncrement: false,
+         indexes: {
+           by_title: {keyPath: "title", unique: true, multiEntry: false},
+         },
+       },
+     },
+   }
+   ```
+ */
+export function getDbSchema(db) {
+  const schema = { version: db.version, stores: {} };
+  const storeNames = [...db.objectStoreNames];
+  if (storeNames.length === 0) {
+    return schema;
+  }
+
+  const tx = db.transaction(storeNames, "readonly");
+  for (const storeName of storeNames) {
+    schema.stores[storeName] = getStoreSchema(tx.objectStore(storeName));
+  }
+  return schema;
+}
+
+/* Create any objectStores and indexes in `schema` that don't already
+   exist in `db`. Must be called from within an onupgradeneeded
+   handler, e.g. as one of the functions passed to `versionUpgrades`.
+
+   Existing stores and indexes are left as they are, even if their
+   definition differs from `schema`.
+ */
+export function createSchema(db, schema, transaction) {
+  for (const [storeName, storeSchema] of Object.entries(schema.stores)) {
+    const { keyPath, autoIncrement, indexes } = storeSchema;
+    const store = db.objectStoreNames.contains(storeName)
+      ? transaction.objectStore(storeName)
+      : db.createObjectStore(storeName, { keyPath, autoIncrement });
+
+    for (const [indexName, indexSchema] of Object.entries(indexes)) {
+      if (store.indexNames.contains(indexName)) {
+        continue;
+      }
+      const { keyPath, unique, multiEntry } = indexSchema;
+      store.createIndex(indexName, keyPath, { unique, multiEntry });
+    }
+  }
+}
+
+/* Evaluate a keyPath against a value, the way IndexedDB does to
+   find a record's in-line key or index key.
+
+   `keyPath` :: A string of dot separated property names, or a list
+   of them for a compound key. The empty string is the value itself.
+
+   Returns undefined if any part of the keyPath is missing.
+ */
+export function keyPathValue(value, keyPath) {
+  if (Array.isArray(keyPath)) {
+    const parts = keyPath.map(path => keyPathValue(value, path));
+    return parts.includes(undefined) ? undefined : parts;
+  }
+  if (keyPath === "") {
+    return value;
+  }
+  let current = value;
+  for (const prop of keyPath.split(".")) {
+    if (typeof current !== "object" || current === null ||
+        !(prop in current)) {
+      // Strings aren't objects, but their length can be a key.
+      if (typeof current === "string" && prop === "length") {
+        current = current.length;
+        continue;
+      }
+      return undefined;
+    }
+    current = current[prop];
+  }
+  return current;
+}
+
+/* Open a database, creating it from `schema` if it doesn't exist.
+
+   The database is opened at `schema.version`. If it doesn't exist, or
+   exists at an older version, the upgrade creates whatever stores and
+   indexes from `schema` are missing. If the database has already been
+   upgraded past `schema.version` it's opened at its current version
+   and left unchanged.
+
+   Resolves to the open IDBDatabase.
+ */
+export function openDbWithSchema(dbName, schema) {
+  return new Promise((resolve, reject) => {
+    const dbOpenReq = window.indexedDB.open(dbName, schema.version);
+
+    dbOpenReq.onupgradeneeded = (event) => {
+      versionUpgrades(event, {
+        0: (db) => {},
+        [event.oldVersion]: (db) => {},
+        [schema.version]: (db, tx) => createSchema(db, schema, tx),
+      });
+    }
+    dbOpenReq.onblocked = (event) => {
+      console.log(
+        `Upgrade of ${dbName} blocked by an open connection, waiting`
+      );
+    }
+    dbOpenReq.onsuccess = (event) => {
+      resolve(dbOpenReq.result);
+    }
+    dbOpenReq.onerror = (event) => {
+      if (dbOpenReq.error?.name !== "VersionError") {
+        reject(`Error opening ${dbName}: ${dbOpenReq.error}`);
+        return;
+      }
+      // The database is newer than the schema, use it as it is.
+      event.preventDefault();
+      idbResponse(window.indexedDB.open(dbName), req => req.result)
+        .then(resolve, reject);
+    }
+  });
+}
+
+
 /*
 
    Return a string that reflects the "same origin" policy of
@@ -0,0 +1,1866 @@
+/*
+   IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+   Copyright (C) 2025 Erik Swanson
+
+   This program is free software: you can redistribute it and/or modify
+   it under the terms of the GNU General Public License as published by
+   the Free Software Foundation, either version 3 of the License, or
+   (at your option) any later version.
+
+   This program is distributed in the hope that it will be useful,
+   but WITHOUT ANY WARRANTY; without even the implied warranty of
+   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+   GNU General Public License for more details.
+
+   You should have received a copy of the GNU General Public License
+   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Interpreter - run user-written JavaScript without `eval` or
+   `new Function`, which the extension's content security policy
+   doesn't allow on any of its pages.
+
+   It runs a synchronous subset of the language, enough for the
+   transforms of modules/transform.js:
+
+   - `const`, `let` and `var`, with destructuring and default values.
+   - `if`, `for` (`;`, `of` and `in`), `while`, `do`, `switch`,
+     `break`, `continue`, `return`, `throw` and `try`, without labels.
+   - Function declarations, function expressions and arrow functions,
+     which can be passed to built-in methods like `Array.map`.
+   - Literals, including templates, regular expressions, spread and
+     computed keys, and the operators, including `?.` and `??`.
+
+   There's no `this`, classes, getters or setters, generators, async
+   functions or tagged templates. Only the built-ins in GLOBALS can be
+   named, and `new` only works on them. The `constructor` and
+   `__proto__` properties can't be used.
+ */
+
+const GLOBALS = {
+  Array, ArrayBuffer, Boolean, DataView, Date, Error, Infinity, JSON,
+  Map, Math, NaN, Number, Object, RangeError, RegExp, Set, String,
+  TypeError, Uint8Array, console, decodeURIComponent, encodeURIComponent,
+  isFinite, isNaN, parseFloat, parseInt, structuredClone,
+  undefined,
+};
+
+const KEYWORDS = new Set([
+  "async", "await", "break", "case", "catch", "class", "const",
+  "continue", "debugger", "default", "delete", "do", "else", "export",
+  "extends", "false", "finally", "for", "function", "if", "import",
+  "in", "instanceof", "let", "new", "null", "return", "super",
+  "switch", "this", "throw", "true", "try", "typeof", "var", "void",
+  "while", "with", "yield",
+]);
+
+// Longest first, so the longest one matching is taken.
+const PUNCTUATORS = [
+  ">>>=", "...", "===", "!==", "**=", "<<=", ">>=", ">>>", "&&=", "||=",
+  "??=", "=>", "==", "!=", "<=", ">=", "&&", "||", "??", "?.", "++",
+  "--", "+=", "-=", "*=", "/=", "%=", "&=", "|=", "^=", "**", "<<",
+  ">>", "{", "}", "(", ")", "[", "]", ";", ",", "<", ">", "+", "-",
+  "*", "/", "%", "&", "|", "^", "!", "~", "?", ":", "=", ".",
+];
+
+const BINARY_PRECEDENCE = {
+  "??": 1, "||": 2, "&&": 3, "|": 4, "^": 5, "&": 6,
+  "==": 7, "!=": 7, "===": 7, "!==": 7,
+  "<": 8, ">": 8, "<=": 8, ">=": 8, "instanceof": 8, "in": 8,
+  "<<": 9, ">>": 9, ">>>": 9,
+  "+": 10, "-": 10,
+  "*": 11, "/": 11, "%": 11,
+  "**": 12,
+};
+
+const ASSIGNMENT_OPERATORS = new Set([
+  "=", "+=", "-=", "*=", "/=", "%=", "**=", "<<=", ">>=", ">>>=", "&=",
+  "|=", "^=", "&&=", "||=", "??=",
+]);
+
+const BLOCKED_PROPERTIES = new Set(["constructor", "__proto__"]);
+
+/* Compile the body of a function taking `params` (a list of names)
+   into a function that runs it. Throws an Error with the line and
+   column of the first syntax error.
+ */
+export function compileFunction(params, source) {
+  const parser = new Parser(source);
+  const body = parser.parseBody();
+  const node = {
+    type: "Function",
+    name: null,
+    params: params.map(name => ({ type: "Identifier", name })),
+    body,
+    expression: false,
+  };
+  return makeFunction(node, globalScope());
+}
+
+/* Call `fn`, stopping any interpreted code still running `ms`
+   milliseconds later with an Error, which the code can't catch.
+ */
+export function withTimeLimit(ms, fn) {
+  const outer = deadline;
+  deadline = Math.min(outer, Date.now() + ms);
+  try {
+    return fn();
+  } catch (error) {
+    if (error instanceof TimeLimitError) {
+      throw new Error(`Stopped after running for ${ms / 1000} seconds`);
+    }
+    throw error;
+  } finally {
+    deadline = outer;
+  }
+}
+
+let deadline = Infinity;
+let steps = 0;
+
+class TimeLimitError extends Error {}
+
+/* Called on every loop iteration and function call */
+function step() {
+  steps = (steps + 1) % 1024;
+  if (steps === 0 && Date.now() > deadline) {
+    throw new TimeLimitError();
+  }
+}
+
+/* Tokens */
+
+const NAME = /[\p{ID_Start}$_][\p{ID_Continue}$\u200c\u200d]*/uy;
+const LINE_BREAK = /[\n\r\u2028\u2029]/;
+const NUMBER = new RegExp(
+  "0[xX][\\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+" +
+  "|(?:\\d[\\d_]*(?:\\.[\\d_]*)?|\\.\\d[\\d_]*)(?:[eE][+-]?\\d[\\d_]*)?",
+  "y"
+);
+const ESCAPES = {
+  n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", v: "\v", 0: "\0",
+};
+
+/* Split `source` into tokens from `start`: `{type, value, start,
+   newline}`, with `newline` set if a line break comes before it.
+   Types are "name", "number", "string", "template", "regex",
+   "punctuator" and "end".
+
+   With `inTemplate`, stops at the `}` closing a template's `${`, and
+   returns `{tokens, end}` with the position after it.
+ */
+function tokenize(source, start = 0, inTemplate = false) {
+  const tokens = [];
+  let pos = start;
+  let newline = false;
+  let depth = 0;
+
+  function fail(message, at = pos) {
+    throw syntaxError(source, at, message);
+  }
+
+  function push(type, value, at) {
+    tokens.push({ type, value, start: at, newline });
+    newline = false;
+  }
+
+  // A `/` starts a regular expression where a value is expected.
+  function regexAllowed() {
+    const last = tokens[tokens.length - 1];
+    if (!last) {
+      return true;
+    }
+    if (last.type === "punctuator") {
+      return ![")", "]", "}"].includes(last.value);
+    }
+    return last.type === "name" && KEYWORDS.has(last.value)
+      && !["this", "super", "true", "false", "null"].includes(last.value);
+  }
+
+  while (pos < source.length) {
+    const char = source[pos];
+    if (LINE_BREAK.test(char)) {
+      newline = true;
+      pos++;
+    } else if (/\s/.test(char)) {
+      pos++;
+    } else if (source.startsWith("//", pos)) {
+      while (pos < source.length && !LINE_BREAK.test(source[pos])) {
+        pos++;
+      }
+    } else if (source.startsWith("/*", pos)) {
+      const end = source.indexOf("*/", pos + 2);
+      if (end === -1) {
+        fail("Unterminated comment");
+      }
+      if (LINE_BREAK.test(source.slice(pos, end))) {
+        newline = true;
+      }
+      pos = end + 2;
+    } else if (char === "'" || char === '"') {
+      const at = pos;
+      const { value, end } = readString(source, pos + 1, char, fail);
+      pos = end;
+      push("string", value, at);
+    } else if (char === "`") {
+      const at = pos;
+      const quasis = [];
+      const expressions = [];
+      pos++;
+      for (;;) {
+        const { value, end, more } = readString(source, pos, "`", fail);
+        quasis.push(value);
+        pos = end;
+        if (!more) {
+          break;
+        }
+        const inner = tokenize(source, pos, true);
+        expressions.push(inner.tokens);
+        pos = inner.end;
+      }
+      push("template", { quasis, expressions }, at);
+    } else if (/\d/.test(char)
+               || (char === "." && /\d/.test(source[pos + 1] ?? ""))) {
+      NUMBER.lastIndex = pos;
+      const text = NUMBER.exec(source)[0];
+      const at = pos;
+      pos += text.length;
+      if (source[pos] === "n") {
+        fail("BigInt literals aren't supported");
+      }
+      NAME.lastIndex = pos;
+      if (NAME.test(source)) {
+        fail("Invalid number", at);
+      }
+      const digits = text.replaceAll("_", "");
+      push("number", /^0[oObB]/.test(digits)
+        ? parseInt(digits.slice(2), /^0[oO]/.test(digits) ? 8 : 2)
+        : Number(digits), at);
+    } else if (char === "/" && regexAllowed()) {
+      const at = pos;
+      let inClass = false;
+      pos++;
+      while (inClass || source[pos] !== "/") {
+        if (pos >= source.length || source[pos] === "\n") {
+          fail("Unterminated regular expression", at);
+        }
+        if (source[pos] === "\\") {
+          pos++;
+        } else if (source[pos] === "[") {
+          inClass = true;
+        } else if (source[pos] === "]") {
+          inClass = false;
+        }
+        pos++;
+      }
+      const pattern = source.slice(at + 1, pos);
+      pos++;
+      const flagsStart = pos;
+      while (/[a-z]/.test(source[pos] ?? "")) {
+        pos++;
+      }
+      const flags = source.slice(flagsStart, pos);
+      try {
+        new RegExp(pattern, flags);
+      } catch (error) {
+        fail(error.message, at);
+      }
+      push("regex", { pattern, flags }, at);
+    } else {
+      NAME.lastIndex = pos;
+      const name = NAME.exec(source);
+      if (name) {
+        push("name", name[0], pos);
+        pos += name[0].length;
+        continue;
+      }
+      const punctuator = PUNCTUATORS.find(p => source.startsWith(p, pos));
+      if (!punctuator
+          || (punctuator === "?." && /\d/.test(source[pos + 2]))) {
+        if (char === "?") {
+          push("punctuator", "?", pos++);
+          continue;
+        }
+        fail(`Unexpected character "${char}"`);
+      }
+      if (inTemplate && punctuator === "}" && depth === 0) {
+        push("end", null, pos);
+        return { tokens, end: pos + 1 };
+      }
+      if (punctuator === "{") {
+        depth++;
+      } else if (punctuator === "}") {
+        depth--;
+      }
+      push("punctuator", punctuator, pos);
+      pos += punctuator.length;
+    }
+  }
+  if (inTemplate) {
+    fail("Unterminated template", start);
+  }
+  push("end", null, pos);
+  return tokens;
+}
+
+/* Read a string's characters from `pos` up to `quote`. Resolves its
+   escapes and gives `{value, end}`, with `end` after the quote. For
+   templates it also stops at `${`, setting `more`.
+ */
+function readString(source, pos, quote, fail) {
+  let value = "";
+  for (;;) {
+    if (pos >= source.length) {
+      fail("Unterminated string");
+    }
+    const char = source[pos];
+    if (char === quote) {
+      return { value, end: pos + 1, more: false };
+    }
+    if (quote === "`" && source.startsWith("${", pos)) {
+      return { value, end: pos + 2, more: true };
+    }
+    if (char === "\n" && quote !== "`") {
+      fail("Unterminated string");
+    }
+    if (char !== "\\") {
+      value += char;
+      pos++;
+      continue;
+    }
+    const escape = source[pos + 1];
+    pos += 2;
+    if (escape in ESCAPES
+        && (escape !== "0" || !/\d/.test(source[pos] ?? ""))) {
+      value += ESCAPES[escape];
+    } else if (escape === "x") {
+      value += hexChar(source.slice(pos, pos + 2), fail);
+      pos += 2;
+    } else if (escape === "u" && source[pos] === "{") {
+      const end = source.indexOf("}", pos);
+      if (end === -1) {
+        fail("Invalid escape sequence");
+      }
+      value += hexChar(source.slice(pos + 1, end), fail);
+      pos = end + 1;
+    } else if (escape === "u") {
+      value += hexChar(source.slice(pos, pos + 4), fail);
+      pos += 4;
+    } else if (escape === "\r" && source[pos] === "\n") {
+      pos++;
+    } else if (escape !== "\n" && escape !== "\r") {
+      value += escape;
+    }
+  }
+}
+
+function hexChar(hex, fail) {
+  if (!/^[\da-fA-F]+$/.test(hex) || parseInt(hex, 16) > 0x10ffff) {
+    fail("Invalid escape sequence");
+  }
+  return String.fromCodePoint(parseInt(hex, 16));
+}
+
+function syntaxError(source, at, message) {
+  const lines = source.slice(0, at).split(/\r\n|[\n\r\u2028\u2029]/);
+  const line = lines.length;
+  const column = lines[lines.length - 1].length + 1;
+  return new Error(`${message} (line ${line}, column ${column})`);
+}
+
+/* Syntax tree */
+
+class Parser {
+  constructor(source, tokens = tokenize(source)) {
+    this.source = source;
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  get token() {
+    return this.tokens[this.pos];
+  }
+
+  fail(message, token = this.token) {
+    throw syntaxError(this.source, token.start, message);
+  }
+
+  unexpected(token = this.token) {
+    if (token.type === "end") {
+      this.fail("Unexpected end of input", token);
+    }
+    const text = token.type === "punctuator" || token.type === "name"
+      ? `"${token.value}"` : token.type;
+    this.fail(`Unexpected ${text}`, token);
+  }
+
+  is(value, offset = 0) {
+    const token = this.tokens[this.pos + offset];
+    return token !== undefined && token.value === value
+      && (token.type === "punctuator" || token.type === "name");
+  }
+
+  eat(value) {
+    if (this.is(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    if (!this.eat(value)) {
+      this.fail(`Expected "${value}"`);
+    }
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  /* Automatic semicolon insertion: a statement can also end at a
+     line break, a `}` or the end.
+   */
+  semicolon() {
+    if (!this.eat(";") && !this.is("}") && this.token.type !== "end"
+        && !this.token.newline) {
+      this.fail('Expected ";"');
+    }
+  }
+
+  identifier() {
+    const token = this.token;
+    if (token.type !== "name" || KEYWORDS.has(token.value)) {
+      this.unexpected();
+    }
+    this.pos++;
+    return token.value;
+  }
+
+  parseBody() {
+    const statements = [];
+    while (this.token.type !== "end") {
+      statements.push(this.statement());
+    }
+    return statements;
+  }
+
+  block() {
+    this.expect("{");
+    const body = [];
+    while (!this.eat("}")) {
+      body.push(this.statement());
+    }
+    return body;
+  }
+
+  statement() {
+    const token = this.token;
+    if (token.type === "punctuator" && token.value === "{") {
+      return { type: "Block", body: this.block() };
+    }
+    if (this.eat(";")) {
+      return { type: "Empty" };
+    }
+    if (token.type !== "name") {
+      return this.expressionStatement();
+    }
+    switch (token.value) {
+      case "var":
+      case "let":
+      case "const": {
+        const declaration = this.declaration();
+        this.semicolon();
+        return declaration;
+      }
+      case "function": {
+        this.pos++;
+        const fn = this.functionRest(this.identifier());
+        return { type: "FunctionDeclaration", fn };
+      }
+      case "if": {
+        this.pos++;
+        const test = this.parenthesized();
+        const consequent = this.statement();
+        const alternate = this.eat("else") ? this.statement() : null;
+        return { type: "If", test, consequent, alternate };
+      }
+      case "for":
+        this.pos++;
+        return this.forStatement();
+      case "while": {
+        this.pos++;
+        const test = this.parenthesized();
+        return { type: "While", test, body: this.statement() };
+      }
+      case "do": {
+        this.pos++;
+        const body = this.statement();
+        this.expect("while");
+        const test = this.parenthesized();
+        this.eat(";");
+        return { type: "DoWhile", test, body };
+      }
+      case "return": {
+        this.pos++;
+        let argument = null;
+        if (!this.is(";") && !this.is("}") && this.token.type !== "end"
+            && !this.token.newline) {
+          argument = this.expression();
+        }
+        this.semicolon();
+        return { type: "Return", argument };
+      }
+      case "break":
+      case "continue":
+        this.pos++;
+        this.semicolon();
+        return { type: token.value === "break" ? "Break" : "Continue" };
+      case "throw": {
+        this.pos++;
+        if (this.token.newline) {
+          this.fail("Illegal newline after throw");
+        }
+        const argument = this.expression();
+        this.semicolon();
+        return { type: "Throw", argument };
+      }
+      case "try":
+        this.pos++;
+        return this.tryStatement();
+      case "switch":
+        this.pos++;
+        return this.switchStatement();
+      case "async":
+      case "class":
+        this.fail(`"${token.value}" isn't supported in transforms`);
+    }
+    return this.expressionStatement();
+  }
+
+  expressionStatement() {
+    const expression = this.expression();
+    this.semicolon();
+    return { type: "Expression", expression };
+  }
+
+  parenthesized() {
+    this.expect("(");
+    const expression = this.expression();
+    this.expect(")");
+    return expression;
+  }
+
+  declaration(noIn = false) {
+    const kind = this.next().value;
+    const declarations = [];
+    do {
+      const id = this.pattern();
+      let init = null;
+      if (this.eat("=")) {
+        init = this.assignment(noIn);
+      } else if (!noIn && (kind === "const" || id.type !== "Identifier")) {
+        this.fail("Missing initializer in declaration");
+      }
+      declarations.push({ id, init });
+    } while (this.eat(","));
+    return { type: "Declaration", kind, declarations };
+  }
+
+  forStatement() {
+    this.expect("(");
+    let init = null;
+    if (this.is("var") || this.is("let") || this.is("const")) {
+      init = this.declaration(true);
+    } else if (!this.is(";")) {
+      init = this.expression(true);
+    }
+    if (init && (this.is("of") || this.is("in"))) {
+      const of = this.next().value === "of";
+      if (init.type === "Declaration" && init.declarations.length !== 1) {
+        this.fail(`Invalid left-hand side in for-${of ? "of" : "in"}`);
+      }
+      const left = init.type === "Declaration"
+        ? { kind: init.kind, id: init.declarations[0].id }
+        : { kind: null, id: this.target(init) };
+      const right = of ? this.assignment() : this.expression();
+      this.expect(")");
+      return {
+        type: of ? "ForOf" : "ForIn", left, right, body: this.statement()
+      };
+    }
+    this.expect(";");
+    const test = this.is(";") ? null : this.expression();
+    this.expect(";");
+    const update = this.is(")") ? null : this.expression();
+    this.expect(")");
+    return { type: "For", init, test, update, body: this.statement() };
+  }
+
+  tryStatement() {
+    const block = this.block();
+    let param = null;
+    let handler = null;
+    let finalizer = null;
+    if (this.eat("catch")) {
+      if (this.eat("(")) {
+        param = this.pattern();
+        this.expect(")");
+      }
+      handler = this.block();
+    }
+    if (this.eat("finally")) {
+      finalizer = this.block();
+    }
+    if (!handler && !finalizer) {
+      this.fail("Missing catch or finally after try");
+    }
+    return { type: "Try", block, param, handler, finalizer };
+  }
+
+  switchStatement() {
+    const discriminant = this.parenthesized();
+    const cases = [];
+    this.expect("{");
+    while (!this.eat("}")) {
+      let test = null;
+      if (this.eat("default")) {
+        if (cases.some(c => c.test === null)) {
+          this.fail("More than one default clause in switch");
+        }
+      } else {
+        this.expect("case");
+        test = this.expression();
+      }
+      this.expect(":");
+      const body = [];
+      while (!this.is("case") && !this.is("default") && !this.is("}")) {
+        body.push(this.statement());
+      }
+      cases.push({ test, body });
+    }
+    return { type: "Switch", discriminant, cases };
+  }
+
+  /* Binding patterns: a name, `{...}` or `[...]`, for declarations
+     and parameters.
+   */
+  pattern() {
+    if (this.eat("[")) {
+      const elements = [];
+      let rest = null;
+      while (!this.eat("]")) {
+        if (this.eat(",")) {
+          elements.push(null);
+          continue;
+        }
+        if (this.eat("...")) {
+          rest = this.pattern();
+          this.expect("]");
+          break;
+        }
+        elements.push(this.patternDefault(this.pattern()));
+        if (!this.is("]")) {
+          this.expect(",");
+        }
+      }
+      return { type: "ArrayPattern", elements, rest };
+    }
+    if (this.eat("{")) {
+      const properties = [];
+      let rest = null;
+      while (!this.eat("}")) {
+        if (this.eat("...")) {
+          rest = { type: "Identifier", name: this.identifier() };
+          this.expect("}");
+          break;
+        }
+        const { key, computed, shorthand } = this.propertyKey();
+        let value;
+        if (this.eat(":")) {
+          value = this.pattern();
+        } else if (shorthand) {
+          value = { type: "Identifier", name: key.value };
+        } else {
+          this.unexpected();
+        }
+        properties.push({ key, computed, value: this.patternDefault(value) });
+        if (!this.is("}")) {
+          this.expect(",");
+        }
+      }
+      return { type: "ObjectPattern", properties, rest };
+    }
+    return { type: "Identifier", name: this.identifier() };
+  }
+
+  patternDefault(pattern) {
+    if (this.eat("=")) {
+      return {
+        type: "DefaultPattern", left: pattern, right: this.assignment()
+      };
+    }
+    return pattern;
+  }
+
+  /* An object literal's or pattern's key. `shorthand` is set if it's
+     a plain name, that can stand for itself.
+   */
+  propertyKey() {
+    const token = this.next();
+    if (token.type === "punctuator" && token.value === "[") {
+      const key = this.assignment();
+      this.expect("]");
+      return { key, computed: true, shorthand: false };
+    }
+    if (token.type === "name") {
+      return {
+        key: { type: "Literal", value: token.value },
+        computed: false,
+        shorthand: !KEYWORDS.has(token.value),
+      };
+    }
+    if (token.type === "string" || token.type === "number") {
+      return {
+        key: { type: "Literal", value: String(token.value) },
+        computed: false,
+        shorthand: false,
+      };
+    }
+    this.unexpected(token);
+  }
+
+  /* A parsed expression as the target of an assignment */
+  target(node) {
+    if (node.type === "Identifier" || node.type === "Member") {
+      return node;
+    }
+    this.fail("Invalid assignment target");
+  }
+
+  expression(noIn = false) {
+    const expression = this.assignment(noIn);
+    if (!this.is(",")) {
+      return expression;
+    }
+    const expressions = [expression];
+    while (this.eat(",")) {
+      expressions.push(this.assignment(noIn));
+    }
+    return { type: "Sequence", expressions };
+  }
+
+  assignment(noIn = false) {
+    if (this.isArrow()) {
+      return this.arrow();
+    }
+    if (this.is("async") && !this.token.newline
+        && (this.is("function", 1) || this.is("(", 1)
+            || this.tokens[this.pos + 1]?.type === "name")) {
+      this.fail("Async functions aren't supported in transforms");
+    }
+    const start = this.token;
+    const left = this.conditional(noIn);
+    const operator = this.token.value;
+    if (this.token.type === "punctuator"
+        && ASSIGNMENT_OPERATORS.has(operator)) {
+      if (left.type !== "Identifier" && left.type !== "Member") {
+        this.fail("Invalid assignment target", start);
+      }
+      this.pos++;
+      const right = this.assignment(noIn);
+      return { type: "Assign", operator, target: left, right };
+    }
+    return left;
+  }
+
+  isArrow() {
+    if (this.token.type === "name" && this.is("=>", 1)) {
+      return true;
+    }
+    if (!this.is("(")) {
+      return false;
+    }
+    // Find the matching ")" and look past it.
+    let depth = 0;
+    for (let i = this.pos; i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+      if (token.type !== "punctuator") {
+        continue;
+      }
+      if (["(", "[", "{"].includes(token.value)) {
+        depth++;
+      } else if ([")", "]", "}"].includes(token.value)) {
+        depth--;
+        if (depth === 0) {
+          const after = this.tokens[i + 1];
+          return after.type === "punctuator" && after.value === "=>"
+            && !after.newline;
+        }
+      }
+    }
+    return false;
+  }
+
+  arrow() {
+    let params;
+    if (this.token.type === "name") {
+      params = [{ type: "Identifier", name: this.identifier() }];
+    } else {
+      params = this.params();
+    }
+    this.expect("=>");
+    if (this.is("{")) {
+      return {
+        type: "Function", name: null, params, body: this.block(),
+        expression: false,
+      };
+    }
+    return {
+      type: "Function", name: null, params, body: this.assignment(),
+      expression: true,
+    };
+  }
+
+  params() {
+    this.expect("(");
+    const params = [];
+    while (!this.eat(")")) {
+      if (this.eat("...")) {
+        params.push({ type: "RestPattern", argument: this.pattern() });
+        this.expect(")");
+        break;
+      }
+      params.push(this.patternDefault(this.pattern()));
+      if (!this.is(")")) {
+        this.expect(",");
+      }
+    }
+    return params;
+  }
+
+  functionRest(name) {
+    const params = this.params();
+    return {
+      type: "Function", name, params, body: this.block(), expression: false
+    };
+  }
+
+  conditional(noIn) {
+    const test = this.binary(0, noIn);
+    if (!this.eat("?")) {
+      return test;
+    }
+    const consequent = this.assignment();
+    this.expect(":");
+    const alternate = this.assignment(noIn);
+    return { type: "Conditional", test, consequent, alternate };
+  }
+
+  binary(minPrecedence, noIn) {
+    let left = this.unary();
+    for (;;) {
+      const token = this.token;
+      const operator = token.value;
+      const precedence = (token.type === "punctuator"
+        || token.type === "name") && BINARY_PRECEDENCE[operator];
+      if (!precedence || precedence <= minPrecedence
+          || (noIn && operator === "in")) {
+        return left;
+      }
+      this.pos++;
+      // ** is right associative.
+      const right = this.binary(
+        operator === "**" ? precedence - 1 : precedence, noIn
+      );
+      const type = ["&&", "||", "??"].includes(operator)
+        ? "Logical" : "Binary";
+      left = { type, operator, left, right };
+    }
+  }
+
+  unary() {
+    const token = this.token;
+    if (token.type === "punctuator"
+          && ["!", "-", "+", "~"].includes(token.value)
+        || token.type === "name"
+          && ["typeof", "void", "delete"].includes(token.value)) {
+      this.pos++;
+      return { type: "Unary", operator: token.value, argument: this.unary() };
+    }
+    if (this.is("++") || this.is("--")) {
+      this.pos++;
+      const argument = this.unary();
+      this.target(argument);
+      return {
+        type: "Update", operator: token.value, prefix: true, argument
+      };
+    }
+    if (this.is("await")) {
+      this.fail("await isn't supported in transforms");
+    }
+    const expression = this.callOrMember();
+    if ((this.is("++") || this.is("--")) && !this.token.newline) {
+      this.target(expression);
+      return {
+        type: "Update", operator: this.next().value, prefix: false,
+        argument: expression,
+      };
+    }
+    return expression;
+  }
+
+  callOrMember() {
+    let expression;
+    if (this.eat("new")) {
+      let callee = this.primary();
+      while (this.is(".") || this.is("[")) {
+        callee = this.member(callee, false);
+      }
+      const args = this.is("(") ? this.arguments() : [];
+      expression = { type: "New", callee, arguments: args };
+    } else {
+      expression = this.primary();
+    }
+
+    let chained = false;
+    for (;;) {
+      if (this.is(".") || this.is("[")) {
+        expression = this.member(expression, false);
+      } else if (this.eat("?.")) {
+        chained = true;
+        if (this.is("(")) {
+          expression = {
+            type: "Call", callee: expression, arguments: this.arguments(),
+            optional: true,
+          };
+        } else if (this.is("[")) {
+          expression = this.member(expression, true);
+        } else {
+          expression = {
+            type: "Member", object: expression, computed: false,
+            property: this.propertyName(), optional: true,
+          };
+        }
+      } else if (this.is("(")) {
+        expression = {
+          type: "Call", callee: expression, arguments: this.arguments(),
+          optional: false,
+        };
+      } else if (this.token.type === "template") {
+        this.fail("Tagged templates aren't supported in transforms");
+      } else {
+        break;
+      }
+    }
+    return chained ? { type: "Chain", expression } : expression;
+  }
+
+  member(object, optional) {
+    if (this.eat("[")) {
+      const property = this.expression();
+      this.expect("]");
+      return { type: "Member", object, property, computed: true, optional };
+    }
+    this.expect(".");
+    return {
+      type: "Member", object, property: this.propertyName(), computed: false,
+      optional,
+    };
+  }
+
+  propertyName() {
+    const token = this.next();
+    if (token.type !== "name") {
+      this.unexpected(token);
+    }
+    return { type: "Literal", value: token.value };
+  }
+
+  arguments() {
+    this.expect("(");
+    const args = [];
+    while (!this.eat(")")) {
+      args.push(this.eat("...")
+        ? { type: "Spread", argument: this.assignment() }
+        : this.assignment());
+      if (!this.is(")")) {
+        this.expect(",");
+      }
+    }
+    return args;
+  }
+
+  primary() {
+    const token = this.next();
+    switch (token.type) {
+      case "number":
+      case "string":
+        return { type: "Literal", value: token.value };
+      case "regex":
+        return { type: "Regex", ...token.value };
+      case "template":
+        return {
+          type: "Template",
+          quasis: token.value.quasis,
+          expressions: token.value.expressions.map((tokens) => {
+            const parser = new Parser(this.source, tokens);
+            const expression = parser.expression();
+            if (parser.token.type !== "end") {
+              parser.unexpected();
+            }
+            return expression;
+          }),
+        };
+      case "name":
+        switch (token.value) {
+          case "true":
+            return { type: "Literal", value: true };
+          case "false":
+            return { type: "Literal", value: false };
+          case "null":
+            return { type: "Literal", value: null };
+          case "function": {
+            const name = this.token.type === "name" && !this.is("(")
+              ? this.identifier() : null;
+            return this.functionRest(name);
+          }
+          case "this":
+          case "class":
+          case "super":
+            this.fail(`"${token.value}" isn't supported in transforms`,
+                      token);
+        }
+        if (KEYWORDS.has(token.value)) {
+          this.unexpected(token);
+        }
+        return { type: "Identifier", name: token.value };
+      case "punctuator":
+        if (token.value === "(") {
+          const expression = this.expression();
+          this.expect(")");
+          return expression;
+        }
+        if (token.value === "[") {
+          return this.arrayLiteral();
+        }
+        if (token.value === "{") {
+          return this.objectLiteral();
+        }
+    }
+    this.unexpected(token);
+  }
+
+  arrayLiteral() {
+    const elements = [];
+    while (!this.eat("]")) {
+      if (this.eat(",")) {
+        elements.push(null);
+        continue;
+      }
+      elements.push(this.eat("...")
+        ? { type: "Spread", argument: this.assignment() }
+        : this.assignment());
+      if (!this.is("]")) {
+        this.expect(",");
+      }
+    }
+    return { type: "Array", elements };
+  }
+
+  objectLiteral() {
+    const properties = [];
+    while (!this.eat("}")) {
+      if (this.eat("...")) {
+        properties.push({ type: "Spread", argument: this.assignment() });
+      } else {
+        const { key, computed, shorthand } = this.propertyKey();
+        let value;
+        if (this.eat(":")) {
+          value = this.assignment();
+        } else if (this.is("(")) {
+          value = this.functionRest(computed ? null : key.value);
+        } else if (shorthand) {
+          value = { type: "Identifier", name: key.value };
+        } else {
+          this.unexpected();
+        }
+        properties.push({ type: "Property", key, computed, value });
+      }
+      if (!this.is("}")) {
+        this.expect(",");
+      }
+    }
+    return { type: "Object", properties };
+  }
+}
+
+/* Evaluation */
+
+/* A scope's variables, by name: `{value, constant}` */
+class Scope {
+  constructor(parent, isFunction = false) {
+    this.parent = parent;
+    this.isFunction = isFunction;
+    this.vars = new Map();
+  }
+
+  declare(name, value, kind) {
+    let scope = this;
+    if (kind === "var") {
+      while (!scope.isFunction) {
+        scope = scope.parent;
+      }
+    } else if (this.vars.has(name)) {
+      throw new SyntaxError(`Identifier '${name}' has already been declared`);
+    }
+    scope.vars.set(name, { value, constant: kind === "const" });
+  }
+
+  find(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      const variable = scope.vars.get(name);
+      if (variable) {
+        return variable;
+      }
+    }
+    return null;
+  }
+
+  get(name) {
+    const variable = this.find(name);
+    if (!variable) {
+      throw new ReferenceError(`${name} is not defined`);
+    }
+    return variable.value;
+  }
+
+  set(name, value) {
+    const variable = this.find(name);
+    if (!variable) {
+      throw new ReferenceError(`${name} is not defined`);
+    }
+    if (variable.constant) {
+      throw new TypeError(`Assignment to constant variable ${name}`);
+    }
+    variable.value = value;
+  }
+
+  /* A copy for the next iteration of a `for` loop, so functions made
+     in the body keep the values of its own iteration.
+   */
+  copy() {
+    const scope = new Scope(this.parent, this.isFunction);
+    for (const [name, variable] of this.vars) {
+      scope.vars.set(name, { ...variable });
+    }
+    return scope;
+  }
+}
+
+function globalScope() {
+  const scope = new Scope(null, true);
+  for (const [name, value] of Object.entries(GLOBALS)) {
+    scope.declare(name, value, "const");
+  }
+  return scope;
+}
+
+/* The functions made by the interpreter, which can't be called with
+   `new`
+ */
+const interpreted = new WeakSet();
+
+function makeFunction(node, scope) {
+  // A function expression can call itself by its name.
+  if (node.name) {
+    scope = new Scope(scope);
+  }
+  const fn = function (...args) {
+    step();
+    const fnScope = new Scope(scope, true);
+    node.params.forEach((param, i) => {
+      if (param.type === "RestPattern") {
+        bind(param.argument, args.slice(i), fnScope, "let");
+      } else {
+        bind(param, args[i], fnScope, "let");
+      }
+    });
+    if (node.expression) {
+      return evaluate(node.body, fnScope);
+    }
+    for (const name of hoistedNames(node)) {
+      if (!fnScope.vars.has(name)) {
+        fnScope.vars.set(name, { value: undefined, constant: false });
+      }
+    }
+    const signal = runStatements(node.body, fnScope);
+    return signal?.type === "return" ? signal.value : undefined;
+  };
+  if (node.name) {
+    scope.declare(node.name, fn, "const");
+  }
+  interpreted.add(fn);
+  return fn;
+}
+
+/* The names declared with `var` in a function, by its node */
+const varNames = new WeakMap();
+
+function hoistedNames(fn) {
+  if (!varNames.has(fn)) {
+    const names = new Set();
+    collectVarNames(fn.body, names);
+    varNames.set(fn, names);
+  }
+  return varNames.get(fn);
+}
+
+function collectVarNames(statements, names) {
+  for (const node of statements) {
+    switch (node?.type) {
+      case "Declaration":
+        if (node.kind === "var") {
+          node.declarations.forEach(({ id }) => patternNames(id, names));
+        }
+        break;
+      case "Block":
+        collectVarNames(node.body, names);
+        break;
+      case "If":
+        collectVarNames([node.consequent, node.alternate], names);
+        break;
+      case "For":
+        collectVarNames([node.init, node.body], names);
+        break;
+      case "ForOf":
+      case "ForIn":
+        if (node.left.kind === "var") {
+          patternNames(node.left.id, names);
+        }
+        collectVarNames([node.body], names);
+        break;
+      case "While":
+      case "DoWhile":
+        collectVarNames([node.body], names);
+        break;
+      case "Try":
+        collectVarNames(
+          [...node.block, ...node.handler ?? [], ...node.finalizer ?? []],
+          names
+        );
+        break;
+      case "Switch":
+        collectVarNames(node.cases.flatMap(c => c.body), names);
+        break;
+    }
+  }
+}
+
+function patternNames(pattern, names) {
+  switch (pattern.type) {
+    case "Identifier":
+      names.add(pattern.name);
+      break;
+    case "DefaultPattern":
+      patternNames(pattern.left, names);
+      break;
+    case "ArrayPattern":
+      pattern.elements.filter(Boolean)
+        .forEach(element => patternNames(element, names));
+      break;
+    case "ObjectPattern":
+      pattern.properties.forEach(({ value }) => patternNames(value, names));
+      break;
+  }
+  if (pattern.rest) {
+    patternNames(pattern.rest, names);
+  }
+}
+
+/* Declare the names of a pattern, taking their values from `value` */
+function bind(pattern, value, scope, kind) {
+  switch (pattern.type) {
+    case "Identifier":
+      if (kind === null) {
+        scope.set(pattern.name, value);
+      } else {
+        scope.declare(pattern.name, value, kind);
+      }
+      return;
+    case "Member":
+      assign(pattern, value, scope);
+      return;
+    case "DefaultPattern":
+      bind(
+        pattern.left,
+        value === undefined ? evaluate(pattern.right, scope) : value,
+        scope, kind
+      );
+      return;
+    case "ArrayPattern": {
+      const items = [...value];
+      pattern.elements.forEach((element, i) => {
+        if (element) {
+          bind(element, items[i], scope, kind);
+        }
+      });
+      if (pattern.rest) {
+        bind(pattern.rest, items.slice(pattern.elements.length), scope, kind);
+      }
+      return;
+    }
+    case "ObjectPattern": {
+      if (value === null || value === undefined) {
+        throw new TypeError(`Cannot destructure ${value}`);
+      }
+      const used = new Set();
+      for (const property of pattern.properties) {
+        const key = property.computed
+          ? propertyKey(evaluate(property.key, scope))
+          : property.key.value;
+        used.add(key);
+        bind(property.value, getProperty(value, key), scope, kind);
+      }
+      if (pattern.rest) {
+        const rest = {};
+        for (const key of Object.keys(value)) {
+          if (!used.has(key)) {
+            defineProperty(rest, key, value[key]);
+          }
+        }
+        bind(pattern.rest, rest, scope, kind);
+      }
+      return;
+    }
+  }
+}
+
+function propertyKey(value) {
+  return typeof value === "symbol" ? value : String(value);
+}
+
+function checkProperty(key) {
+  if (BLOCKED_PROPERTIES.has(key)) {
+    throw new TypeError(`Transforms can't use the ${key} property`);
+  }
+}
+
+function getProperty(object, key) {
+  if (object === null || object === undefined) {
+    throw new TypeError(
+      `Cannot read properties of ${object} (reading '${String(key)}')`
+    );
+  }
+  checkProperty(key);
+  return object[key];
+}
+
+function setProperty(object, key, value) {
+  if (object === null || object === undefined) {
+    throw new TypeError(
+      `Cannot set properties of ${object} (setting '${String(key)}')`
+    );
+  }
+  checkProperty(key);
+  object[key] = value;
+}
+
+/* Set an own property, as object literals do, even for a key like
+   "__proto__".
+ */
+function defineProperty(object, key, value) {
+  Object.defineProperty(object, key, {
+    value, writable: true, enumerable: true, configurable: true
+  });
+}
+
+/* Returned by a statement that ends its block early */
+const BREAK = { type: "break" };
+const CONTINUE = { type: "continue" };
+
+/* Run a list of statements, resolving function declarations first.
+   Returns the signal of a statement that ended it early, if any.
+ */
+function runStatements(statements, scope) {
+  for (const statement of statements) {
+    // Declared functions replace variables of the same name.
+    if (statement.type === "FunctionDeclaration") {
+      scope.vars.set(statement.fn.name, {
+        value: makeFunction(statement.fn, scope), constant: false
+      });
+    }
+  }
+  for (const statement of statements) {
+    const signal = run(statement, scope);
+    if (signal) {
+      return signal;
+    }
+  }
+  return undefined;
+}
+
+/* Run a loop's body. Returns true if the loop should stop, and the
+   signal to pass on in `result.signal`.
+ */
+function runBody(body, scope, result) {
+  step();
+  const signal = run(body, scope);
+  if (signal === BREAK) {
+    return true;
+  }
+  if (signal && signal !== CONTINUE) {
+    result.signal = signal;
+    return true;
+  }
+  return false;
+}
+
+function run(node, scope) {
+  switch (node.type) {
+    case "Expression":
+      evaluate(node.expression, scope);
+      return undefined;
+    case "Declaration":
+      for (const { id, init } of node.declarations) {
+        // `var x;` keeps the value x already has.
+        if (init || node.kind !== "var") {
+          bind(id, init ? evaluate(init, scope) : undefined, scope, node.kind);
+        }
+      }
+      return undefined;
+    case "FunctionDeclaration":
+    case "Empty":
+      return undefined;
+    case "Block":
+      return runStatements(node.body, new Scope(scope));
+    case "If":
+      if (evaluate(node.test, scope)) {
+        return run(node.consequent, scope);
+      }
+      return node.alternate ? run(node.alternate, scope) : undefined;
+    case "Return":
+      return {
+        type: "return",
+        value: node.argument ? evaluate(node.argument, scope) : undefined,
+      };
+    case "Break":
+      return BREAK;
+    case "Continue":
+      return CONTINUE;
+    case "Throw":
+      throw evaluate(node.argument, scope);
+    case "While": {
+      const result = {};
+      while (evaluate(node.test, scope)) {
+        if (runBody(node.body, scope, result)) {
+          break;
+        }
+      }
+      return result.signal;
+    }
+    case "DoWhile": {
+      const result = {};
+      do {
+        if (runBody(node.body, scope, result)) {
+          break;
+        }
+      } while (evaluate(node.test, scope));
+      return result.signal;
+    }
+    case "For": {
+      const result = {};
+      let loopScope = new Scope(scope);
+      if (node.init?.type === "Declaration") {
+        run(node.init, loopScope);
+      } else if (node.init) {
+        evaluate(node.init, loopScope);
+      }
+      while (!node.test || evaluate(node.test, loopScope)) {
+        if (runBody(node.body, loopScope, result)) {
+          break;
+        }
+        loopScope = loopScope.copy();
+        if (node.update) {
+          evaluate(node.update, loopScope);
+        }
+      }
+      return result.signal;
+    }
+    case "ForOf":
+    case "ForIn": {
+      const result = {};
+      const right = evaluate(node.right, scope);
+      const items = node.type === "ForOf" ? right : forInKeys(right);
+      for (const item of items) {
+        const iterationScope = new Scope(scope);
+        bind(node.left.id, item, iterationScope, node.left.kind);
+        if (runBody(node.body, iterationScope, result)) {
+          break;
+        }
+      }
+      return result.signal;
+    }
+    case "Switch": {
+      const value = evaluate(node.discriminant, scope);
+      const switchScope = new Scope(scope);
+      let index = node.cases.findIndex(
+        c => c.test !== null && evaluate(c.test, switchScope) === value
+      );
+      if (index === -1) {
+        index = node.cases.findIndex(c => c.test === null);
+      }
+      if (index === -1) {
+        return undefined;
+      }
+      const body = node.cases.slice(index).flatMap(c => c.body);
+      const signal = runStatements(body, switchScope);
+      return signal === BREAK ? undefined : signal;
+    }
+    case "Try":
+      return runTry(node, scope);
+  }
+  throw new Error(`Unknown statement ${node.type}`);
+}
+
+function forInKeys(object) {
+  const keys = [];
+  for (const key in object) {
+    keys.push(key);
+  }
+  return keys;
+}
+
+function runTry(node, scope) {
+  let signal;
+  let failure = null;
+  try {
+    signal = runStatements(node.block, new Scope(scope));
+  } catch (error) {
+    failure = { error };
+  }
+  // Running out of time can't be caught, or delayed by a finally.
+  if (failure?.error instanceof TimeLimitError) {
+    throw failure.error;
+  }
+  if (failure && node.handler) {
+    const { error: caught } = failure;
+    const catchScope = new Scope(scope);
+    failure = null;
+    try {
+      if (node.param) {
+        bind(node.param, caught, catchScope, "let");
+      }
+      signal = runStatements(node.handler, catchScope);
+    } catch (error) {
+      if (error instanceof TimeLimitError) {
+        throw error;
+      }
+      failure = { error };
+    }
+  }
+  if (node.finalizer) {
+    const finalSignal = runStatements(node.finalizer, new Scope(scope));
+    if (finalSignal) {
+      return finalSignal;
+    }
+  }
+  if (failure) {
+    throw failure.error;
+  }
+  return signal;
+}
+
+/* Returned by an optional chain that stopped at a null or undefined */
+const SHORT_CIRCUIT = Symbol("short circuit");
+
+function evaluate(node, scope) {
+  switch (node.type) {
+    case "Literal":
+      return node.value;
+    case "Identifier":
+      return scope.get(node.name);
+    case "Template": {
+      let text = node.quasis[0];
+      node.expressions.forEach((expression, i) => {
+        text += `${evaluate(expression, scope)}${node.quasis[i + 1]}`;
+      });
+      return text;
+    }
+    case "Regex":
+      return new RegExp(node.pattern, node.flags);
+    case "Array": {
+      const array = [];
+      for (const element of node.elements) {
+        if (element === null) {
+          array.length++;
+        } else if (element.type === "Spread") {
+          array.push(...evaluate(element.argument, scope));
+        } else {
+          array.push(evaluate(element, scope));
+        }
+      }
+      return array;
+    }
+    case "Object": {
+      const object = {};
+      for (const property of node.properties) {
+        if (property.type === "Spread") {
+          spreadInto(object, evaluate(property.argument, scope));
+          continue;
+        }
+        const key = property.computed
+          ? propertyKey(evaluate(property.key, scope))
+          : property.key.value;
+        defineProperty(object, key, evaluate(property.value, scope));
+      }
+      return object;
+    }
+    case "Function":
+      return makeFunction(node, scope);
+    case "Sequence": {
+      let value;
+      for (const expression of node.expressions) {
+        value = evaluate(expression, scope);
+      }
+      return value;
+    }
+    case "Conditional":
+      return evaluate(node.test, scope)
+        ? evaluate(node.consequent, scope)
+        : evaluate(node.alternate, scope);
+    case "Logical": {
+      const left = evaluate(node.left, scope);
+      switch (node.operator) {
+        case "&&":
+          return left && evaluate(node.right, scope);
+        case "||":
+          return left || evaluate(node.right, scope);
+        default:
+          return left ?? evaluate(node.right, scope);
+      }
+    }
+    case "Binary":
+      return binary(
+        node.operator, evaluate(node.left, scope), evaluate(node.right, scope)
+      );
+    case "Unary":
+      return unary(node, scope);
+    case "Update": {
+      const target = reference(node.argument, scope);
+      const old = Number(target.get());
+      const value = node.operator === "++" ? old + 1 : old - 1;
+      target.set(value);
+      return node.prefix ? value : old;
+    }
+    case "Assign":
+      return assignment(node, scope);
+    case "Chain": {
+      const value = evaluate(node.expression, scope);
+      return value === SHORT_CIRCUIT ? undefined : value;
+    }
+    case "Member": {
+      const object = evaluate(node.object, scope);
+      if (object === SHORT_CIRCUIT
+          || (node.optional && (object === null || object === undefined))) {
+        return SHORT_CIRCUIT;
+      }
+      return getProperty(object, memberKey(node, scope));
+    }
+    case "Call":
+      return call(node, scope);
+    case "New": {
+      const callee = evaluate(node.callee, scope);
+      if (typeof callee !== "function" || interpreted.has(callee)) {
+        throw new TypeError("Only built-in constructors can be used with new");
+      }
+      return Reflect.construct(callee, evaluateArguments(node, scope));
+    }
+  }
+  throw new Error(`Unknown expression ${node.type}`);
+}
+
+function memberKey(node, scope) {
+  return node.computed
+    ? propertyKey(evaluate(node.property, scope))
+    : node.property.value;
+}
+
+/* Copy the own enumerable properties of `source`, as `{...source}`
+   does.
+ */
+function spreadInto(object, source) {
+  if (source === null || source === undefined) {
+    return;
+  }
+  source = Object(source);
+  for (const key of Reflect.ownKeys(source)) {
+    if (Object.getOwnPropertyDescriptor(source, key).enumerable) {
+      defineProperty(object, key, source[key]);
+    }
+  }
+}
+
+function evaluateArguments(node, scope) {
+  const args = [];
+  for (const arg of node.arguments) {
+    if (arg.type === "Spread") {
+      args.push(...evaluate(arg.argument, scope));
+    } else {
+      args.push(evaluate(arg, scope));
+    }
+  }
+  return args;
+}
+
+function call(node, scope) {
+  let thisValue;
+  let callee;
+  if (node.callee.type === "Member") {
+    const member = node.callee;
+    thisValue = evaluate(member.object, scope);
+    if (thisValue === SHORT_CIRCUIT || (member.optional
+        && (thisValue === null || thisValue === undefined))) {
+      return SHORT_CIRCUIT;
+    }
+    callee = getProperty(thisValue, memberKey(member, scope));
+  } else {
+    callee = evaluate(node.callee, scope);
+    if (callee === SHORT_CIRCUIT) {
+      return SHORT_CIRCUIT;
+    }
+  }
+  if (node.optional && (callee === null || callee === undefined)) {
+    return SHORT_CIRCUIT;
+  }
+  if (typeof callee !== "function") {
+    throw new TypeError(`${describe(node.callee)} is not a function`);
+  }
+  return Reflect.apply(callee, thisValue, evaluateArguments(node, scope));
+}
+
+function describe(node) {
+  if (node.type === "Identifier") {
+    return node.name;
+  }
+  if (node.type === "Member" && !node.computed) {
+    return `${describe(node.object)}.${node.property.value}`;
+  }
+  return "expression";
+}
+
+function unary(node, scope) {
+  const { operator, argument } = node;
+  if (operator === "typeof" && argument.type === "Identifier"
+      && !scope.find(argument.name)) {
+    return "undefined";
+  }
+  if (operator === "delete") {
+    if (argument.type !== "Member") {
+      return true;
+    }
+    const object = evaluate(argument.object, scope);
+    const key = memberKey(argument, scope);
+    checkProperty(key);
+    return delete object[key];
+  }
+  const value = evaluate(argument, scope);
+  switch (operator) {
+    case "!":
+      return !value;
+    case "-":
+      return -value;
+    case "+":
+      return +value;
+    case "~":
+      return ~value;
+    case "typeof":
+      return typeof value;
+    case "void":
+      return undefined;
+  }
+}
+
+function binary(operator, left, right) {
+  switch (operator) {
+    case "+": return left + right;
+    case "-": return left - right;
+    case "*": return left * right;
+    case "/": return left / right;
+    case "%": return left % right;
+    case "**": return left ** right;
+    case "==": return left == right;
+    case "!=": return left != right;
+    case "===": return left === right;
+    case "!==": return left !== right;
+    case "<": return left < right;
+    case ">": return left > right;
+    case "<=": return left <= right;
+    case ">=": return left >= right;
+    case "<<": return left << right;
+    case ">>": return left >> right;
+    case ">>>": return left >>> right;
+    case "&": return left & right;
+    case "|": return left | right;
+    case "^": return left ^ right;
+    case "in": return propertyKey(left) in right;
+    case "instanceof": return left instanceof right;
+  }
+  throw new Error(`Unknown operator ${operator}`);
+}
+
+function assign(target, value, scope) {
+  if (target.type === "Identifier") {
+    scope.set(target.name, value);
+  } else {
+    setProperty(
+      evaluate(target.object, scope), memberKey(target, scope), value
+    );
+  }
+}
+
+/* A variable or property to update, with its object and key worked
+   out once
+ */
+function reference(target, scope) {
+  if (target.type === "Identifier") {
+    return {
+      get: () => scope.get(target.name),
+      set: value => scope.set(target.name, value),
+    };
+  }
+  const object = evaluate(target.object, scope);
+  const key = memberKey(target, scope);
+  return {
+    get: () => getProperty(object, key),
+    set: value => setProperty(object, key, value),
+  };
+}
+
+function assignment(node, scope) {
+  const { operator, target, right } = node;
+  if (operator === "=" && target.type === "Identifier") {
+    const value = evaluate(right, scope);
+    scope.set(target.name, value);
+    return value;
+  }
+  // The target's object and key are worked out before the value.
+  const ref = reference(target, scope);
+  if (operator === "=") {
+    const value = evaluate(right, scope);
+    ref.set(value);
+    return value;
+  }
+  const current = ref.get();
+  const logical = operator.slice(0, -1);
+  if ((logical === "&&" && !current) || (logical === "||" && current)
+      || (logical === "??" && current !== null && current !== undefined)) {
+    return current;
+  }
+  const value = ["&&", "||", "??"].includes(logical)
+    ? evaluate(right, scope)
+    : binary(logical, current, evaluate(right, scope));
+  ref.set(value);
+  return value;
+}
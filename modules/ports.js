@@ -0,0 +1,115 @@
+/*
+   IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+   Copyright (C) 2025 Erik Swanson
+
+   This program is free software: you can redistribute it and/or modify
+   it under the terms of the GNU General Public License as published by
+   the Free Software Foundation, either version 3 of the License, or
+   (at your option) any later version.
+
+   This program is distributed in the hope that it will be useful,
+   but WITHOUT ANY WARRANTY; without even the implied warranty of
+   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+   GNU General Public License for more details.
+
+   You should have received a copy of the GNU General Public License
+   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* Ports - request / response messaging over a `runtime.Port`.
+
+   `runtime.sendMessage` sends everything in one message, which fails
+   for large databases. A port keeps a connection open so data can be
+   sent as a series of smaller messages. These helpers let one side
+   make requests and wait for the reply, so it never sends faster than
+   the other side can process.
+
+   Example:
+
+   ```
+   // content script
+   const client = portClient(browser.runtime.connect({name: "example"}));
+   const result = await client.request({type: "batch", records});
+
+   // background
+   browser.runtime.onConnect.addListener((port) => {
+     servePort(port, async (message) => { ... return result; });
+   });
+   ```
+ */
+
+/* Wrap a port to make requests over it. Returns `{request,
+   disconnect}`, where `request(message)` resolves to the other side's
+   reply, and rejects with its error or if the port disconnects.
+ */
+export function portClient(port) {
+  let nextId = 0;
+  const pending = new Map();
+
+  port.onMessage.addListener(({ id, result, error }) => {
+    const call = pending.get(id);
+    if (!call) {
+      return;
+    }
+    pending.delete(id);
+    if (error !== undefined) {
+      call.reject(new Error(error));
+    } else {
+      call.resolve(result);
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    const reason = port.error ? `: ${port.error.message}` : "";
+    const error = new Error(`Port "${port.name}" disconnected${reason}`);
+    for (const call of pending.values()) {
+      call.reject(error);
+    }
+    pending.clear();
+  });
+
+  return {
+    request(message) {
+      return new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        port.postMessage({ id, message });
+      });
+    },
+    disconnect() {
+      port.disconnect();
+    },
+  };
+}
+
+/* Answer the requests made by a `portClient` on the other side.
+
+   `handler(message)` is called for each request, and its result (or
+   error) is sent back. `onDisconnect` (optional) is called when the
+   port closes, e.g. to clean up after an unfinished transfer.
+ */
+export function servePort(port, handler, onDisconnect) {
+  let connected = true;
+
+  port.onMessage.addListener(async ({ id, message }) => {
+    let reply;
+    try {
+      reply = { id, result: await handler(message) };
+    } catch (error) {
+      console.log(`Port "${port.name}" request failed`, error);
+      reply = { id, error: String(error?.message ?? error) };
+    }
+    if (connected) {
+      port.postMessage(reply);
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    if (onDisconnect) {
+      onDisconnect();
+    }
+  });
+}
@@ -0,0 +1,325 @@
+/*
+   IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+   Copyright (C) 2025 Erik Swanson
+
+   This program is free software: you can redistribute it and/or modify
+   it under the terms of the GNU General Public License as published by
+   the Free Software Foundation, either version 3 of the License, or
+   (at your option) any later version.
+
+   This program is distributed in the hope that it will be useful,
+   but WITHOUT ANY WARRANTY; without even the implied warranty of
+   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+   GNU General Public License for more details.
+
+   You should have received a copy of the GNU General Public License
+   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Redaction - scrub emails, tokens, names and the like out of records
+   as a snapshot is taken, so it can be shared. The records are
+   changed before they leave the page, the originals are never
+   stored.
+
+   Rules are kept per origin in the `redaction` setting (see
+   settings.js) as `{[origin]: {salt, rules}}`. A rule is `{storeName,
+   path, action, fake}`, applying to the store of that name in any of
+   the origin's databases:
+
+   - `path`: a dotted path to a field of the stored values, e.g.
+     "profile.email". A "*" matches every element of an array, or
+     every property of an object, e.g. "contacts.*.phone". KEY_PATH
+     is the record's primary key, for stores without a keyPath,
+     whose keys aren't part of the values.
+   - `action`, one of REDACTION_ACTIONS:
+     - "drop": remove the field.
+     - "mask": replace each character of a string with "*", numbers
+       with 0 and anything else with null.
+     - "hash": replace the value with a hash of it. The same value
+       always gets the same hash, so records still refer to each
+       other, but `salt` keeps the hashes of common values from being
+       looked up.
+     - "fake": replace the value with a made up one of the `fake` kind
+       (one of FAKE_KINDS), picked by its hash so it's just as
+       consistent.
+
+   Stores with a keyPath get their primary keys worked out again from
+   the redacted values. "mask" and "fake" give many values the same
+   replacement, so they're refused for fields in a store's keyPath or
+   a unique index's, where records would end up sharing a key and
+   overwrite each other or fail to restore. "hash" keeps them apart,
+   and is the only action for KEY_PATH.
+ */
+
+import { keyPathValue } from './indexedDbUtilities.js';
+import { stringify } from './serialization.js';
+
+export const REDACTION_ACTIONS = {
+  drop: "drop",
+  mask: "mask",
+  hash: "hash",
+  fake: "fake value",
+};
+
+/* The `path` of a rule redacting a store's out-of-line keys */
+export const KEY_PATH = "(key)";
+
+export const FAKE_KINDS = {
+  name: "name",
+  email: "email",
+  phone: "phone number",
+  text: "text",
+  number: "number",
+};
+
+const FIRST_NAMES = [
+  "Alex", "Blake", "Casey", "Dana", "Emery", "Finley", "Gray", "Harper",
+  "Indigo", "Jordan", "Kai", "Logan", "Morgan", "Noel", "Oakley", "Parker",
+  "Quinn", "Reese", "Sage", "Taylor", "Val", "Wren", "Yael", "Zion",
+];
+const LAST_NAMES = [
+  "Abbott", "Bishop", "Carver", "Dalton", "Ellis", "Fisher", "Garner",
+  "Hayes", "Irwin", "Jensen", "Keller", "Lowell", "Mercer", "Nolan",
+  "Osborne", "Porter", "Quill", "Rowe", "Sutton", "Tate", "Vance", "Walsh",
+];
+const WORDS = [
+  "lorem", "ipsum", "dolor", "sit", "amet", "consectetur", "adipiscing",
+  "elit", "sed", "do", "eiusmod", "tempor", "incididunt", "ut", "labore",
+  "et", "dolore", "magna", "aliqua",
+];
+
+/* Settings for an origin without rules yet, with a new salt */
+export function newRedaction() {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return {
+    salt: [...salt].map(byte => byte.toString(16).padStart(2, "0")).join(""),
+    rules: [],
+  };
+}
+
+/* Check a rule, returns a description of what's wrong with it or
+   null.
+ */
+export function ruleError(rule) {
+  if (!rule.storeName) {
+    return "a store name is needed";
+  }
+  if (!rule.path || rule.path.split(".").some(part => part === "")) {
+    return `invalid field path "${rule.path}"`;
+  }
+  if (!(rule.action in REDACTION_ACTIONS)) {
+    return `unknown action "${rule.action}"`;
+  }
+  if (rule.action === "fake" && !(rule.fake in FAKE_KINDS)) {
+    return `unknown kind of fake value "${rule.fake}"`;
+  }
+  if (rule.path === KEY_PATH && rule.action !== "hash") {
+    return "keys can only be hashed";
+  }
+  return null;
+}
+
+/* A rule as text, e.g. "users: profile.email → hash" */
+export function describeRule(rule) {
+  const action = rule.action === "fake"
+    ? `fake ${FAKE_KINDS[rule.fake]}`
+    : REDACTION_ACTIONS[rule.action];
+  return `${rule.storeName}: ${rule.path} → ${action}`;
+}
+
+/* Make a function that applies an origin's rules to batches of a
+   database's records, see the module comment. `schema` is the
+   database's, as returned by `getDbSchema`.
+
+   Returns null if there are no rules, or `async (storeName, records)`
+   which redacts a batch of `[primaryKey, value]` pairs in place and
+   resolves to it.
+ */
+export function redactor(redaction, schema) {
+  if (!redaction || redaction.rules.length === 0) {
+    return null;
+  }
+  for (const rule of redaction.rules) {
+    const error = keyRuleError(rule, schema.stores[rule.storeName]);
+    if (error) {
+      throw new Error(`The redaction rule "${describeRule(rule)}" ${error}`);
+    }
+  }
+  const hash = value => hashValue(redaction.salt, value);
+
+  return async (storeName, records) => {
+    const rules = redaction.rules.filter(rule => rule.storeName === storeName);
+    if (rules.length === 0) {
+      return records;
+    }
+    const keyPath = schema.stores[storeName]?.keyPath ?? null;
+    for (const record of records) {
+      for (const rule of rules) {
+        if (rule.path === KEY_PATH) {
+          record[0] = await redactValue(record[0], rule, hash);
+        } else {
+          await redactPath(record[1], rule.path.split("."), rule, hash);
+        }
+      }
+      if (keyPath !== null) {
+        record[0] = keyPathValue(record[1], keyPath);
+        if (record[0] === undefined) {
+          throw new Error(
+            `Redacting ${storeName} removed the key of one of its records`
+          );
+        }
+      }
+    }
+    return records;
+  };
+}
+
+/* Actions that can give different values the same replacement */
+const MERGING_ACTIONS = ["mask", "fake"];
+
+/* Check a rule doesn't merge the keys of a store's records, see the
+   module comment, and only uses KEY_PATH for out-of-line keys.
+   Returns what's wrong, or null.
+ */
+function keyRuleError(rule, storeSchema) {
+  if (!storeSchema) {
+    return null;
+  }
+  if (rule.path === KEY_PATH) {
+    if (storeSchema.keyPath !== null) {
+      return "can't be used for a store with a keyPath, redact the " +
+        `keyPath's fields (${[storeSchema.keyPath].flat().join(", ")}) ` +
+        "instead.";
+    }
+    return rule.action === "hash" ? null : "can only hash keys.";
+  }
+  if (!MERGING_ACTIONS.includes(rule.action)) {
+    return null;
+  }
+  const keyPaths = [["its primary key", storeSchema.keyPath]];
+  for (const [indexName, index] of Object.entries(storeSchema.indexes)) {
+    if (index.unique) {
+      keyPaths.push([`the unique index ${indexName}`, index.keyPath]);
+    }
+  }
+  for (const [what, keyPath] of keyPaths) {
+    if (keyPath !== null && pathTouches(rule.path, keyPath)) {
+      return `changes ${what}, which would give different records the ` +
+        `same key. Use "hash" for key fields instead.`;
+    }
+  }
+  return null;
+}
+
+/* True if redacting `path` can change the value at `keyPath`: one is
+   the other or part of it. The only keys with parts are arrays, so a
+   longer `path` only reaches into the key through an index or "*".
+ */
+function pathTouches(path, keyPath) {
+  if (Array.isArray(keyPath)) {
+    return keyPath.some(part => pathTouches(path, part));
+  }
+  if (keyPath === "") {
+    return true;
+  }
+  const parts = path.split(".");
+  const keyParts = keyPath.split(".");
+  const length = Math.min(parts.length, keyParts.length);
+  for (let i = 0; i < length; i++) {
+    if (parts[i] !== "*" && parts[i] !== keyParts[i]) {
+      return false;
+    }
+  }
+  const inside = parts[keyParts.length];
+  return inside === undefined || inside === "*" || /^\d+$/.test(inside);
+}
+
+async function redactPath(target, parts, rule, hash) {
+  if (typeof target !== "object" || target === null) {
+    return;
+  }
+  const [part, ...rest] = parts;
+  const props = part === "*"
+    ? Object.keys(target)
+    : Object.hasOwn(target, part) ? [part] : [];
+
+  if (rest.length > 0) {
+    for (const prop of props) {
+      await redactPath(target[prop], rest, rule, hash);
+    }
+  } else if (rule.action === "drop") {
+    if (Array.isArray(target)) {
+      // From the end, so the indexes still to go don't shift.
+      for (const prop of props.reverse()) {
+        target.splice(Number(prop), 1);
+      }
+    } else {
+      for (const prop of props) {
+        delete target[prop];
+      }
+    }
+  } else {
+    for (const prop of props) {
+      target[prop] = await redactValue(target[prop], rule, hash);
+    }
+  }
+}
+
+async function redactValue(value, rule, hash) {
+  switch (rule.action) {
+    case "mask":
+      if (typeof value === "string") {
+        return "*".repeat(value.length);
+      }
+      return typeof value === "number" ? 0 : null;
+    case "hash":
+      return `hash-${(await hash(value)).slice(0, 16)}`;
+    case "fake":
+      return fakeValue(rule.fake, value, await hash(value));
+    default:
+      throw new Error(`Unknown redaction action: ${rule.action}`);
+  }
+}
+
+/* The SHA-256 of a value and the salt, as hex */
+async function hashValue(salt, value) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256", new TextEncoder().encode(salt + await stringify(value))
+  );
+  return [...new Uint8Array(digest)]
+    .map(byte => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/* A made up value of `kind`, picked by `hex` (a hash of the real
+   value). Text is about as long as the value it replaces.
+ */
+function fakeValue(kind, value, hex) {
+  // Numbers to pick with, from separate parts of the hash.
+  const pick = i => parseInt(hex.slice(i * 8, i * 8 + 8), 16);
+  const first = FIRST_NAMES[pick(0) % FIRST_NAMES.length];
+  const last = LAST_NAMES[pick(1) % LAST_NAMES.length];
+
+  switch (kind) {
+    case "name":
+      return `${first} ${last}`;
+    case "email":
+      return `${first}.${last}${pick(2) % 1000}@example.com`.toLowerCase();
+    case "phone":
+      // 555-01xx numbers are reserved for fiction.
+      return `555-01${String(pick(2) % 100).padStart(2, "0")}`;
+    case "number":
+      return pick(2) % 1000000;
+    case "text": {
+      const length = typeof value === "string" ? value.length : 20;
+      const words = [];
+      for (let i = 0; words.join(" ").length < length; i++) {
+        words.push(WORDS[pick(i % 8) % WORDS.length]);
+      }
+      return words.join(" ").slice(0, Math.max(length, 1));
+    }
+    default:
+      throw new Error(`Unknown kind of fake value: ${kind}`);
+  }
+}
@@ -0,0 +1,347 @@
+/*
+   IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+   Copyright (C) 2025 Erik Swanson
+
+   This program is free software: you can redistribute it and/or modify
+   it under the terms of the GNU General Public License as published by
+   the Free Software Foundation, either version 3 of the License, or
+   (at your option) any later version.
+
+   This program is distributed in the hope that it will be useful,
+   but WITHOUT ANY WARRANTY; without even the implied warranty of
+   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+   GNU General Public License for more details.
+
+   You should have received a copy of the GNU General Public License
+   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Seed data - generate records for a store from a template, to try a
+   page out with lots of data, or with awkward data.
+
+   A template is JSON. Objects and arrays are copied into each record
+   as they are, apart from objects with a single "$" property, which
+   generate a value:
+
+   - {"$seq": {start, step, prefix}}: the record's number, from
+     `start` (default 1), e.g. "user-1", "user-2" with a prefix. A
+     saved generator's numbers carry on from its last run.
+   - {"$int": {min, max}}, {"$float": {min, max, decimals}}: a random
+     number from `min` to `max`.
+   - {"$bool": {}}: true or false.
+   - {"$string": {length, min, max, chars, prefix}}: a random string
+     of `length` (or `min` to `max`) characters from `chars`, one of
+     STRING_CHARS.
+   - {"$date": {from, to}}: a Date between two ISO dates, by default
+     from 2000 to now. `to` is filled in when a generator is saved
+     (see `pinDates`), so its seed keeps giving the same dates.
+   - {"$pick": [template, ...]}: one of the templates.
+   - {"$maybe": {of, probability}}: the `of` template, or null with
+     `probability` (default 0.5).
+   - {"$array": {of, length, min, max}}: a list of `of` templates.
+   - {"$ref": {store}}: the key of a random record already in another
+     store of the database.
+   - {"$literal": value}: `value` as it is, for objects that would
+     otherwise be read as one of the above.
+
+   Random values come from a seeded generator, so a run can be
+   repeated with the same `seed`. A saved generator's later runs are
+   seeded with `seed` plus the number of records it already added, so
+   they carry on rather than repeat the values of the first.
+ */
+
+export const STRING_CHARS = {
+  alphanumeric:
+    "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789",
+  hex: "0123456789abcdef",
+  unicode: [
+    "aéñøßж中文日本語한국",
+    // Right-to-left
+    "אבגعربي",
+    // Emoji, a skin tone modifier and a zero width joiner
+    "😀👍🏽\u200d",
+    "'\"<>& ",
+  ].join(""),
+};
+
+const MIN_DATE = "2000-01-01";
+
+/* A generator of random numbers in [0, 1) from a 32-bit seed
+   (mulberry32).
+ */
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* Compile a template (see the module comment) into a function
+   generating a value from a context of `{index, random, refs}`:
+   the record's number from 0, a `seededRandom` generator
+   and the keys of the stores referred to by `$ref`s, as
+   `{[storeName]: [key, ...]}`.
+
+   Throws an Error pointing at the first invalid part of the template.
+ */
+export function compileTemplate(template) {
+  return compileNode(template, "template");
+}
+
+/* The names of the stores a template's `$ref`s refer to */
+export function templateRefs(template) {
+  const refs = new Set();
+  (function walk(node) {
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+    } else if (isObject(node)) {
+      if (isObject(node.$ref) && Object.keys(node).length === 1) {
+        refs.add(node.$ref.store);
+      } else if (!("$literal" in node && Object.keys(node).length === 1)) {
+        Object.values(node).forEach(walk);
+      }
+    }
+  })(template);
+  return [...refs];
+}
+
+/* A copy of a template with the `to` of its `$date`s that have none
+   set to `now`, as an ISO date.
+ */
+export function pinDates(template, now = new Date()) {
+  return (function pin(node) {
+    if (Array.isArray(node)) {
+      return node.map(pin);
+    }
+    if (!isObject(node)) {
+      return node;
+    }
+    const keys = Object.keys(node);
+    if (keys.length === 1 && keys[0] === "$literal") {
+      return node;
+    }
+    if (keys.length === 1 && keys[0] === "$date" && isObject(node.$date)
+        && node.$date.to === undefined) {
+      return { $date: { ...node.$date, to: now.toISOString() } };
+    }
+    return Object.fromEntries(
+      keys.map(key => [key, pin(node[key])])
+    );
+  })(template);
+}
+
+/* A starting template for a store, from its summary (see
+   /content_scripts/read_dbs.js): a sequence for its keyPath, random
+   strings for its indexes' fields.
+ */
+export function defaultTemplate(summary) {
+  const template = {};
+  const fields = Object.values(summary.indexKeyPaths ?? {})
+    .flat()
+    .filter(path => path !== "");
+  for (const path of fields) {
+    setPath(template, path, { $string: { length: 8 } });
+  }
+  // Auto incremented keys are filled in by the store.
+  if (!summary.autoIncrement) {
+    const keyPaths = [summary.keyPath].flat()
+      .filter(path => typeof path === "string" && path !== "");
+    for (const path of keyPaths) {
+      setPath(template, path, { $seq: { start: 1 } });
+    }
+  }
+  if (Object.keys(template).length === 0) {
+    template.name = { $string: { min: 4, max: 12 } };
+    template.created = { $date: {} };
+  }
+  return template;
+}
+
+function setPath(target, path, value) {
+  const parts = path.split(".");
+  for (const part of parts.slice(0, -1)) {
+    if (!isObject(target[part])) {
+      target[part] = {};
+    }
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function compileNode(node, path) {
+  if (Array.isArray(node)) {
+    const items = node.map((item, i) => compileNode(item, `${path}[${i}]`));
+    return context => items.map(item => item(context));
+  }
+  if (!isObject(node)) {
+    return () => node;
+  }
+
+  const keys = Object.keys(node);
+  if (keys.length === 1 && keys[0].startsWith("$")) {
+    const name = keys[0];
+    check(name in GENERATORS, path, `unknown generator ${name}`);
+    return GENERATORS[name](node[name], `${path}.${name}`);
+  }
+  const fields = keys.map(
+    key => [key, compileNode(node[key], `${path}.${key}`)]
+  );
+  return (context) => {
+    const value = {};
+    for (const [key, field] of fields) {
+      value[key] = field(context);
+    }
+    return value;
+  };
+}
+
+function check(condition, path, message) {
+  if (!condition) {
+    throw new Error(`Invalid template at ${path}: ${message}`);
+  }
+}
+
+function numberOption(options, name, fallback, path) {
+  const value = options[name] ?? fallback;
+  check(Number.isFinite(value), path, `${name} must be a number`);
+  return value;
+}
+
+/* The number of items or characters to generate, `length` or from
+   `min` to `max`. */
+function lengthOption(options, fallback, path) {
+  if (options.length !== undefined) {
+    const length = numberOption(options, "length", fallback, path);
+    return () => length;
+  }
+  const min = numberOption(options, "min", fallback, path);
+  const max = numberOption(options, "max", min, path);
+  check(0 <= min && min <= max, path, "min must be from 0 to max");
+  return random => min + Math.floor(random() * (max - min + 1));
+}
+
+function optionsObject(options, path) {
+  check(options === undefined || isObject(options), path, "needs an object");
+  return options ?? {};
+}
+
+const GENERATORS = {
+  $seq(options, path) {
+    options = optionsObject(options, path);
+    const start = numberOption(options, "start", 1, path);
+    const step = numberOption(options, "step", 1, path);
+    const prefix = options.prefix;
+    return ({ index }) => {
+      const value = start + index * step;
+      return prefix === undefined ? value : `${prefix}${value}`;
+    };
+  },
+
+  $int(options, path) {
+    options = optionsObject(options, path);
+    const min = Math.ceil(numberOption(options, "min", 0, path));
+    const max = Math.floor(numberOption(options, "max", 1000, path));
+    check(min <= max, path, "min must not be above max");
+    return ({ random }) => min + Math.floor(random() * (max - min + 1));
+  },
+
+  $float(options, path) {
+    options = optionsObject(options, path);
+    const min = numberOption(options, "min", 0, path);
+    const max = numberOption(options, "max", 1, path);
+    const decimals = numberOption(options, "decimals", 2, path);
+    return ({ random }) => Number((min + random() * (max - min))
+      .toFixed(decimals));
+  },
+
+  $bool(options, path) {
+    optionsObject(options, path);
+    return ({ random }) => random() < 0.5;
+  },
+
+  $string(options, path) {
+    options = optionsObject(options, path);
+    const length = lengthOption(options, 8, path);
+    const charsName = options.chars ?? "alphanumeric";
+    check(
+      charsName in STRING_CHARS, path, `unknown chars "${charsName}"`
+    );
+    // Split by code point, so emoji aren't cut in half.
+    const chars = [...STRING_CHARS[charsName]];
+    const prefix = options.prefix ?? "";
+    return ({ random }) => {
+      let value = prefix;
+      for (let i = length(random); i > 0; i--) {
+        value += chars[Math.floor(random() * chars.length)];
+      }
+      return value;
+    };
+  },
+
+  $date(options, path) {
+    options = optionsObject(options, path);
+    const from = Date.parse(options.from ?? MIN_DATE);
+    const to = options.to === undefined ? Date.now() : Date.parse(options.to);
+    check(!isNaN(from) && !isNaN(to), path, "from and to must be dates");
+    check(from <= to, path, "from must not be after to");
+    return ({ random }) => new Date(from + Math.floor(random() * (to - from)));
+  },
+
+  $pick(options, path) {
+    check(Array.isArray(options) && options.length > 0, path,
+          "needs a list of templates");
+    const choices = options.map(
+      (item, i) => compileNode(item, `${path}[${i}]`)
+    );
+    return (context) => {
+      const choice = choices[Math.floor(context.random() * choices.length)];
+      return choice(context);
+    };
+  },
+
+  $maybe(options, path) {
+    options = optionsObject(options, path);
+    const of = compileNode(options.of ?? null, `${path}.of`);
+    const probability = numberOption(options, "probability", 0.5, path);
+    return context => context.random() < probability ? null : of(context);
+  },
+
+  $array(options, path) {
+    options = optionsObject(options, path);
+    const of = compileNode(options.of ?? null, `${path}.of`);
+    const length = lengthOption(options, 3, path);
+    return (context) => {
+      const items = [];
+      for (let i = length(context.random); i > 0; i--) {
+        items.push(of(context));
+      }
+      return items;
+    };
+  },
+
+  $ref(options, path) {
+    options = optionsObject(options, path);
+    check(typeof options.store === "string", path, "needs a store name");
+    const { store } = options;
+    return ({ random, refs }) => {
+      const keys = refs[store];
+      if (!keys || keys.length === 0) {
+        throw new Error(`No records in ${store} to refer to`);
+      }
+      return keys[Math.floor(random() * keys.length)];
+    };
+  },
+
+  $literal(value) {
+    return () => structuredClone(value);
+  },
+};
@@ -0,0 +1,386 @@
+/*
+   IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+   Copyright (C) 2025 Erik Swanson
+
+   This program is free software: you can redistribute it and/or modify
+   it under the terms of the GNU General Public License as published by
+   the Free Software Foundation, either version 3 of the License, or
+   (at your option) any later version.
+
+   This program is distributed in the hope that it will be useful,
+   but WITHOUT ANY WARRANTY; without even the implied warranty of
+   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+   GNU General Public License for more details.
+
+   You should have received a copy of the GNU General Public License
+   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* Serialization - a lossless JSON encoding for anything that can be
+   stored in IndexedDB.
+
+   Plain JSON loses most structured-clone types (Dates become strings,
+   Maps become `{}`, Blobs disappear, ...). `encode` converts a value
+   into JSON-safe data where each of those types is replaced by a
+   tagged object, and `decode` turns that back into an identical
+   value:
+
+   ```
+   const text = JSON.stringify(await encode(value));
+   const copy = decode(JSON.parse(text));
+   ```
+
+   Strings, booleans, null, finite numbers, arrays and plain objects
+   are left as they are, so most records stay readable. Everything
+   else becomes an object with a "$t" (type) property, e.g.
+
+   ```
+   {"$t": "Date", "v": 1727740800000}
+   {"$t": "Blob", "type": "image/png", "data": "iVBORw0KGgo..."}
+   {"$t": "Map", "v": [["key", "value"]]}
+   ```
+
+   Plain objects that happen to have their own "$t" property are
+   wrapped as `{"$t": "Object", "v": {...}}` so they can't be mistaken
+   for a tag.
+
+   Like the structured clone algorithm, an object that appears more
+   than once (including cycles) is encoded once and referred to
+   afterwards with `{"$t": "ref", "id": n}`, where n counts the objects
+   in the order they're first encountered.
+ */
+
+const TAG = "$t";
+
+const TYPED_ARRAYS = {
+  Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+  Int32Array, Uint32Array, Float32Array, Float64Array, BigInt64Array,
+  BigUint64Array,
+};
+
+const ERROR_TYPES = {
+  Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError,
+  URIError,
+};
+
+/* Encode `value` into JSON-safe data. Async since Blob contents can
+   only be read asynchronously.
+
+   Throws an Error for values that can't be stored in IndexedDB, e.g.
+   functions or symbols.
+ */
+export async function encode(value) {
+  const pendingBlobs = [];
+  const encoded = encodeValue(value, new Map(), pendingBlobs);
+  await Promise.all(pendingBlobs.map(async ([node, blob]) => {
+    node.data = bytesToBase64(new Uint8Array(await blob.arrayBuffer()));
+  }));
+  return encoded;
+}
+
+/* Decode data produced by `encode` back into the original value.
+
+   Throws an Error for unknown or malformed tags.
+ */
+export function decode(encoded) {
+  return decodeValue(encoded, []);
+}
+
+/* Shorthand for encoding a value all the way to a JSON string */
+export async function stringify(value) {
+  return JSON.stringify(await encode(value));
+}
+
+/* Shorthand for decoding a JSON string produced by `stringify` */
+export function parse(text) {
+  return decode(JSON.parse(text));
+}
+
+function encodeNumber(n) {
+  if (Number.isFinite(n) && !Object.is(n, -0)) {
+    return n;
+  }
+  return { [TAG]: "number", v: Object.is(n, -0) ? "-0" : String(n) };
+}
+
+function decodeNumber(encoded) {
+  if (typeof encoded === "number") {
+    return encoded;
+  }
+  return Number(encoded.v);
+}
+
+/* Set an own property, so a "__proto__" key round-trips rather than
+   setting the object's prototype.
+ */
+function setOwn(obj, key, value) {
+  Object.defineProperty(obj, key, {
+    value, enumerable: true, writable: true, configurable: true
+  });
+}
+
+/* Encode one value. `seen` maps objects already encoded to their
+   reference id, `pendingBlobs` collects Blob nodes whose data still
+   has to be read.
+ */
+function encodeValue(value, seen, pendingBlobs) {
+  switch (typeof value) {
+    case "string":
+    case "boolean":
+      return value;
+    case "number":
+      return encodeNumber(value);
+    case "undefined":
+      return { [TAG]: "undefined" };
+    case "bigint":
+      return { [TAG]: "bigint", v: value.toString() };
+    case "function":
+    case "symbol":
+      throw new Error(`Can't encode a value of type ${typeof value}`);
+  }
+  if (value === null) {
+    return null;
+  }
+
+  if (seen.has(value)) {
+    return { [TAG]: "ref", id: seen.get(value) };
+  }
+  seen.set(value, seen.size);
+
+  const encodeChild = (child) => encodeValue(child, seen, pendingBlobs);
+  const type = Object.prototype.toString.call(value).slice(8, -1);
+
+  if (Array.isArray(value)) {
+    // Arrays with holes or extra properties list their entries.
+    const keys = Object.keys(value);
+    if (keys.length === value.length && keys.every((k, i) => k === `${i}`)) {
+      return value.map(encodeChild);
+    }
+    return {
+      [TAG]: "Array",
+      length: value.length,
+      v: keys.map(k => [k, encodeChild(value[k])]),
+    };
+  }
+
+  if (value instanceof Date) {
+    return { [TAG]: "Date", v: encodeNumber(value.getTime()) };
+  }
+  if (value instanceof RegExp) {
+    return { [TAG]: "RegExp", source: value.source, flags: value.flags };
+  }
+  if (type === "Boolean" || type === "Number" || type === "String" ||
+      type === "BigInt") {
+    return { [TAG]: `${type}Object`, v: encodeChild(value.valueOf()) };
+  }
+  if (value instanceof ArrayBuffer) {
+    return { [TAG]: "ArrayBuffer", data: bytesToBase64(new Uint8Array(value)) };
+  }
+  if (ArrayBuffer.isView(value)) {
+    const viewType = value instanceof DataView ? "DataView" : type;
+    if (viewType !== "DataView" && !(viewType in TYPED_ARRAYS)) {
+      throw new Error(`Can't encode a ${viewType}`);
+    }
+    return {
+      [TAG]: viewType,
+      buffer: encodeChild(value.buffer),
+      byteOffset: value.byteOffset,
+      length: viewType === "DataView" ? value.byteLength : value.length,
+    };
+  }
+  if (value instanceof Map) {
+    return {
+      [TAG]: "Map",
+      v: [...value].map(([k, v]) => [encodeChild(k), encodeChild(v)]),
+    };
+  }
+  if (value instanceof Set) {
+    return { [TAG]: "Set", v: [...value].map(encodeChild) };
+  }
+  if (value instanceof Blob) {
+    const node = { [TAG]: "Blob", type: value.type, data: null };
+    if (value instanceof File) {
+      node[TAG] = "File";
+      node.name = value.name;
+      node.lastModified = value.lastModified;
+    }
+    pendingBlobs.push([node, value]);
+    return node;
+  }
+  if (value instanceof Error) {
+    return {
+      [TAG]: "Error",
+      name: value.name,
+      message: value.message,
+      stack: value.stack,
+    };
+  }
+  if (typeof ImageData !== "undefined" && value instanceof ImageData) {
+    return {
+      [TAG]: "ImageData",
+      width: value.width,
+      height: value.height,
+      data: encodeChild(value.data),
+    };
+  }
+
+  const proto = Object.getPrototypeOf(value);
+  if (proto !== Object.prototype && proto !== null) {
+    throw new Error(`Can't encode a ${type}`);
+  }
+  const encoded = {};
+  for (const [k, v] of Object.entries(value)) {
+    setOwn(encoded, k, encodeChild(v));
+  }
+  return Object.hasOwn(value, TAG) ? { [TAG]: "Object", v: encoded } : encoded;
+}
+
+/* Decode one value. `refs` holds the objects decoded so far, in the
+   same order `encodeValue` assigned their ids.
+ */
+function decodeValue(encoded, refs) {
+  if (typeof encoded !== "object" || encoded === null) {
+    return encoded;
+  }
+
+  const decodeChild = (child) => decodeValue(child, refs);
+
+  /* Containers are registered before decoding their children, so
+     cycles resolve to the container itself. */
+  function register(obj) {
+    refs.push(obj);
+    return obj;
+  }
+
+  if (Array.isArray(encoded)) {
+    const arr = register([]);
+    for (const item of encoded) {
+      arr.push(decodeChild(item));
+    }
+    return arr;
+  }
+
+  if (!Object.hasOwn(encoded, TAG)) {
+    const obj = register({});
+    for (const [k, v] of Object.entries(encoded)) {
+      setOwn(obj, k, decodeChild(v));
+    }
+    return obj;
+  }
+
+  const tag = encoded[TAG];
+  switch (tag) {
+    case "number":
+      return decodeNumber(encoded);
+    case "undefined":
+      return undefined;
+    case "bigint":
+      return BigInt(encoded.v);
+    case "ref":
+      if (!(encoded.id in refs)) {
+        throw new Error(`Reference to unknown object: ${encoded.id}`);
+      }
+      return refs[encoded.id];
+    case "Object": {
+      const obj = register({});
+      for (const [k, v] of Object.entries(encoded.v)) {
+        setOwn(obj, k, decodeChild(v));
+      }
+      return obj;
+    }
+    case "Array": {
+      const arr = register(new Array(encoded.length));
+      for (const [k, v] of encoded.v) {
+        setOwn(arr, k, decodeChild(v));
+      }
+      return arr;
+    }
+    case "Date":
+      return register(new Date(decodeNumber(encoded.v)));
+    case "RegExp":
+      return register(new RegExp(encoded.source, encoded.flags));
+    case "BooleanObject":
+    case "NumberObject":
+    case "StringObject":
+    case "BigIntObject": {
+      // Reserve the id, the primitive inside doesn't take one.
+      const id = refs.push(null) - 1;
+      refs[id] = Object(decodeChild(encoded.v));
+      return refs[id];
+    }
+    case "ArrayBuffer":
+      return register(base64ToBytes(encoded.data).buffer);
+    case "Map": {
+      const map = register(new Map());
+      for (const [k, v] of encoded.v) {
+        map.set(decodeChild(k), decodeChild(v));
+      }
+      return map;
+    }
+    case "Set": {
+      const set = register(new Set());
+      for (const v of encoded.v) {
+        set.add(decodeChild(v));
+      }
+      return set;
+    }
+    case "Blob":
+      return register(
+        new Blob([base64ToBytes(encoded.data)], { type: encoded.type })
+      );
+    case "File":
+      return register(new File([base64ToBytes(encoded.data)], encoded.name, {
+        type: encoded.type,
+        lastModified: encoded.lastModified,
+      }));
+    case "Error": {
+      const ErrorType = ERROR_TYPES[encoded.name] ?? Error;
+      const error = register(new ErrorType(encoded.message));
+      if (encoded.stack !== undefined) {
+        error.stack = encoded.stack;
+      }
+      return error;
+    }
+    case "ImageData": {
+      // Reserve the id, the pixel data is decoded after it.
+      const id = refs.push(null) - 1;
+      const data = decodeChild(encoded.data);
+      refs[id] = new ImageData(data, encoded.width, encoded.height);
+      return refs[id];
+    }
+  }
+
+  if (tag === "DataView" || tag in TYPED_ARRAYS) {
+    // Reserve the id, the buffer is decoded after the view.
+    const id = refs.push(null) - 1;
+    const buffer = decodeChild(encoded.buffer);
+    const View = tag === "DataView" ? DataView : TYPED_ARRAYS[tag];
+    refs[id] = new View(buffer, encoded.byteOffset, encoded.length);
+    return refs[id];
+  }
+
+  throw new Error(`Unknown encoded type: ${tag}`);
+}
+
+/* Binary data as base64 text, for JSON, and back */
+export function bytesToBase64(bytes) {
+  // Convert in slices, spreading a large array into fromCharCode
+  // would overflow the stack.
+  const chunks = [];
+  const sliceSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += sliceSize) {
+    chunks.push(String.fromCharCode(...bytes.subarray(i, i + sliceSize)));
+  }
+  return btoa(chunks.join(""));
+}
+
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
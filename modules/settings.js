@@ -0,0 +1,98 @@
+/*
+   IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+   Copyright (C) 2025 Erik Swanson
+
+   This program is free software: you can redistribute it and/or modify
+   it under the terms of the GNU General Public License as published by
+   the Free Software Foundation, either version 3 of the License, or
+   (at your option) any later version.
+
+   This program is distributed in the hope that it will be useful,
+   but WITHOUT ANY WARRANTY; without even the implied warranty of
+   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+   GNU General Public License for more details.
+
+   You should have received a copy of the GNU General Public License
+   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* Settings - the extension's options, kept in `storage.local` under
+   "settings" so the popup, background and content scripts all see
+   the same values.
+ */
+
+export const DEFAULT_SETTINGS = {
+  // Take an automatic snapshot before clear, delete and replace
+  // restores.
+  snapshotBeforeDestructive: false,
+  // Automatic snapshots kept for each origin and database: at most
+  // `keepLast`, none older than `maxAgeDays`. null for no limit.
+  retention: { keepLast: 10, maxAgeDays: 30 },
+  // Periodic snapshots by origin, taken while a tab with the origin
+  // is open: {[origin]: {intervalMinutes, dbNames}}
+  periodic: {},
+  // Origins whose databases are snapshotted just before the page
+  // upgrades them, see content_scripts/watch_upgrades.js.
+  watchUpgrades: [],
+  // Compress the records of new snapshots, and exported snapshot
+  // files, see compression.js.
+  compressSnapshots: false,
+  compressExports: false,
+  // Redaction rules by origin, applied as snapshots are taken:
+  // {[origin]: {salt, rules}}, see redaction.js.
+  redaction: {},
+  // Seed data generators saved to run again, by origin, database and
+  // store: {[origin]: {[dbName]: {[storeName]: {count, template,
+  // keyTemplate, seed, offset}}}}, see seedData.js and
+  // popup/seedGenerator.js.
+  seedGenerators: {},
+};
+
+/* Why an automatic snapshot was taken, stored in its `auto` field,
+   and how that's described in its name.
+ */
+export const AUTO_REASONS = {
+  "before-clear": "before clear",
+  "before-delete": "before delete",
+  "before-restore": "before replace restore",
+  "scheduled": "scheduled",
+  "before-upgrade": "before upgrade",
+};
+
+/* The tag every automatic snapshot gets, see `pruneAutoSnapshots` in
+   snapshots.js.
+ */
+export const AUTO_TAG = "auto";
+
+export async function getSettings() {
+  const { settings } = await browser.storage.local.get("settings");
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+    retention: { ...DEFAULT_SETTINGS.retention, ...settings?.retention },
+  };
+}
+
+export function saveSettings(settings) {
+  return browser.storage.local.set({ settings });
+}
+
+/* The name and tags of an automatic snapshot */
+export function autoLabels(reason) {
+  return {
+    name: `Automatic: ${AUTO_REASONS[reason] ?? reason}`,
+    notes: "",
+    tags: [AUTO_TAG],
+  };
+}
+
+/* A match pattern for the pages of an origin, to request host
+   permissions and find its tabs. Match patterns can't hold a port, so
+   this also matches the host's other ports.
+ */
+export function originPattern(origin) {
+  const url = new URL(origin);
+  return `${url.protocol}//${url.hostname}/*`;
+}
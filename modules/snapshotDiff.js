@@ -0,0 +1,385 @@
+/*
+   IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+   Copyright (C) 2025 Erik Swanson
+
+   This program is free software: you can redistribute it and/or modify
+   it under the terms of the GNU General Public License as published by
+   the Free Software Foundation, either version 3 of the License, or
+   (at your option) any later version.
+
+   This program is distributed in the hope that it will be useful,
+   but WITHOUT ANY WARRANTY; without even the implied warranty of
+   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+   GNU General Public License for more details.
+
+   You should have received a copy of the GNU General Public License
+   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* Snapshot diff - compare two snapshots (or a snapshot and the live
+   database, captured in the same form) and report what changed.
+
+   Both the schema (version, stores and indexes) and the records are
+   compared. Records are matched up by primary key, and records that
+   changed get a field-level list of changes.
+ */
+
+import { keyPathValue } from './indexedDbUtilities.js';
+import { stringify } from './serialization.js';
+
+/* Compare two schemas, as returned by `getDbSchema`.
+
+   Returns
+   ```
+   {
+     version: {from: 1, to: 2} | null,
+     storesAdded: ["dogs"],
+     storesRemoved: [],
+     storesChanged: {
+       books: {
+         changes: [{field: "keyPath", from: "id", to: "isbn"}],
+         indexesAdded: ["by_author"],
+         indexesRemoved: [],
+         indexesChanged: {
+           by_title: [{field: "unique", from: false, to: true}],
+         },
+       },
+     },
+   }
+   ```
+   Where `storesChanged` only holds stores that differ.
+ */
+export function diffSchemas(from, to) {
+  const diff = {
+    version: from.version === to.version
+      ? null
+      : { from: from.version, to: to.version },
+    storesAdded: [],
+    storesRemoved: [],
+    storesChanged: {},
+  };
+
+  const [added, removed, common] = compareNames(from.stores, to.stores);
+  diff.storesAdded = added;
+  diff.storesRemoved = removed;
+
+  for (const storeName of common) {
+    const fromStore = from.stores[storeName];
+    const toStore = to.stores[storeName];
+
+    const [indexesAdded, indexesRemoved, commonIndexes] =
+      compareNames(fromStore.indexes, toStore.indexes);
+    const indexesChanged = {};
+    for (const indexName of commonIndexes) {
+      const changes = compareFields(
+        fromStore.indexes[indexName],
+        toStore.indexes[indexName],
+        ["keyPath", "unique", "multiEntry"]
+      );
+      if (changes.length > 0) {
+        indexesChanged[indexName] = changes;
+      }
+    }
+
+    const changes = compareFields(
+      fromStore, toStore, ["keyPath", "autoIncrement"]
+    );
+    if (changes.length > 0 || indexesAdded.length > 0 ||
+        indexesRemoved.length > 0 ||
+        Object.keys(indexesChanged).length > 0) {
+      diff.storesChanged[storeName] = {
+        changes, indexesAdded, indexesRemoved, indexesChanged
+      };
+    }
+  }
+  return diff;
+}
+
+/* True if a schema diff found no differences */
+export function isSchemaUnchanged(schemaDiff) {
+  return schemaDiff.version === null &&
+    schemaDiff.storesAdded.length === 0 &&
+    schemaDiff.storesRemoved.length === 0 &&
+    Object.keys(schemaDiff.storesChanged).length === 0;
+}
+
+/* Check whether the stores `storeNames` of a snapshot with `schema`
+   can be restored into a live database with the schema `live`, or
+   null if the database doesn't exist yet (it's created from the
+   snapshot's schema).
+
+   Returns a list of `{storeName, problem}`, empty if the restore can
+   go ahead.
+ */
+export function restoreProblems(schema, live, storeNames) {
+  if (!live) {
+    return [];
+  }
+
+  const diff = diffSchemas(schema, live);
+  // Missing stores are only created by an upgrade, so the snapshot's
+  // version has to be newer.
+  const canUpgrade = schema.version > live.version;
+  const problems = [];
+  for (const storeName of storeNames) {
+    if (diff.storesRemoved.includes(storeName)) {
+      if (!canUpgrade) {
+        problems.push({
+          storeName,
+          problem: `not in the database, and it can't be created since ` +
+            `the database (version ${live.version}) isn't older than ` +
+            `the snapshot (version ${schema.version})`,
+        });
+      }
+      continue;
+    }
+    for (const { field, from, to } of
+         diff.storesChanged[storeName]?.changes ?? []) {
+      problems.push({
+        storeName,
+        problem: `${field} is ${JSON.stringify(from)} in the snapshot ` +
+          `but ${JSON.stringify(to)} in the database`,
+      });
+    }
+  }
+  return problems;
+}
+
+/* The keys the records of a keyed snapshot would get in the unique
+   indexes of a live database with the schema `live`. `records` is
+   `{storeName: [[primaryKey, value], ...]}`.
+
+   Returns `{storeName: {indexName: [[indexKey, primaryKey], ...]}}`,
+   for the stores that have unique indexes.
+ */
+export function uniqueIndexEntries(live, records) {
+  const entries = {};
+  for (const [storeName, pairs] of Object.entries(records)) {
+    const indexes = Object.entries(live.stores[storeName]?.indexes ?? {})
+      .filter(([, index]) => index.unique);
+    if (indexes.length === 0) {
+      continue;
+    }
+    entries[storeName] = {};
+    for (const [indexName, index] of indexes) {
+      entries[storeName][indexName] = pairs.flatMap(([primaryKey, value]) =>
+        indexKeys(value, index).map(indexKey => [indexKey, primaryKey])
+      );
+    }
+  }
+  return entries;
+}
+
+/* Unique index keys that more than one of the snapshot's records
+   would get, from `uniqueIndexEntries`. Writing the second of them
+   would fail with a ConstraintError.
+
+   Returns a list of `{storeName, problem}`.
+ */
+export function duplicateIndexProblems(entries) {
+  const problems = [];
+  for (const [storeName, indexes] of Object.entries(entries)) {
+    for (const [indexName, pairs] of Object.entries(indexes)) {
+      // Sorted by index key, records sharing a key are side by side.
+      const sorted = sortByKey(pairs);
+      let count = 0;
+      let example;
+      for (let i = 1; i < sorted.length; i++) {
+        const [indexKey, primaryKey] = sorted[i];
+        const [prevIndexKey, prevPrimaryKey] = sorted[i - 1];
+        if (window.indexedDB.cmp(indexKey, prevIndexKey) === 0 &&
+            window.indexedDB.cmp(primaryKey, prevPrimaryKey) !== 0) {
+          count += 1;
+          example ??= indexKey;
+        }
+      }
+      if (count > 0) {
+        problems.push({
+          storeName,
+          problem: `the unique index ${indexName} would get ${count} ` +
+            `duplicate keys from the snapshot's records, e.g. ` +
+            `${JSON.stringify(example)}`,
+        });
+      }
+    }
+  }
+  return problems;
+}
+
+/* The keys a value is given in an index, as IndexedDB does: none if
+   the keyPath doesn't give a valid key, and each valid key of an
+   array for multiEntry indexes.
+ */
+function indexKeys(value, index) {
+  const key = keyPathValue(value, index.keyPath);
+  const keys = index.multiEntry && Array.isArray(key) ? key : [key];
+  return keys.filter(isValidKey);
+}
+
+function isValidKey(key) {
+  try {
+    window.indexedDB.cmp(key, key);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/* Compare two lists of `[primaryKey, value]` pairs.
+
+   Resolves to
+   ```
+   {
+     added: [[primaryKey, value], ...],
+     removed: [[primaryKey, value], ...],
+     modified: [{key, from, to, changes: [{path, from, to}, ...]}, ...],
+     unchanged: 12,
+   }
+   ```
+   Where `changes` is the field-level diff from `diffValues`.
+ */
+export async function diffRecords(fromPairs, toPairs) {
+  const diff = { added: [], removed: [], modified: [], unchanged: 0 };
+  const fromSorted = sortByKey(fromPairs);
+  const toSorted = sortByKey(toPairs);
+
+  // Both lists are sorted by key, walk through them side by side.
+  let i = 0;
+  let j = 0;
+  while (i < fromSorted.length || j < toSorted.length) {
+    const cmp = i >= fromSorted.length ? 1
+      : j >= toSorted.length ? -1
+      : window.indexedDB.cmp(fromSorted[i][0], toSorted[j][0]);
+
+    if (cmp < 0) {
+      diff.removed.push(fromSorted[i++]);
+    } else if (cmp > 0) {
+      diff.added.push(toSorted[j++]);
+    } else {
+      const [key, fromValue] = fromSorted[i++];
+      const [, toValue] = toSorted[j++];
+      if (await stringify(fromValue) === await stringify(toValue)) {
+        diff.unchanged += 1;
+      } else {
+        diff.modified.push({
+          key,
+          from: fromValue,
+          to: toValue,
+          changes: await diffValues(fromValue, toValue),
+        });
+      }
+    }
+  }
+  return diff;
+}
+
+/* Field-level differences between two values.
+
+   Plain objects and arrays are compared property by property, any
+   other values are compared as a whole. Resolves to a list of
+   `{path, from, to}`, where `path` is a list of property names (empty
+   for the value itself) and a missing property is undefined.
+ */
+export async function diffValues(from, to, path = []) {
+  const fromProps = containerProps(from);
+  const toProps = containerProps(to);
+  const sameKind = fromProps !== null && toProps !== null &&
+    Array.isArray(from) === Array.isArray(to);
+
+  if (!sameKind) {
+    const equal = await stringify(from) === await stringify(to);
+    return equal ? [] : [{ path, from, to }];
+  }
+
+  const changes = [];
+  const props = [...new Set([...fromProps, ...toProps])];
+  for (const prop of props) {
+    if (!fromProps.includes(prop)) {
+      changes.push({ path: [...path, prop], from: undefined, to: to[prop] });
+    } else if (!toProps.includes(prop)) {
+      changes.push({ path: [...path, prop], from: from[prop], to: undefined });
+    } else {
+      changes.push(...await diffValues(from[prop], to[prop], [...path, prop]));
+    }
+  }
+  return changes;
+}
+
+/* Compare two snapshots. Either can also be the live database, as
+   captured by the content script's `captureSnapshot`.
+
+   Resolves to `{schema, stores, skippedStores}` where `schema` is
+   from `diffSchemas` and `stores` maps each store name in either
+   snapshot to the result of `diffRecords`.
+
+   A store left out of a partial snapshot (see the "partial"
+   metadata) can't be compared, it's listed in `skippedStores`
+   instead of being reported as removed.
+ */
+export async function diffSnapshots(from, to) {
+  for (const snap of [from, to]) {
+    if ((snap.format ?? 1) < 2 || !snap.schema) {
+      throw new Error(
+        "Snapshots taken by older versions of IndexedDB Utils can't be " +
+        "compared. Restore it and take a new snapshot."
+      );
+    }
+  }
+
+  const storeNames = [...new Set([...from.stores, ...to.stores])];
+  const stores = {};
+  const skippedStores = [];
+  for (const storeName of storeNames) {
+    const leftOut = [from, to].some(snap =>
+      snap.partial && !snap.stores.includes(storeName)
+    );
+    if (leftOut) {
+      skippedStores.push(storeName);
+      continue;
+    }
+    stores[storeName] = await diffRecords(
+      from.snapshot[storeName] ?? [], to.snapshot[storeName] ?? []
+    );
+  }
+  return {
+    schema: diffSchemas(from.schema, to.schema), stores, skippedStores
+  };
+}
+
+function compareNames(fromObj, toObj) {
+  const fromNames = Object.keys(fromObj);
+  const toNames = Object.keys(toObj);
+  return [
+    toNames.filter(name => !fromNames.includes(name)),
+    fromNames.filter(name => !toNames.includes(name)),
+    fromNames.filter(name => toNames.includes(name)),
+  ];
+}
+
+function compareFields(from, to, fields) {
+  return fields
+    .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .map(field => ({ field, from: from[field], to: to[field] }));
+}
+
+function sortByKey(pairs) {
+  return [...pairs].sort((a, b) => window.indexedDB.cmp(a[0], b[0]));
+}
+
+/* The property names to compare for plain objects and arrays, or null
+   for any other value */
+function containerProps(value) {
+  if (Array.isArray(value)) {
+    return Object.keys(value);
+  }
+  if (typeof value !== "object" || value === null) {
+    return null;
+  }
+  const proto = Object.getPrototypeOf(value);
+  if (proto !== Object.prototype && proto !== null) {
+    return null;
+  }
+  return Object.keys(value);
+}
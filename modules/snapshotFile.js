@@ -0,0 +1,331 @@
+/*
+   IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+   Copyright (C) 2025 Erik Swanson
+
+   This program is free software: you can redistribute it and/or modify
+   it under the terms of the GNU General Public License as published by
+   the Free Software Foundation, either version 3 of the License, or
+   (at your option) any later version.
+
+   This program is distributed in the hope that it will be useful,
+   but WITHOUT ANY WARRANTY; without even the implied warranty of
+   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+   GNU General Public License for more details.
+
+   You should have received a copy of the GNU General Public License
+   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* Snapshot files - convert snapshots to and from a versioned JSON
+   file, so a database state can be shared or kept as a fixture.
+
+   A snapshot file looks like:
+
+   ```
+   {
+     "format": "indexeddb-utils-snapshot",
+     "version": 3,
+     "exported": 1727740800000,
+     "metadata": {
+       "origin": "https://example.com",
+       "dbName": "example",
+       "dbVersion": 2,
+       "created": 1727740000000,
+       "stores": ["books"],
+       "storeCount": 1,
+       "partial": false,
+       "recordCount": 1,
+       "name": "one book",
+       "notes": "",
+       "tags": ["fixture"]
+     },
+     "schema": {
+       "version": 2,
+       "stores": {
+         "books": {"keyPath": "isbn", "autoIncrement": false, "indexes": {}}
+       }
+     },
+     "records": {
+       "books": [["0312851820", {"isbn": "0312851820", "title": "..."}]]
+     }
+   }
+   ```
+
+   Where `schema` is as returned by `getDbSchema` and `records` holds
+   the `[primaryKey, value]` pairs of each store. `name`, `notes` and
+   `tags` are optional, as is `redaction`, the rules the records were
+   redacted with (see redaction.js).
+
+   Since version 2 `records` is encoded with `encode` from
+   serialization.js, so Dates, Blobs, binary keys etc. survive the
+   trip through JSON. Version 1 files hold plain JSON records.
+
+   Since version 3 the records may be encrypted with a passphrase (see
+   encryption.js): `records` is then the base64 of the encrypted JSON
+   of the encoded records, and `encryption` holds `{salt, iterations,
+   iv, compressed}`. Everything else stays readable. With `compressed`
+   the JSON was gzipped before it was encrypted (see compression.js).
+
+   Unencrypted files may also be exported gzipped (".json.gz"), the
+   same text compressed as a whole.
+ */
+
+import { decryptText, encryptText } from './encryption.js';
+import { encode, decode } from './serialization.js';
+import { normalizeLabels } from './snapshots.js';
+
+export const FILE_FORMAT = "indexeddb-utils-snapshot";
+export const FILE_VERSION = 3;
+
+/* Metadata fields copied between a stored snapshot and a file */
+const METADATA_FIELDS = [
+  "origin", "dbName", "dbVersion", "created", "stores", "storeCount",
+  "partial", "recordCount", "name", "notes", "tags", "redaction",
+];
+
+/* Convert a stored snapshot (see `getSnapshot` in snapshots.js) into
+   the text of a snapshot file, with its records encrypted with
+   `passphrase` if given, and compressed before that if `compressed`.
+ */
+export async function snapshotToFile(snapshot, passphrase, compressed) {
+  if ((snapshot.format ?? 1) < 2 || !snapshot.schema) {
+    throw new Error(
+      "This snapshot was taken by an older version of IndexedDB Utils " +
+      "and can't be exported. Restore it and take a new snapshot."
+    );
+  }
+
+  const metadata = {};
+  for (const field of METADATA_FIELDS) {
+    metadata[field] = snapshot[field];
+  }
+
+  const file = {
+    format: FILE_FORMAT,
+    version: FILE_VERSION,
+    exported: Date.now(),
+    metadata: metadata,
+    schema: snapshot.schema,
+    records: await encode(snapshot.snapshot),
+  };
+  if (passphrase) {
+    const { encryption, data } = await encryptText(
+      passphrase, JSON.stringify(file.records), compressed
+    );
+    file.encryption = encryption;
+    file.records = data;
+  }
+  return JSON.stringify(file);
+}
+
+/* A file name for an exported snapshot, e.g.
+   "example-v2-2025-10-01T12-00-00-000Z.json", ending in ".json.gz"
+   if it's `compressed`.
+ */
+export function snapshotFileName(snapshot, compressed) {
+  const created = new Date(snapshot.created).toISOString();
+  const name = `${snapshot.dbName}-v${snapshot.dbVersion}-${created}`;
+  const extension = compressed ? ".json.gz" : ".json";
+  return `${name.replace(/[\\/:*?"<>|%.\s]/g, "-")}${extension}`;
+}
+
+/* Parse the text of a snapshot file, checking only its format and
+   version, see `snapshotFromFile`. Its `encryption` tells if a
+   passphrase is needed.
+
+   Throws an Error if it's not a snapshot file this version can read.
+ */
+export function parseSnapshotFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a snapshot file, invalid JSON: ${error.message}`);
+  }
+
+  check(
+    isObject(file) && file.format === FILE_FORMAT,
+    "Not an IndexedDB Utils snapshot file"
+  );
+  check(
+    Number.isInteger(file.version) && file.version >= 1,
+    `Invalid snapshot file version: ${file.version}`
+  );
+  check(
+    file.version <= FILE_VERSION,
+    `Snapshot file version ${file.version} is newer than this extension ` +
+    "supports, please update IndexedDB Utils"
+  );
+  check(
+    file.encryption === undefined ||
+      (isObject(file.encryption) && typeof file.records === "string"),
+    "invalid encryption"
+  );
+  return file;
+}
+
+/* Validate a file parsed by `parseSnapshotFile`, returning a snapshot
+   ready to pass to `addSnapshot`, stored under `origin`. Encrypted
+   files are decrypted with `passphrase`.
+
+   Throws an Error describing the first problem found if the file is
+   not a valid snapshot file, or the passphrase is wrong.
+ */
+export async function snapshotFromFile(file, origin, passphrase) {
+  const { metadata, schema } = file;
+  let records = file.records;
+  if (file.encryption) {
+    const text = await decryptText(passphrase, file.encryption, records);
+    try {
+      records = JSON.parse(text);
+    } catch (error) {
+      check(false, `can't decode records: ${error.message}`);
+    }
+  }
+  if (file.version >= 2) {
+    try {
+      records = decode(records);
+    } catch (error) {
+      check(false, `can't decode records: ${error.message}`);
+    }
+  }
+
+  checkMetadata(metadata);
+  checkSchema(schema, metadata.stores);
+  checkRecords(records, schema, metadata.stores);
+
+  const recordCount = metadata.stores
+    .map(storeName => records[storeName].length)
+    .reduce((a, b) => a + b, 0);
+
+  const snapshot = {
+    "format": 2,
+    "origin": origin,
+    "dbName": metadata.dbName,
+    "dbVersion": metadata.dbVersion,
+    "created": metadata.created,
+    "imported": Date.now(),
+    "stores": metadata.stores,
+    "storeCount": metadata.stores.length,
+    "partial": !!metadata.partial,
+    "recordCount": recordCount,
+    ...normalizeLabels(metadata),
+    "schema": schema,
+    "snapshot": records,
+  };
+  if (metadata.redaction) {
+    snapshot.redaction = metadata.redaction;
+  }
+  return snapshot;
+}
+
+function check(condition, message) {
+  if (!condition) {
+    throw new Error(`Invalid snapshot file: ${message}`);
+  }
+}
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isKeyPath(value) {
+  return typeof value === "string" ||
+    (Array.isArray(value) && value.every(p => typeof p === "string"));
+}
+
+function checkMetadata(metadata) {
+  check(isObject(metadata), "missing metadata");
+  check(
+    typeof metadata.dbName === "string" && metadata.dbName.length > 0,
+    "metadata.dbName must be a non-empty string"
+  );
+  check(
+    Number.isInteger(Number(metadata.dbVersion)),
+    "metadata.dbVersion must be an integer"
+  );
+  check(
+    Number.isFinite(metadata.created),
+    "metadata.created must be a timestamp"
+  );
+  check(
+    Array.isArray(metadata.stores) &&
+      metadata.stores.every(s => typeof s === "string"),
+    "metadata.stores must be a list of store names"
+  );
+  for (const field of ["name", "notes"]) {
+    check(
+      metadata[field] === undefined || typeof metadata[field] === "string",
+      `metadata.${field} must be a string`
+    );
+  }
+  check(
+    metadata.tags === undefined ||
+      (Array.isArray(metadata.tags) &&
+        metadata.tags.every(t => typeof t === "string")),
+    "metadata.tags must be a list of strings"
+  );
+  check(
+    metadata.redaction === undefined ||
+      (isObject(metadata.redaction) && Array.isArray(metadata.redaction.rules)),
+    "metadata.redaction must hold a list of rules"
+  );
+}
+
+function checkSchema(schema, storeNames) {
+  check(isObject(schema), "missing schema");
+  check(
+    Number.isInteger(schema.version) && schema.version >= 1,
+    "schema.version must be a positive integer"
+  );
+  check(isObject(schema.stores), "schema.stores must be an object");
+
+  for (const storeName of storeNames) {
+    const store = schema.stores[storeName];
+    check(isObject(store), `no schema for store "${storeName}"`);
+    check(
+      store.keyPath === null || isKeyPath(store.keyPath),
+      `invalid keyPath for store "${storeName}"`
+    );
+    check(
+      typeof store.autoIncrement === "boolean",
+      `invalid autoIncrement for store "${storeName}"`
+    );
+    check(isObject(store.indexes), `invalid indexes for store "${storeName}"`);
+
+    for (const [indexName, index] of Object.entries(store.indexes)) {
+      const where = `index "${indexName}" of store "${storeName}"`;
+      check(isObject(index) && isKeyPath(index.keyPath), `invalid ${where}`);
+      check(
+        typeof index.unique === "boolean" &&
+          typeof index.multiEntry === "boolean",
+        `invalid unique or multiEntry for ${where}`
+      );
+    }
+  }
+}
+
+function checkRecords(records, schema, storeNames) {
+  check(isObject(records), "missing records");
+
+  for (const storeName of storeNames) {
+    const entries = records[storeName];
+    check(Array.isArray(entries), `no records for store "${storeName}"`);
+
+    // Stores with out-of-line keys and no key generator need a key
+    const { keyPath, autoIncrement } = schema.stores[storeName];
+    const needsKey = keyPath === null && !autoIncrement;
+    for (const entry of entries) {
+      check(
+        Array.isArray(entry) && entry.length === 2,
+        `records of store "${storeName}" must be [primaryKey, value] pairs`
+      );
+      check(
+        !needsKey || entry[0] !== null,
+        `a record of store "${storeName}" is missing its primary key`
+      );
+    }
+  }
+}
@@ -0,0 +1,761 @@
+/*
+   IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+   Copyright (C) 2025 Erik Swanson
+
+   This program is free software: you can redistribute it and/or modify
+   it under the terms of the GNU General Public License as published by
+   the Free Software Foundation, either version 3 of the License, or
+   (at your option) any later version.
+
+   This program is distributed in the hope that it will be useful,
+   but WITHOUT ANY WARRANTY; without even the implied warranty of
+   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+   GNU General Public License for more details.
+
+   You should have received a copy of the GNU General Public License
+   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* Snapshots - reading and writing snapshots stored in the
+   extension-owned indexeddb (see `dbConnect` in core.js).
+
+   A snapshot is stored in parts:
+
+   - Its metadata (dbName, created, stores, schema, ...) in the
+     `snapshots` store, keyed by the snapshot's id.
+   - The list of its records' chunks (see chunks.js) in the
+     `snapshotBatches` store, as `{snapshotId, storeName, seq, chunk,
+     count, size, storedSize}`, where `chunk` is the chunk's hash.
+   - The chunks themselves in the `chunks` store, as `{hash,
+     records}`, or `{hash, gzip}` with the records compressed (see
+     compression.js) when the `compressSnapshots` setting is on. The
+     `chunkRefs` store holds `{hash, refCount, size, storedSize}`.
+     A chunk is stored once however many snapshots (or stores) hold
+     it, and deleted along with the last batch referring to it.
+
+   Keeping the records apart means large snapshots can be written and
+   read a batch at a time, and snapshots can be listed without loading
+   any records. Batches stored before chunks were used hold their
+   `records` themselves, until `dedupeSnapshots` moves them.
+
+   Snapshots taken with a passphrase have their chunks stored as
+   `{hash, sealed}`, encrypted with keys derived from it (see
+   encryption.js), and the key derivation's parameters in their
+   metadata's `encryption`. The rest of the metadata stays readable
+   so they can be listed. Their chunks' hashes are keyed too, so they
+   are only shared within the snapshot. Reading their records needs
+   `unlockSnapshot` first.
+ */
+
+import {
+  idbCursorCollect, idbResponse, idbTransactionDone
+} from './indexedDbUtilities.js';
+import { dbConnect } from './core.js';
+import { chunker } from './chunks.js';
+import { compressRecords, decompressRecords } from './compression.js';
+import {
+  createEncryption, decryptRecords, encryptRecords, keyedHash,
+  unlockEncryption
+} from './encryption.js';
+import { AUTO_TAG, getSettings } from './settings.js';
+
+/* The stores touched when adding or deleting a snapshot's records */
+const RECORD_STORES = ['snapshots', 'snapshotBatches', 'chunks', 'chunkRefs'];
+
+/* The keys of the encrypted snapshots unlocked in this page, by
+   snapshot key. */
+const unlocked = new Map();
+
+/* All the batch keys of a snapshot: [snapshotId, storeName, seq]
+   sorts between [snapshotId] and [snapshotId, []] since strings sort
+   before arrays. */
+function batchRange(snapshotKey) {
+  return IDBKeyRange.bound([snapshotKey], [snapshotKey, []]);
+}
+
+/* Fetch a snapshot's metadata by key, without its records. Resolves
+   to undefined if there is no such snapshot.
+ */
+export async function getSnapshotMetadata(snapshotKey) {
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction('snapshots', 'readonly');
+  const store = tx.objectStore('snapshots');
+  return idbResponse(store.get(snapshotKey), req => req.result);
+}
+
+/* List snapshot metadata from every origin, in the order of one of
+   the `snapshots` store's indexes ("by_created", "by_origin",
+   "by_dbName", "by_dbVersion", "by_recordCount", ...).
+
+   `range` (optional) limits the listing to index keys in that range,
+   `direction` is an IDBCursor direction ("next" or "prev").
+   Snapshots still being streamed in are included, with `complete:
+   false`.
+ */
+export async function listSnapshots(indexName, range, direction="next") {
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction('snapshots', 'readonly');
+  const index = tx.objectStore('snapshots').index(indexName);
+  return idbCursorCollect(index, range, undefined, direction);
+}
+
+/* The keys of the snapshots tagged `tag`, from the by_tag index */
+export async function snapshotKeysWithTag(tag) {
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction('snapshots', 'readonly');
+  const byTag = tx.objectStore('snapshots').index('by_tag');
+  return idbResponse(
+    byTag.getAllKeys(IDBKeyRange.only(tag)), req => req.result
+  );
+}
+
+/* Every origin that has snapshots, in order */
+export async function listSnapshotOrigins() {
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction('snapshots', 'readonly');
+  const byOrigin = tx.objectStore('snapshots').index('by_origin');
+  return new Promise((resolve, reject) => {
+    const origins = [];
+    byOrigin.openKeyCursor(null, "nextunique").onsuccess = (ev) => {
+      const cursor = ev.target.result;
+      if (cursor) {
+        origins.push(cursor.key);
+        cursor.continue();
+      } else {
+        resolve(origins);
+      }
+    }
+  });
+}
+
+/* Fetch a full snapshot, including all its records in the `snapshot`
+   property (`{storeName: [[primaryKey, value], ...]}`). Resolves to
+   undefined if there is no such snapshot.
+
+   This holds the whole snapshot in memory, use `getSnapshotBatch` to
+   read large snapshots a batch at a time.
+ */
+export async function getSnapshot(snapshotKey) {
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction(
+    ['snapshots', 'snapshotBatches', 'chunks'], 'readonly'
+  );
+  const metadata = await idbResponse(
+    tx.objectStore('snapshots').get(snapshotKey), req => req.result
+  );
+  if (!metadata) {
+    return undefined;
+  }
+
+  const snapshot = {};
+  for (const storeName of metadata.stores) {
+    snapshot[storeName] = [];
+  }
+  const batches = await idbCursorCollect(
+    tx.objectStore('snapshotBatches'), batchRange(snapshotKey)
+  );
+  const chunks = await Promise.all(
+    batches.map(batch => readBatchChunk(tx, batch))
+  );
+  // Only decompressed once everything is read, the transaction
+  // doesn't stay open across other work.
+  const keys = unlocked.get(snapshotKey);
+  const batchRecords = await Promise.all(
+    chunks.map(chunk => chunkRecords(chunk, keys))
+  );
+  batches.forEach(({ storeName }, i) => {
+    for (const record of batchRecords[i]) {
+      snapshot[storeName].push(record);
+    }
+  });
+  return { ...metadata, snapshot };
+}
+
+/* The stored chunk of a `snapshotBatches` entry, see `chunkRecords` */
+async function readBatchChunk(tx, batch) {
+  if (!batch.chunk) {
+    return { records: batch.records };
+  }
+  return idbResponse(
+    tx.objectStore('chunks').get(batch.chunk), req => req.result
+  );
+}
+
+/* The records of a stored chunk, decompressing and decrypting them
+   if needed. `keys` are the keys of an unlocked snapshot.
+ */
+function chunkRecords(chunk, keys) {
+  if (chunk.sealed) {
+    if (!keys) {
+      throw new Error(
+        "The snapshot is encrypted, unlock it with its passphrase first"
+      );
+    }
+    return decryptRecords(keys, chunk.sealed);
+  }
+  return chunk.gzip
+    ? decompressRecords(chunk.gzip)
+    : Promise.resolve(chunk.records);
+}
+
+/* Unlock an encrypted snapshot with its passphrase, so its records
+   can be read in this page until `lockSnapshot`. Does nothing for
+   snapshots that aren't encrypted.
+
+   Rejects if the passphrase is wrong.
+ */
+export async function unlockSnapshot(snapshotKey, passphrase) {
+  const metadata = await getSnapshotMetadata(snapshotKey);
+  if (!metadata?.encryption) {
+    return;
+  }
+  unlocked.set(
+    snapshotKey, await unlockEncryption(metadata.encryption, passphrase)
+  );
+}
+
+/* Forget the keys of an unlocked snapshot */
+export function lockSnapshot(snapshotKey) {
+  unlocked.delete(snapshotKey);
+}
+
+/* True if reading the snapshot's records needs its passphrase */
+export function isLocked(snap) {
+  return !!snap.encryption && !unlocked.has(snap.id);
+}
+
+/* Fetch one batch of a snapshot's records for a store. Resolves to
+   the list of records, or null after the last batch.
+ */
+export async function getSnapshotBatch(snapshotKey, storeName, seq) {
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction(['snapshotBatches', 'chunks'], 'readonly');
+  const store = tx.objectStore('snapshotBatches');
+  const batch = await idbResponse(
+    store.get([snapshotKey, storeName, seq]), req => req.result
+  );
+  if (!batch) {
+    return null;
+  }
+  const chunk = await readBatchChunk(tx, batch);
+  return chunkRecords(chunk, unlocked.get(snapshotKey));
+}
+
+/* Store a new snapshot, with all its records in the `snapshot`
+   property (as returned by `getSnapshot`), encrypted with
+   `passphrase` if given. Resolves to the key of the new snapshot.
+ */
+export async function addSnapshot(fullSnapshot, passphrase) {
+  const { snapshot, id: _, ...metadata } = fullSnapshot;
+  metadata.storeCounts = {};
+  for (const storeName of metadata.stores) {
+    metadata.storeCounts[storeName] = snapshot[storeName].length;
+  }
+
+  const snapshotKey = await createSnapshot(metadata, passphrase);
+  try {
+    const writer = snapshotWriter(snapshotKey);
+    for (const storeName of metadata.stores) {
+      await writer.add(storeName, snapshot[storeName]);
+    }
+    await writer.finish();
+    await completeSnapshot(snapshotKey, {});
+  } catch (error) {
+    await deleteSnapshot(snapshotKey);
+    throw error;
+  } finally {
+    lockSnapshot(snapshotKey);
+  }
+  return snapshotKey;
+}
+
+/* Start a snapshot whose records will be added with a
+   `snapshotWriter`. It's marked incomplete until `completeSnapshot`
+   is called. Resolves to the new snapshot's key.
+
+   With a `passphrase` its records are encrypted, and it's left
+   unlocked for the writer, call `lockSnapshot` once it's written.
+ */
+export async function createSnapshot(metadata, passphrase) {
+  const record = { ...metadata, complete: false };
+  let keys = null;
+  if (passphrase) {
+    const encryption = await createEncryption(passphrase);
+    record.encryption = encryption.params;
+    keys = encryption.keys;
+  }
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction('snapshots', 'readwrite');
+  const store = tx.objectStore('snapshots');
+  const snapshotKey = await idbResponse(store.add(record), req => req.result);
+  if (keys) {
+    unlocked.set(snapshotKey, keys);
+  }
+  return snapshotKey;
+}
+
+/* Write the records of a snapshot as they arrive, a batch at a time,
+   splitting each store's records into chunks (see chunks.js). Records
+   must arrive one store at a time, in order.
+
+   Returns `{add(storeName, records), finish()}`, call `finish` after
+   the last records.
+ */
+export function snapshotWriter(snapshotKey) {
+  const settings = getSettings();
+  const keys = unlocked.get(snapshotKey);
+  let storeName = null;
+  let chunks = null;
+
+  async function add(nextStoreName, records) {
+    if (nextStoreName !== storeName) {
+      await chunks?.flush();
+      storeName = nextStoreName;
+      let seq = 0;
+      chunks = chunker(async (chunk) => {
+        const { compressSnapshots } = await settings;
+        await addSnapshotChunk(
+          snapshotKey, nextStoreName, seq++,
+          await prepareChunk(chunk, compressSnapshots, keys)
+        );
+      });
+    }
+    await chunks.add(records);
+  }
+
+  async function finish() {
+    await chunks?.flush();
+    storeName = null;
+    chunks = null;
+  }
+
+  return { add, finish };
+}
+
+/* Work out how a chunk will be stored, compressed or not, encrypted
+   with `keys` or not, and the space that takes as its `storedSize`.
+ */
+async function prepareChunk(chunk, compressed, keys) {
+  if (keys) {
+    const sealed = await encryptRecords(keys, chunk.records, compressed);
+    return {
+      ...chunk,
+      hash: `sealed-${await keyedHash(keys, chunk.hash)}`,
+      sealed,
+      storedSize: sealed.data.byteLength,
+    };
+  }
+  if (!compressed) {
+    return { ...chunk, storedSize: chunk.size };
+  }
+  const gzip = await compressRecords(chunk.records);
+  return { ...chunk, gzip, storedSize: gzip.byteLength };
+}
+
+/* Store the next chunk of a store's records, `seq` counts the chunks
+   of each store from 0. The chunk's records are only stored if no
+   other snapshot already has them.
+ */
+async function addSnapshotChunk(snapshotKey, storeName, seq, chunk) {
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction(
+    ['snapshotBatches', 'chunks', 'chunkRefs'], 'readwrite'
+  );
+  const done = idbTransactionDone(tx);
+  await storeChunk(tx, { snapshotId: snapshotKey, storeName, seq }, chunk);
+  return done;
+}
+
+/* Add a `snapshotBatches` entry referring to `chunk`, storing the
+   chunk if it's new. Reference counts are read and written in the
+   same transaction, so concurrent snapshots can't miscount. Await it
+   before storing another chunk in the same transaction.
+ */
+async function storeChunk(tx, batchKey, chunk) {
+  const { hash, records, size, gzip, sealed } = chunk;
+  const refs = tx.objectStore('chunkRefs');
+  const ref = await idbResponse(refs.get(hash), req => req.result);
+  if (!ref) {
+    tx.objectStore('chunks').put(
+      sealed ? { hash, sealed } : gzip ? { hash, gzip } : { hash, records }
+    );
+  }
+  // An existing chunk is kept as it was stored.
+  const storedSize = ref ? ref.storedSize ?? ref.size : chunk.storedSize;
+  refs.put({ hash, size, storedSize, refCount: (ref?.refCount ?? 0) + 1 });
+  tx.objectStore('snapshotBatches').add({
+    ...batchKey, chunk: hash, count: records.length, size, storedSize
+  });
+}
+
+/* Delete a snapshot's `snapshotBatches` entries, and the chunks no
+   other snapshot refers to any more. Must be given a readwrite
+   transaction over RECORD_STORES.
+ */
+async function releaseSnapshotRecords(tx, snapshotKey) {
+  const batches = tx.objectStore('snapshotBatches');
+  const chunkHashes = await idbCursorCollect(
+    batches, batchRange(snapshotKey), batch => batch.chunk
+  );
+  const released = new Map();
+  for (const hash of chunkHashes.filter(hash => hash)) {
+    released.set(hash, (released.get(hash) ?? 0) + 1);
+  }
+  batches.delete(batchRange(snapshotKey));
+
+  const refs = tx.objectStore('chunkRefs');
+  for (const [hash, count] of released) {
+    const ref = await idbResponse(refs.get(hash), req => req.result);
+    const refCount = (ref?.refCount ?? 0) - count;
+    if (refCount > 0) {
+      refs.put({ ...ref, refCount });
+    } else {
+      refs.delete(hash);
+      tx.objectStore('chunks').delete(hash);
+    }
+  }
+}
+
+/* Mark a snapshot as complete, updating its metadata with `updates`
+   (e.g. the final record counts).
+ */
+export async function completeSnapshot(snapshotKey, updates) {
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction('snapshots', 'readwrite');
+  const store = tx.objectStore('snapshots');
+  const metadata = await idbResponse(
+    store.get(snapshotKey), req => req.result
+  );
+  return idbResponse(
+    store.put({ ...metadata, ...updates, complete: true }), req => undefined
+  );
+}
+
+/* Clean up a snapshot's name, notes and tags as entered by the user:
+   `{name, notes}` are trimmed strings, `tags` a list of distinct,
+   non-empty strings. `tags` may also be given as comma separated
+   text.
+ */
+export function normalizeLabels(labels) {
+  const tags = typeof labels?.tags === "string"
+    ? labels.tags.split(",")
+    : labels?.tags ?? [];
+  return {
+    name: String(labels?.name ?? "").trim(),
+    notes: String(labels?.notes ?? "").trim(),
+    tags: [...new Set(tags.map(tag => String(tag).trim()))]
+      .filter(tag => tag.length > 0),
+  };
+}
+
+/* Set a snapshot's name, notes and tags (see `normalizeLabels`).
+   Resolves to the updated metadata.
+ */
+export async function updateSnapshotLabels(snapshotKey, labels) {
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction('snapshots', 'readwrite');
+  const store = tx.objectStore('snapshots');
+  const metadata = await idbResponse(
+    store.get(snapshotKey), req => req.result
+  );
+  if (!metadata) {
+    throw new Error(`No snapshot with key ${snapshotKey}`);
+  }
+  const updated = { ...metadata, ...normalizeLabels(labels) };
+  await idbResponse(store.put(updated), req => undefined);
+  return updated;
+}
+
+/* Move a snapshot to another origin, so it's offered for restore on
+   that site. Resolves to the updated metadata.
+ */
+export async function moveSnapshot(snapshotKey, origin) {
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction('snapshots', 'readwrite');
+  const store = tx.objectStore('snapshots');
+  const metadata = await idbResponse(
+    store.get(snapshotKey), req => req.result
+  );
+  if (!metadata) {
+    throw new Error(`No snapshot with key ${snapshotKey}`);
+  }
+  const updated = { ...metadata, origin };
+  await idbResponse(store.put(updated), req => undefined);
+  return updated;
+}
+
+/* Delete a snapshot and all its records */
+export async function deleteSnapshot(snapshotKey) {
+  return deleteSnapshots([snapshotKey]);
+}
+
+/* Delete several snapshots and their records, in one transaction.
+   Resolves once they're all deleted.
+ */
+export async function deleteSnapshots(snapshotKeys) {
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction(RECORD_STORES, 'readwrite');
+  const done = idbTransactionDone(tx);
+  for (const snapshotKey of snapshotKeys) {
+    await releaseSnapshotRecords(tx, snapshotKey);
+    tx.objectStore('snapshots').delete(snapshotKey);
+  }
+  return done;
+}
+
+/* Delete the automatic snapshots (those with an `auto` reason, see
+   settings.js) of a database beyond the retention rules: keep the
+   newest `keepLast`, and none older than `maxAgeDays`. null means no
+   limit. Resolves to the number of snapshots deleted.
+ */
+export async function pruneAutoSnapshots(origin, dbName, retention) {
+  const { keepLast, maxAgeDays } = retention;
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction(RECORD_STORES, 'readwrite');
+  const done = idbTransactionDone(tx);
+  const byTag = tx.objectStore('snapshots').index('by_tag');
+
+  const auto = (await idbCursorCollect(byTag, IDBKeyRange.only(AUTO_TAG)))
+    .filter(snap =>
+      snap.auto && snap.origin === origin && snap.dbName === dbName &&
+      snap.complete !== false
+    )
+    .sort((a, b) => b.created - a.created);
+  const cutoff = maxAgeDays === null
+    ? -Infinity
+    : Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  const pruned = auto.filter((snap, i) =>
+    (keepLast !== null && i >= keepLast) || snap.created < cutoff
+  );
+
+  for (const snap of pruned) {
+    await releaseSnapshotRecords(tx, snap.id);
+    tx.objectStore('snapshots').delete(snap.id);
+  }
+  await done;
+  return pruned.length;
+}
+
+/* Delete every snapshot taken for `origin`, and their records.
+   Resolves to the number of snapshots deleted.
+ */
+export async function deleteOriginSnapshots(origin) {
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction(RECORD_STORES, 'readwrite');
+  const done = idbTransactionDone(tx);
+  const byOrigin = tx.objectStore('snapshots').index('by_origin');
+
+  const snapshotKeys = await idbResponse(
+    byOrigin.getAllKeys(IDBKeyRange.only(origin)), req => req.result
+  );
+  for (const snapshotKey of snapshotKeys) {
+    console.log(`Deleting ${snapshotKey}`);
+    await releaseSnapshotRecords(tx, snapshotKey);
+    tx.objectStore('snapshots').delete(snapshotKey);
+  }
+  await done;
+  return snapshotKeys.length;
+}
+
+/* How much space some snapshots' records take, adding up the sizes
+   recorded for each chunk when it was stored. A snapshot's `size`
+   counts all its chunks, `own` only those no other snapshot shares,
+   which is what deleting it would free. Both are the size of the
+   records before compression, `storedSize` and `ownStoredSize` the
+   space they take as stored, compressed and encrypted (see
+   `prepareChunk`). Records stored before chunks were used have no
+   recorded size, `measured` is false for snapshots holding any.
+
+   Resolves to `{[snapshotKey]: {size, own, storedSize, ownStoredSize,
+   measured}}`.
+ */
+export async function snapshotFootprints(snapshotKeys) {
+  const dbCon = await dbConnect();
+  const tx = dbCon.transaction(['snapshotBatches', 'chunkRefs'], 'readonly');
+  const refs = tx.objectStore('chunkRefs');
+  const footprints = {};
+  for (const snapshotKey of snapshotKeys) {
+    const chunkHashes = await idbCursorCollect(
+      tx.objectStore('snapshotBatches'), batchRange(snapshotKey),
+      batch => batch.chunk
+    );
+    const footprint = {
+      size: 0, own: 0, storedSize: 0, ownStoredSize: 0, measured: true
+    };
+
+    // A chunk is stored once however many of the batches refer to it.
+    const uses = new Map();
+    for (const hash of chunkHashes) {
+      if (!hash) {
+        footprint.measured = false;
+      } else {
+        uses.set(hash, (uses.get(hash) ?? 0) + 1);
+      }
+    }
+    for (const [hash, count] of uses) {
+      const ref = await idbResponse(refs.get(hash), req => req.result);
+      if (!ref) {
+        continue;
+      }
+      const storedSize = ref.storedSize ?? ref.size;
+      footprint.size += ref.size;
+      footprint.storedSize += storedSize;
+      if (ref.refCount <= count) {
+        footprint.own += ref.size;
+        footprint.ownStoredSize += storedSize;
+      }
+    }
+    footprints[snapshotKey] = footprint;
+  }
+  return footprints;
+}
+
+/* Move the records of snapshots stored before chunks were used into
+   chunks, a snapshot at a time. Each snapshot is moved in its own
+   transaction, so if one fails those before it stay moved and it can
+   be run again for the rest. Resolves to the number of snapshots
+   moved.
+ */
+export async function dedupeSnapshots() {
+  const dbCon = await dbConnect();
+  const legacyKeys = await new Promise((resolve, reject) => {
+    const tx = dbCon.transaction('snapshotBatches', 'readonly');
+    const keys = new Set();
+    const request = tx.objectStore('snapshotBatches').openCursor();
+    request.onsuccess = (ev) => {
+      const cursor = ev.target.result;
+      if (!cursor) {
+        resolve([...keys]);
+        return;
+      }
+      if (!cursor.value.chunk) {
+        keys.add(cursor.value.snapshotId);
+      }
+      cursor.continue();
+    };
+    request.onerror = () => {
+      reject(new Error(`Couldn't scan the stored snapshots: ${request.error}`));
+    };
+    tx.onabort = () => {
+      reject(new Error(`Couldn't scan the stored snapshots: ${tx.error}`));
+    };
+  });
+
+  const { compressSnapshots } = await getSettings();
+  let failed = 0;
+  for (const snapshotKey of legacyKeys) {
+    try {
+      await dedupeSnapshot(dbCon, snapshotKey, compressSnapshots);
+    } catch (error) {
+      console.log(`Couldn't move snapshot ${snapshotKey} into chunks`, error);
+      failed += 1;
+    }
+  }
+  if (failed > 0) {
+    throw new Error(
+      `${failed} of ${legacyKeys.length} snapshots couldn't be moved ` +
+      "into chunks"
+    );
+  }
+  return legacyKeys.length;
+}
+
+/* The snapshot id the chunks of a snapshot being moved into chunks
+   are stored under until they replace its old batches. Arrays sort
+   after numbers, so these batches are never in a snapshot's
+   `batchRange`.
+ */
+function stagingKey(snapshotKey) {
+  return [snapshotKey, "dedupe"];
+}
+
+/* Move one snapshot's records into chunks, see `dedupeSnapshots`.
+   Its old batches are read and chunked one at a time, the chunks
+   stored under `stagingKey` as they're made, then swapped in for the
+   old batches all at once.
+ */
+async function dedupeSnapshot(dbCon, snapshotKey, compressSnapshots) {
+  const staging = stagingKey(snapshotKey);
+  // Chunks left by an earlier attempt that didn't finish.
+  await updateRecordStores(dbCon, tx => releaseSnapshotRecords(tx, staging));
+
+  let storeName = null;
+  let storeChunks = null;
+  let seq = 0;
+  let after = null;
+  for (;;) {
+    const batch = await nextLegacyBatch(dbCon, snapshotKey, after);
+    if (!batch || batch.storeName !== storeName) {
+      await storeChunks?.flush();
+    }
+    if (!batch) {
+      break;
+    }
+    if (batch.storeName !== storeName) {
+      storeName = batch.storeName;
+      seq = 0;
+      const chunkStore = storeName;
+      storeChunks = chunker(async (chunk) => {
+        await addSnapshotChunk(
+          staging, chunkStore, seq++,
+          await prepareChunk(chunk, compressSnapshots)
+        );
+      });
+    }
+    if (batch.chunk) {
+      throw new Error("The snapshot is already partly moved into chunks");
+    }
+    await storeChunks.add(batch.records);
+    after = [snapshotKey, batch.storeName, batch.seq];
+  }
+
+  // Swap the staged batches in, their chunks' reference counts are
+  // already right.
+  await updateRecordStores(dbCon, async (tx) => {
+    await releaseSnapshotRecords(tx, snapshotKey);
+    const batches = tx.objectStore('snapshotBatches');
+    const stagedBatches = await idbCursorCollect(
+      batches, batchRange(staging)
+    );
+    for (const batch of stagedBatches) {
+      batches.add({ ...batch, snapshotId: snapshotKey });
+    }
+    batches.delete(batchRange(staging));
+  });
+}
+
+/* The first `snapshotBatches` entry of a snapshot after the batch key
+   `after`, or its first if `after` is null. Resolves to undefined
+   after the last.
+ */
+async function nextLegacyBatch(dbCon, snapshotKey, after) {
+  const tx = dbCon.transaction('snapshotBatches', 'readonly');
+  const range = after
+    ? IDBKeyRange.bound(after, [snapshotKey, []], true)
+    : batchRange(snapshotKey);
+  return idbResponse(
+    tx.objectStore('snapshotBatches').get(range), req => req.result
+  );
+}
+
+/* Run `update(tx)` in a readwrite transaction over RECORD_STORES,
+   aborting it if `update` fails so none of its changes are kept.
+ */
+async function updateRecordStores(dbCon, update) {
+  const tx = dbCon.transaction(RECORD_STORES, 'readwrite');
+  const done = idbTransactionDone(tx);
+  try {
+    await update(tx);
+  } catch (error) {
+    try {
+      tx.abort();
+    } catch (_) {
+      // Already aborted.
+    }
+    await done.catch(() => {});
+    throw error;
+  }
+  await done;
+}
@@ -0,0 +1,138 @@
+/*
+   IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+   Copyright (C) 2025 Erik Swanson
+
+   This program is free software: you can redistribute it and/or modify
+   it under the terms of the GNU General Public License as published by
+   the Free Software Foundation, either version 3 of the License, or
+   (at your option) any later version.
+
+   This program is distributed in the hope that it will be useful,
+   but WITHOUT ANY WARRANTY; without even the implied warranty of
+   MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+   GNU General Public License for more details.
+
+   You should have received a copy of the GNU General Public License
+   along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/* Transforms - user-written JavaScript run over a snapshot's records
+   before they are restored, e.g. to try out a data migration on an
+   old snapshot.
+
+   A transform is `{kind, source}`, where `source` is the body of a
+   function. For `kind`:
+
+   - "record": `source` is run as `function (value, context)` for each
+     record, with `context` holding `{storeName, key, emit}`. It
+     returns the new value, to keep it in the same store (under the
+     same key, for stores without a keyPath), or null/undefined to
+     drop the record.
+   - "store": `source` is run as `function (records, context)` for
+     each store, with `records` a list of `{key, value}` and `context`
+     holding `{storeName, emit}`. It returns the list of `{key,
+     value}` to keep in the store.
+
+   Either can call `emit(storeName, value, key)` to add records to any
+   store, e.g. to split a record in two or move it to a renamed
+   store. `key` is only needed for stores without a keyPath.
+
+   The function gets its own copy of the records, so they can be
+   changed in place.
+
+   The extension's content security policy doesn't allow `new
+   Function`, so transforms are run by the interpreter in
+   interpreter.js, which supports a synchronous subset of JavaScript
+   and only the usual built-ins. A transform running for longer than
+   TRANSFORM_TIME_LIMIT is stopped.
+ */
+
+import { compileFunction, withTimeLimit } from './interpreter.js';
+
+export const TRANSFORM_KINDS = {
+  record: "per record",
+  store: "per store",
+};
+
+/* How long a transform can run over all the records, in ms */
+export const TRANSFORM_TIME_LIMIT = 60 * 1000;
+
+/* Compile a transform's source, throws an Error pointing at the
+   first syntax error if it isn't valid.
+ */
+export function compileTransform(transform) {
+  const { kind, source } = transform;
+  switch (kind) {
+    case "record":
+      return compileFunction(["value", "context"], source);
+    case "store":
+      return compileFunction(["records", "context"], source);
+    default:
+      throw new Error(`Unknown transform kind: ${kind}`);
+  }
+}
+
+/* Run a transform over the records of some stores.
+
+   `records` is `{storeName: [[primaryKey, value], ...]}` and the
+   result has the same shape. It includes every store records were
+   emitted to, so it may hold stores that weren't in `records`.
+ */
+export async function applyTransform(transform, records) {
+  const fn = compileTransform(transform);
+  return withTimeLimit(
+    TRANSFORM_TIME_LIMIT, () => transformRecords(fn, transform.kind, records)
+  );
+}
+
+function transformRecords(fn, kind, records) {
+  const output = {};
+  function emit(storeName, value, key) {
+    output[storeName] ??= [];
+    output[storeName].push([key, value]);
+  }
+  for (const storeName of Object.keys(records)) {
+    output[storeName] ??= [];
+  }
+
+  for (const [storeName, pairs] of Object.entries(records)) {
+    if (kind === "store") {
+      const input = pairs.map(([key, value]) => ({
+        key, value: structuredClone(value)
+      }));
+      let kept;
+      try {
+        kept = fn(input, { storeName, emit });
+      } catch (error) {
+        throw new Error(`Transform failed on store ${storeName}: ${error}`);
+      }
+      if (kept !== null && kept !== undefined && !Array.isArray(kept)) {
+        throw new Error(
+          `Transform of store ${storeName} must return a list of {key, value}`
+        );
+      }
+      for (const { key, value } of kept ?? []) {
+        output[storeName].push([key, value]);
+      }
+      continue;
+    }
+
+    for (const [key, value] of pairs) {
+      let kept;
+      try {
+        kept = fn(structuredClone(value), { storeName, key, emit });
+      } catch (error) {
+        throw new Error(
+          `Transform failed on ${storeName} record ${JSON.stringify(key)}: ` +
+          `${error}`
+        );
+      }
+      if (kept !== null && kept !== undefined) {
+        output[storeName].push([key, kept]);
+      }
+    }
+  }
+  return output;
+}
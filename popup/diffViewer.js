@@ -0,0 +1,269 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Diff viewer - compare two snapshots, or a snapshot and the live
+   database, and show the schema and record differences.
+ */
+
+import { sendContentScriptMessage } from '../modules/core.js';
+import { selectedFrame } from './frames.js';
+import { askPassphrase } from './passphrase.js';
+import { diffSnapshots, isSchemaUnchanged } from '../modules/snapshotDiff.js';
+import { getSnapshot } from '../modules/snapshots.js';
+import { formatKey, renderValueTree } from './valueTree.js';
+
+/* The most records listed for each of added, removed and modified */
+const MAX_LISTED = 50;
+
+/* Snapshot metadata currently offered in the selects, by id */
+let choices = new Map();
+
+export function setupDiffViewer() {
+  document.querySelector("#button-diff").onclick = compare;
+}
+
+/* Update the snapshots that can be compared, keeping the current
+   selection where possible.
+ */
+export function updateDiffChoices(snapshots) {
+  choices = new Map(snapshots.map(snap => [String(snap.id), snap]));
+
+  const fromSelect = document.querySelector("#diff-from");
+  const toSelect = document.querySelector("#diff-to");
+  const options = snapshots.map(snap => [String(snap.id), snapshotLabel(snap)]);
+  fillSelect(fromSelect, options);
+  fillSelect(toSelect, [["live", "live database"], ...options]);
+
+  document.querySelector("#snapshot-diff")
+    .classList.toggle("hidden", snapshots.length === 0);
+}
+
+function snapshotLabel(snap) {
+  const created = new Date(snap.created).toUTCString();
+  const label = `${snap.dbName} :: v${snap.dbVersion} (${created})`;
+  return snap.name ? `${snap.name}: ${label}` : label;
+}
+
+function fillSelect(select, options) {
+  const selected = select.value;
+  while (select.firstChild) {
+    select.removeChild(select.firstChild);
+  }
+  for (const [value, text] of options) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.appendChild(document.createTextNode(text));
+    select.appendChild(option);
+  }
+  if (options.some(([value]) => value === selected)) {
+    select.value = selected;
+  }
+}
+
+async function compare() {
+  const fromId = document.querySelector("#diff-from").value;
+  const toId = document.querySelector("#diff-to").value;
+  const fromMeta = choices.get(fromId);
+  if (!fromMeta) {
+    return;
+  }
+  for (const meta of [fromMeta, choices.get(toId)]) {
+    if (meta && await askPassphrase(meta) === null) {
+      setStatus("Encrypted snapshots can't be compared while locked.", true);
+      return;
+    }
+  }
+  setStatus("Comparing…");
+  clearResults();
+
+  let diff;
+  try {
+    const from = await getSnapshot(Number(fromId));
+    const to = toId === "live"
+      ? await sendContentScriptMessage({
+          command: "capture-live", dbName: fromMeta.dbName
+        }, selectedFrame().frameId)
+      : await getSnapshot(Number(toId));
+    diff = await diffSnapshots(from, to);
+  } catch (error) {
+    setStatus(`Couldn't compare: ${error.message ?? error}`, true);
+    return;
+  }
+
+  const toLabel = toId === "live"
+    ? `the live ${fromMeta.dbName} database`
+    : snapshotLabel(choices.get(toId));
+  setStatus(`Changes from ${snapshotLabel(fromMeta)} to ${toLabel}`);
+  displayDiff(diff);
+}
+
+function clearResults() {
+  const results = document.querySelector("#diff-results");
+  while (results.firstChild) {
+    results.removeChild(results.firstChild);
+  }
+}
+
+function displayDiff(diff) {
+  const results = document.querySelector("#diff-results");
+  results.appendChild(heading("Schema"));
+  results.appendChild(schemaList(diff.schema));
+
+  results.appendChild(heading("Records"));
+  for (const [storeName, storeDiff] of Object.entries(diff.stores)) {
+    results.appendChild(storeDetails(storeName, storeDiff));
+  }
+  if (diff.skippedStores.length > 0) {
+    results.appendChild(textLine(
+      `Not compared, left out of a partial snapshot: ` +
+      diff.skippedStores.join(", ")
+    ));
+  }
+}
+
+function heading(text) {
+  const h3 = document.createElement("h3");
+  h3.appendChild(document.createTextNode(text));
+  return h3;
+}
+
+function textLine(text, className) {
+  const div = document.createElement("div");
+  if (className) {
+    div.classList.add(className);
+  }
+  div.appendChild(document.createTextNode(text));
+  return div;
+}
+
+function schemaList(schemaDiff) {
+  const list = document.createElement("div");
+  list.classList.add("diff-list");
+  if (isSchemaUnchanged(schemaDiff)) {
+    list.appendChild(textLine("No schema changes"));
+    return list;
+  }
+
+  const fmt = JSON.stringify;
+  if (schemaDiff.version) {
+    const { from, to } = schemaDiff.version;
+    list.appendChild(textLine(`version ${from} → ${to}`, "diff-modified"));
+  }
+  for (const storeName of schemaDiff.storesAdded) {
+    list.appendChild(textLine(`+ store ${storeName}`, "diff-added"));
+  }
+  for (const storeName of schemaDiff.storesRemoved) {
+    list.appendChild(textLine(`- store ${storeName}`, "diff-removed"));
+  }
+  for (const [storeName, store] of Object.entries(schemaDiff.storesChanged)) {
+    for (const { field, from, to } of store.changes) {
+      list.appendChild(textLine(
+        `~ store ${storeName}: ${field} ${fmt(from)} → ${fmt(to)}`,
+        "diff-modified"
+      ));
+    }
+    for (const indexName of store.indexesAdded) {
+      list.appendChild(textLine(
+        `+ index ${storeName}.${indexName}`, "diff-added"
+      ));
+    }
+    for (const indexName of store.indexesRemoved) {
+      list.appendChild(textLine(
+        `- index ${storeName}.${indexName}`, "diff-removed"
+      ));
+    }
+    for (const [indexName, changes] of Object.entries(store.indexesChanged)) {
+      for (const { field, from, to } of changes) {
+        list.appendChild(textLine(
+          `~ index ${storeName}.${indexName}: ${field} ${fmt(from)} → ${fmt(to)}`,
+          "diff-modified"
+        ));
+      }
+    }
+  }
+  return list;
+}
+
+function storeDetails(storeName, storeDiff) {
+  const { added, removed, modified, unchanged } = storeDiff;
+  const details = document.createElement("details");
+  const summary = document.createElement("summary");
+  summary.appendChild(document.createTextNode(
+    `${storeName}: ${added.length} added, ${removed.length} removed, ` +
+    `${modified.length} modified, ${unchanged} unchanged`
+  ));
+  details.appendChild(summary);
+
+  const list = document.createElement("div");
+  list.classList.add("diff-list");
+  for (const [key, value] of added.slice(0, MAX_LISTED)) {
+    list.appendChild(renderValueTree(value, `+ ${formatKey(key)}`));
+  }
+  moreLine(list, added);
+  for (const [key, value] of removed.slice(0, MAX_LISTED)) {
+    list.appendChild(renderValueTree(value, `- ${formatKey(key)}`));
+  }
+  moreLine(list, removed);
+  for (const record of modified.slice(0, MAX_LISTED)) {
+    list.appendChild(modifiedRecord(record));
+  }
+  moreLine(list, modified);
+  details.appendChild(list);
+  return details;
+}
+
+function moreLine(list, records) {
+  if (records.length > MAX_LISTED) {
+    list.appendChild(textLine(`… and ${records.length - MAX_LISTED} more`));
+  }
+}
+
+/* A modified record, with a line per changed field */
+function modifiedRecord({ key, changes }) {
+  const details = document.createElement("details");
+  const summary = document.createElement("summary");
+  summary.appendChild(document.createTextNode(
+    `~ ${formatKey(key)}: ${changes.length} fields changed`
+  ));
+  details.appendChild(summary);
+
+  const table = document.createElement("table");
+  for (const { path, from, to } of changes) {
+    const tr = document.createElement("tr");
+    const cells = [
+      document.createTextNode(path.join(".") || "(value)"),
+      renderValueTree(from),
+      renderValueTree(to),
+    ];
+    for (const cell of cells) {
+      const td = document.createElement("td");
+      td.appendChild(cell);
+      tr.appendChild(td);
+    }
+    table.appendChild(tr);
+  }
+  details.appendChild(table);
+  return details;
+}
+
+function setStatus(text, isError) {
+  const status = document.querySelector("#diff-status");
+  status.textContent = text;
+  status.classList.toggle("error", !!isError);
+}
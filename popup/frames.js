@@ -0,0 +1,140 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Frames - find the frames of the popup's tab, so databases kept by
+   embedded iframes (e.g. an auth widget or sandboxed editor on
+   another origin) can be managed alongside the page's own.
+
+   IndexedDB is per origin, so frames sharing an origin share their
+   databases. Each origin is reached through the first of its frames.
+ */
+
+import {
+  executeTabScript, getAllFrames, requestOriginAccess, sendTabMessage,
+  targetTabId
+} from '../modules/core.js';
+import { originPattern } from '../modules/settings.js';
+
+/* The origins found by the last `findFrames`, and the one the
+   snapshots section is showing.
+ */
+const frames = {
+  // [{origin, frameId}], the top frame's origin first
+  origins: [],
+  selected: null,
+};
+
+/* Find the frames of the tab and install the content script's
+   message handlers in each. Frames on another origin than the page
+   can only be reached with a host permission for them.
+
+   Resolves to `{origins, inaccessible, failed}`: a list of `{origin,
+   frameId}`, one frame for each origin, a list of `{frameId, url}` of
+   the web pages in frames that couldn't be reached, and a list of
+   `{origin, frameId, error}` with the top frame if it couldn't be
+   reached although others could. Rejects if no frame can be reached.
+ */
+export async function findFrames() {
+  const tabId = await targetTabId();
+  const all = await getAllFrames(tabId);
+  // The top frame is frame 0.
+  all.sort((a, b) => a.frameId - b.frameId);
+
+  const origins = [];
+  const inaccessible = [];
+  let pageError = null;
+  for (const { frameId, url } of all) {
+    let origin;
+    try {
+      await executeTabScript(tabId, {
+        file: "/content_scripts/install_message_handlers.js",
+        frameId,
+        matchAboutBlank: true,
+      });
+      origin = await sendTabMessage(
+        tabId, { command: "get-origin" }, { frameId }
+      );
+    } catch (error) {
+      if (frameId === 0) {
+        pageError = { origin: new URL(url).origin, frameId, error };
+      } else if (url.startsWith("http://") || url.startsWith("https://")) {
+        inaccessible.push({ frameId, url });
+      }
+      continue;
+    }
+    if (!origins.some(frame => frame.origin === origin)) {
+      origins.push({ origin, frameId });
+    }
+  }
+
+  if (origins.length === 0) {
+    throw pageError?.error ?? new Error("No frame of the tab can be read");
+  }
+  frames.origins = origins;
+  if (!origins.some(frame => frame.origin === frames.selected)) {
+    frames.selected = origins[0].origin;
+  }
+  return { origins, inaccessible, failed: pageError ? [pageError] : [] };
+}
+
+/* Read the databases of each origin found by `findFrames`, see
+   /content_scripts/read_dbs.js. Resolves to a list of `{origin,
+   frameId, dbs}`, or `{origin, frameId, error}` for the origins whose
+   databases couldn't be read, so one failing frame doesn't hide the
+   others.
+ */
+export async function readFrameDbs() {
+  const tabId = await targetTabId();
+  const results = await Promise.allSettled(
+    frames.origins.map(({ frameId }) => executeTabScript(tabId, {
+      file: "/content_scripts/read_dbs.js",
+      frameId,
+      matchAboutBlank: true,
+    }))
+  );
+  return frames.origins.map(({ origin, frameId }, i) => (
+    results[i].status === "fulfilled"
+      ? { origin, frameId, dbs: results[i].value[0] }
+      : { origin, frameId, error: results[i].reason }
+  ));
+}
+
+/* The origins found by the last `findFrames` */
+export function frameOrigins() {
+  return frames.origins;
+}
+
+/* The frame the snapshots section is showing: `{origin, frameId}` */
+export function selectedFrame() {
+  return frames.origins.find(frame => frame.origin === frames.selected);
+}
+
+export function selectFrameOrigin(origin) {
+  frames.selected = origin;
+}
+
+/* Ask for access to a frame's origin. Must be called straight from a
+   click, before anything is awaited.
+
+   Resolves to true if access was granted, see `requestOriginAccess`
+   in core.js.
+ */
+export function requestFrameAccess(url) {
+  return requestOriginAccess([originPattern(new URL(url).origin)]);
+}
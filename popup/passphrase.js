@@ -0,0 +1,92 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Passphrase - ask for the passphrase of an encrypted snapshot (see
+   modules/encryption.js) before reading its records.
+
+   A snapshot stays unlocked while the popup is open, so the
+   passphrase is only asked for once. It's also remembered to pass on
+   to the background script, which unlocks the snapshot for itself
+   when restoring or exporting it.
+ */
+
+import { isLocked, unlockSnapshot } from '../modules/snapshots.js';
+
+/* The passphrases of the snapshots unlocked in the popup */
+const passphrases = new Map();
+
+/* Unlock an encrypted snapshot, asking for its passphrase if it's
+   not unlocked yet.
+
+   Resolves to its passphrase, undefined if the snapshot isn't
+   encrypted, or null if the user canceled.
+ */
+export async function askPassphrase(snap) {
+  if (!snap.encryption) {
+    return undefined;
+  }
+  if (!isLocked(snap)) {
+    return passphrases.get(snap.id);
+  }
+
+  const container = document.querySelector("#passphrase-prompt");
+  const input = document.querySelector("#passphrase-prompt-input");
+  const status = document.querySelector("#passphrase-prompt-status");
+  document.querySelector("#passphrase-prompt-summary").textContent = [
+    `The snapshot of ${snap.dbName} from`,
+    `${new Date(snap.created).toUTCString()} is encrypted,`,
+    "enter its passphrase to use it.",
+  ].join(" ");
+  input.value = "";
+  status.textContent = "";
+  status.classList.remove("error");
+  container.classList.remove("hidden");
+  container.scrollIntoView();
+  input.focus();
+
+  return new Promise((resolve) => {
+    async function unlock() {
+      status.textContent = "Unlocking…";
+      status.classList.remove("error");
+      try {
+        await unlockSnapshot(snap.id, input.value);
+      } catch (error) {
+        status.textContent = error.message ?? `${error}`;
+        status.classList.add("error");
+        return;
+      }
+      passphrases.set(snap.id, input.value);
+      input.value = "";
+      container.classList.add("hidden");
+      resolve(passphrases.get(snap.id));
+    }
+
+    document.querySelector("#button-passphrase-ok").onclick = unlock;
+    input.onkeydown = (event) => {
+      if (event.key === "Enter") {
+        unlock();
+      }
+    };
+    document.querySelector("#button-passphrase-cancel").onclick = () => {
+      input.value = "";
+      container.classList.add("hidden");
+      resolve(null);
+    };
+  });
+}
@@ -0,0 +1,378 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Record viewer - page through, filter, inspect and edit the records
+   of one of the page's objectStores.
+
+   Records are read a page at a time by the content script (see
+   `readRecords` in /content_scripts/install_message_handlers.js)
+   using cursors, so large stores are never loaded all at once.
+ */
+
+import {
+  promisePopupConfirm, sendContentScriptMessage
+} from '../modules/core.js';
+import { encode, parse } from '../modules/serialization.js';
+import { formatKey, renderValueTree } from './valueTree.js';
+
+const PAGE_SIZE = 25;
+
+/* The store currently being viewed */
+const viewer = {
+  // The frame of the tab the database is in, see popup/frames.js
+  frameId: 0,
+  dbName: null,
+  storeName: null,
+  // index, key range and direction, see `readQuery`
+  query: {},
+  // The `after` position of each page visited so far, so we can page
+  // back. The first page starts at the beginning (null).
+  pages: [null],
+  pageIndex: 0,
+  // From the last page read, see `readRecords`
+  keyPath: null,
+  autoIncrement: false,
+  total: 0,
+  // The record open in the editor, null when adding a record
+  editing: null,
+};
+
+/* Show the viewer for a store, starting from its first page with no
+   filters.
+ */
+export function openRecordViewer(dbName, storeName, indexNames, frameId) {
+  viewer.frameId = frameId ?? 0;
+  viewer.dbName = dbName;
+  viewer.storeName = storeName;
+  viewer.query = {};
+
+  document.querySelector("#record-viewer-title").textContent =
+    `Records: ${dbName} / ${storeName}`;
+
+  const indexSelect = document.querySelector("#record-index");
+  while (indexSelect.firstChild) {
+    indexSelect.removeChild(indexSelect.firstChild);
+  }
+  for (const indexName of ["", ...indexNames]) {
+    const option = document.createElement("option");
+    option.value = indexName;
+    option.appendChild(document.createTextNode(
+      indexName ? `index: ${indexName}` : "primary key"
+    ));
+    indexSelect.appendChild(option);
+  }
+  document.querySelector("#record-range-type").value = "";
+  document.querySelector("#record-range-lower").value = "";
+  document.querySelector("#record-range-upper").value = "";
+  document.querySelector("#record-range-lower-open").checked = false;
+  document.querySelector("#record-range-upper-open").checked = false;
+  document.querySelector("#record-direction").value = "next";
+
+  closeEditor();
+  document.querySelector("#record-viewer").classList.remove("hidden");
+  return showFirstPage();
+}
+
+/* Reload the current page, e.g. after the store's records changed */
+export function refreshRecordViewer() {
+  if (!viewer.storeName) {
+    return Promise.resolve();
+  }
+  return showPage(viewer.pageIndex);
+}
+
+export function setupRecordViewer() {
+  document.querySelector("#button-record-apply").onclick = () => {
+    try {
+      viewer.query = readQuery();
+    } catch (error) {
+      setStatus(error.message, true);
+      return;
+    }
+    showFirstPage();
+  };
+  document.querySelector("#button-record-close").onclick = () => {
+    viewer.storeName = null;
+    document.querySelector("#record-viewer").classList.add("hidden");
+  };
+  document.querySelector("#button-record-prev").onclick = () => {
+    showPage(viewer.pageIndex - 1);
+  };
+  document.querySelector("#button-record-next").onclick = () => {
+    showPage(viewer.pageIndex + 1);
+  };
+  document.querySelector("#button-record-add").onclick = () => {
+    openEditor(null);
+  };
+  document.querySelector("#button-record-delete-range").onclick =
+    deleteRange;
+  document.querySelector("#button-record-save").onclick = saveRecord;
+  document.querySelector("#button-record-cancel").onclick = closeEditor;
+}
+
+/* Parse a key or value typed by the user. They are JSON, with the
+   tagged objects of serialization.js for Dates, binary keys, etc.
+   e.g. `{"$t": "Date", "v": 1727740800000}`.
+ */
+function parseInput(selector, name, optional) {
+  const text = document.querySelector(selector).value.trim();
+  if (!text) {
+    if (optional) {
+      return undefined;
+    }
+    throw new Error(`Enter a ${name}`);
+  }
+  try {
+    return parse(text);
+  } catch (error) {
+    throw new Error(`Invalid ${name}, expected JSON: ${error.message}`);
+  }
+}
+
+/* Read the filter inputs into the options for a `read-records`
+   message. Throws an Error if a key can't be parsed.
+ */
+function readQuery() {
+  const type = document.querySelector("#record-range-type").value;
+  const range = { type };
+  if (["only", "lowerBound", "bound"].includes(type)) {
+    range.lower = parseInput("#record-range-lower", "lower key");
+    range.lowerOpen = document.querySelector("#record-range-lower-open").checked;
+  }
+  if (["upperBound", "bound"].includes(type)) {
+    range.upper = parseInput("#record-range-upper", "upper key");
+    range.upperOpen = document.querySelector("#record-range-upper-open").checked;
+  }
+  return {
+    indexName: document.querySelector("#record-index").value || undefined,
+    range: type ? range : undefined,
+    direction: document.querySelector("#record-direction").value,
+  };
+}
+
+function showFirstPage() {
+  viewer.pages = [null];
+  return showPage(0);
+}
+
+async function showPage(pageIndex) {
+  let result;
+  try {
+    result = await sendContentScriptMessage({
+      command: "read-records",
+      dbName: viewer.dbName,
+      storeName: viewer.storeName,
+      ...viewer.query,
+      after: viewer.pages[pageIndex],
+      pageSize: PAGE_SIZE,
+    }, viewer.frameId);
+  } catch (error) {
+    setStatus(`Couldn't read records: ${error.message ?? error}`, true);
+    return;
+  }
+
+  viewer.pageIndex = pageIndex;
+  viewer.keyPath = result.keyPath;
+  viewer.autoIncrement = result.autoIncrement;
+  viewer.total = result.total;
+  viewer.pages = viewer.pages.slice(0, pageIndex + 1);
+  if (result.next) {
+    viewer.pages.push(result.next);
+  }
+
+  displayRecords(result.records, !!viewer.query.indexName);
+
+  const first = pageIndex * PAGE_SIZE;
+  setStatus(result.records.length === 0
+    ? `No records (of ${result.total} in range)`
+    : `Records ${first + 1}–${first + result.records.length} ` +
+      `of ${result.total} in range`);
+  document.querySelector("#button-record-prev").disabled = pageIndex === 0;
+  document.querySelector("#button-record-next").disabled = !result.next;
+}
+
+/* Idempotent, first clears any records displayed, then displays
+   `records`.
+ */
+function displayRecords(records, byIndex) {
+  const tbody = document.querySelector("#table-records tbody");
+  while (tbody.firstChild) {
+    tbody.removeChild(tbody.firstChild);
+  }
+
+  for (const record of records) {
+    const tr = document.createElement("tr");
+    const cells = [
+      document.createTextNode(formatKey(record.key)),
+      document.createTextNode(byIndex ? formatKey(record.primaryKey) : ""),
+      renderValueTree(record.value),
+      recordButtons(record),
+    ];
+    for (const cell of cells) {
+      const td = document.createElement("td");
+      td.appendChild(cell);
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+}
+
+function recordButtons(record) {
+  const div = document.createElement("div");
+
+  const editButton = document.createElement("button");
+  editButton.appendChild(document.createTextNode("edit"));
+  editButton.onclick = () => openEditor(record);
+  div.appendChild(editButton);
+
+  const deleteButton = document.createElement("button");
+  deleteButton.appendChild(document.createTextNode("delete"));
+  deleteButton.onclick = () => deleteRecord(record);
+  div.appendChild(deleteButton);
+
+  return div;
+}
+
+/* Open the editor on `record`, or on a new, empty record if `record`
+   is null.
+ */
+async function openEditor(record) {
+  viewer.editing = record;
+  const isNew = record === null;
+  // Stores with in-line keys take the key from the value, edits keep
+  // the record's key.
+  const showKey = isNew && viewer.keyPath === null;
+
+  document.querySelector("#record-editor-title").textContent = isNew
+    ? "Add record"
+    : `Edit record ${formatKey(record.primaryKey)}`;
+  document.querySelector("#record-editor-key-row")
+    .classList.toggle("hidden", !showKey);
+  const keyInput = document.querySelector("#record-editor-key");
+  keyInput.value = "";
+  keyInput.placeholder = viewer.autoIncrement
+    ? "key (JSON), leave empty to generate"
+    : "key (JSON)";
+
+  let text = "{}";
+  if (!isNew) {
+    try {
+      text = JSON.stringify(await encode(record.value), null, 2);
+    } catch (error) {
+      setStatus(`Can't edit this record: ${error.message}`, true);
+      return;
+    }
+  }
+  document.querySelector("#record-editor-value").value = text;
+  setEditorStatus("");
+  document.querySelector("#record-editor").classList.remove("hidden");
+}
+
+function closeEditor() {
+  viewer.editing = null;
+  document.querySelector("#record-editor").classList.add("hidden");
+}
+
+async function saveRecord() {
+  const isNew = viewer.editing === null;
+  let value, key;
+  try {
+    value = parseInput("#record-editor-value", "value");
+    if (isNew && viewer.keyPath === null) {
+      key = parseInput("#record-editor-key", "key", viewer.autoIncrement);
+    }
+  } catch (error) {
+    setEditorStatus(error.message, true);
+    return;
+  }
+
+  try {
+    await sendContentScriptMessage({
+      command: "put-record",
+      dbName: viewer.dbName,
+      storeName: viewer.storeName,
+      value,
+      key,
+      originalKey: isNew ? undefined : viewer.editing.primaryKey,
+      add: isNew,
+    }, viewer.frameId);
+  } catch (error) {
+    setEditorStatus(error.message ?? String(error), true);
+    return;
+  }
+  closeEditor();
+  refreshRecordViewer();
+}
+
+async function deleteRecord(record) {
+  const confirmed = await promisePopupConfirm(
+    `Delete the record ${formatKey(record.primaryKey)}?`
+  );
+  if (!confirmed) {
+    return;
+  }
+  sendDelete({ key: record.primaryKey });
+}
+
+/* Delete all records matching the filters currently applied */
+async function deleteRange() {
+  const { indexName, range } = viewer.query;
+  if (!range) {
+    setStatus(
+      "Apply a key range first. To delete every record use \"clear\".",
+      true
+    );
+    return;
+  }
+  const confirmed = await promisePopupConfirm(
+    `Delete all ${viewer.total} records in the current key range?`
+  );
+  if (!confirmed) {
+    return;
+  }
+  sendDelete({ indexName, range });
+}
+
+async function sendDelete(target) {
+  try {
+    const deleted = await sendContentScriptMessage({
+      command: "delete-records",
+      dbName: viewer.dbName,
+      storeName: viewer.storeName,
+      ...target,
+    }, viewer.frameId);
+    console.log(`Deleted ${deleted} records`);
+  } catch (error) {
+    setStatus(`Couldn't delete: ${error.message ?? error}`, true);
+    return;
+  }
+  showFirstPage();
+}
+
+function setStatus(text, isError) {
+  const status = document.querySelector("#record-viewer-status");
+  status.textContent = text;
+  status.classList.toggle("error", !!isError);
+}
+
+function setEditorStatus(text, isError) {
+  const status = document.querySelector("#record-editor-status");
+  status.textContent = text;
+  status.classList.toggle("error", !!isError);
+}
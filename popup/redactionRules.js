@@ -0,0 +1,139 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Redaction rules - edit the current origin's redaction rules, in the
+   settings panel. See modules/redaction.js.
+ */
+
+import {
+  FAKE_KINDS, KEY_PATH, REDACTION_ACTIONS, describeRule, ruleError
+} from '../modules/redaction.js';
+
+/* Show an origin's rules (`redaction` from the settings, or undefined
+   if it has none) for editing. `storeNames` are suggested for the
+   rules' stores.
+ */
+export function showRedactionRules(redaction, storeNames) {
+  const tbody = document.querySelector("#setting-redaction-rules tbody");
+  while (tbody.firstChild) {
+    tbody.removeChild(tbody.firstChild);
+  }
+  const datalist = document.querySelector("#redaction-stores");
+  while (datalist.firstChild) {
+    datalist.removeChild(datalist.firstChild);
+  }
+  for (const storeName of new Set(storeNames)) {
+    const option = document.createElement("option");
+    option.value = storeName;
+    datalist.appendChild(option);
+  }
+
+  for (const rule of redaction?.rules ?? []) {
+    tbody.appendChild(ruleRow(rule));
+  }
+  document.querySelector("#button-add-redaction-rule").onclick = () => {
+    tbody.appendChild(ruleRow({ action: "mask", fake: "text" }));
+  };
+}
+
+/* The rules as edited, leaving out rows left empty. Throws an Error
+   describing the first invalid rule.
+ */
+export function readRedactionRules() {
+  const rows = document.querySelectorAll("#setting-redaction-rules tbody tr");
+  const rules = [];
+  for (const row of rows) {
+    const field = name => row.querySelector(`[name="${name}"]`).value.trim();
+    const rule = {
+      storeName: field("storeName"),
+      path: field("path"),
+      action: field("action"),
+    };
+    if (rule.action === "fake") {
+      rule.fake = field("fake");
+    }
+    if (!rule.storeName && !rule.path) {
+      continue;
+    }
+    const error = ruleError(rule);
+    if (error) {
+      throw new Error(`Redaction rule ${rules.length + 1}: ${error}`);
+    }
+    rules.push(rule);
+  }
+  return rules;
+}
+
+/* A snapshot's redaction rules as text, e.g. for a tooltip */
+export function redactionSummary(snap) {
+  return snap.redaction.rules.map(describeRule).join("\n");
+}
+
+function ruleRow(rule) {
+  const tr = document.createElement("tr");
+
+  const storeInput = document.createElement("input");
+  storeInput.type = "text";
+  storeInput.name = "storeName";
+  storeInput.placeholder = "store";
+  storeInput.setAttribute("list", "redaction-stores");
+  storeInput.value = rule.storeName ?? "";
+
+  const pathInput = document.createElement("input");
+  pathInput.type = "text";
+  pathInput.name = "path";
+  pathInput.placeholder = "field, e.g. profile.email";
+  pathInput.title =
+    `A dotted path to a field, or ${KEY_PATH} for a store's keys ` +
+    "when they aren't part of its records";
+  pathInput.value = rule.path ?? "";
+
+  const actionSelect = optionSelect("action", REDACTION_ACTIONS, rule.action);
+  const fakeSelect = optionSelect("fake", FAKE_KINDS, rule.fake ?? "text");
+  fakeSelect.classList.toggle("hidden", actionSelect.value !== "fake");
+  actionSelect.onchange = () => {
+    fakeSelect.classList.toggle("hidden", actionSelect.value !== "fake");
+  };
+
+  const removeButton = document.createElement("button");
+  removeButton.appendChild(document.createTextNode("remove"));
+  removeButton.onclick = () => tr.remove();
+
+  for (const node of [
+    storeInput, pathInput, actionSelect, fakeSelect, removeButton
+  ]) {
+    const td = document.createElement("td");
+    td.appendChild(node);
+    tr.appendChild(td);
+  }
+  return tr;
+}
+
+function optionSelect(name, options, value) {
+  const select = document.createElement("select");
+  select.name = name;
+  for (const [optionValue, text] of Object.entries(options)) {
+    const option = document.createElement("option");
+    option.value = optionValue;
+    option.appendChild(document.createTextNode(text));
+    select.appendChild(option);
+  }
+  select.value = value;
+  return select;
+}
@@ -0,0 +1,223 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Restore check - compare a snapshot with the database it's about to
+   be restored into, before anything is written, and let the user
+   restore anyway, skip the stores with problems, or cancel.
+ */
+
+import {
+  sendContentScriptMessage, SNAPSHOT_BATCH_SIZE
+} from '../modules/core.js';
+import {
+  duplicateIndexProblems, restoreProblems, uniqueIndexEntries
+} from '../modules/snapshotDiff.js';
+import { getSnapshotBatch } from '../modules/snapshots.js';
+import { selectedFrame } from './frames.js';
+
+/* Find what would make restoring the stores `storeNames` of a
+   snapshot into `targetDbName` fail: missing stores, keyPath and
+   autoIncrement differences, and records clashing over a unique
+   index.
+
+   Unique indexes are only checked for keyed snapshots restored
+   without a transform, the only records whose keys are known up
+   front. The snapshot's records are read a batch at a time, keeping
+   only their keys, and checked against the database in batches too.
+
+   The database is looked for in the frame the snapshots section is
+   showing, see popup/frames.js.
+
+   Resolves to `{live, problems}`, where `live` is the database's
+   schema (null if it doesn't exist yet) and `problems` a list of
+   `{storeName, problem}`.
+ */
+export async function findRestoreProblems(
+  snap, mode, targetDbName, storeNames, transform
+) {
+  const { frameId } = selectedFrame();
+  const live = await sendContentScriptMessage({
+    command: "get-schema", dbName: targetDbName
+  }, frameId);
+  if (!live) {
+    return { live, problems: [] };
+  }
+  const problems = restoreProblems(snap.schema, live, storeNames);
+  if (transform || (snap.format ?? 1) < 2) {
+    return { live, problems };
+  }
+
+  const { entries, primaryKeys } = await snapshotIndexEntries(
+    snap, live, storeNames
+  );
+  problems.push(...duplicateIndexProblems(entries));
+
+  // Replace restores clear the stores first, so there's nothing
+  // already in them to clash with.
+  if (mode !== "replace") {
+    problems.push(...await indexConflictProblems(
+      frameId, targetDbName, entries, primaryKeys
+    ));
+  }
+  return { live, problems };
+}
+
+/* Read the unique index entries (see `uniqueIndexEntries` in
+   snapshotDiff.js) and primary keys of a snapshot's records, a batch
+   at a time, for the stores with unique indexes in `live`.
+
+   Resolves to `{entries, primaryKeys}`, with `primaryKeys` as
+   `{storeName: [primaryKey, ...]}`.
+ */
+async function snapshotIndexEntries(snap, live, storeNames) {
+  const entries = {};
+  const primaryKeys = {};
+  for (const storeName of storeNames) {
+    const indexes = Object.values(live.stores[storeName]?.indexes ?? {});
+    if (!indexes.some(index => index.unique)) {
+      continue;
+    }
+    for (let seq = 0; ; seq++) {
+      const batch = await getSnapshotBatch(snap.id, storeName, seq);
+      if (batch === null) {
+        break;
+      }
+      const batchEntries = uniqueIndexEntries(live, {[storeName]: batch});
+      entries[storeName] ??= {};
+      const indexes = Object.entries(batchEntries[storeName]);
+      for (const [indexName, pairs] of indexes) {
+        entries[storeName][indexName] ??= [];
+        entries[storeName][indexName].push(...pairs);
+      }
+      primaryKeys[storeName] ??= [];
+      primaryKeys[storeName].push(...batch.map(([key]) => key));
+    }
+  }
+  return { entries, primaryKeys };
+}
+
+/* Find the records of a merge restore that would clash with records
+   already in the database over a unique index. The index keys are
+   looked up in the database a batch at a time, see
+   `findIndexConflicts` in install_message_handlers.js. A live record
+   only clashes if the restore doesn't overwrite it.
+
+   Resolves to a list of `{storeName, problem}`.
+ */
+async function indexConflictProblems(
+  frameId, dbName, entries, primaryKeys
+) {
+  const problems = [];
+  for (const [storeName, indexes] of Object.entries(entries)) {
+    const restored = [...primaryKeys[storeName]]
+      .sort((a, b) => window.indexedDB.cmp(a, b));
+    for (const [indexName, pairs] of Object.entries(indexes)) {
+      let count = 0;
+      let example;
+      for (let i = 0; i < pairs.length; i += SNAPSHOT_BATCH_SIZE) {
+        const clashes = await sendContentScriptMessage({
+          command: "find-index-conflicts",
+          dbName,
+          storeName,
+          indexName,
+          pairs: pairs.slice(i, i + SNAPSHOT_BATCH_SIZE),
+        }, frameId);
+        for (const [indexKey, livePrimaryKey] of clashes) {
+          if (!includesKey(restored, livePrimaryKey)) {
+            count += 1;
+            example ??= indexKey;
+          }
+        }
+      }
+      if (count > 0) {
+        problems.push({
+          storeName,
+          problem: `${count} keys of the unique index ${indexName} ` +
+            `are already used by other records in the database, e.g. ` +
+            `${JSON.stringify(example)}`,
+        });
+      }
+    }
+  }
+  return problems;
+}
+
+/* Binary search a list of keys sorted with `indexedDB.cmp` */
+function includesKey(sortedKeys, key) {
+  let low = 0;
+  let high = sortedKeys.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const cmp = window.indexedDB.cmp(sortedKeys[mid], key);
+    if (cmp === 0) {
+      return true;
+    }
+    if (cmp < 0) {
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return false;
+}
+
+/* Show the problems found by `findRestoreProblems` and wait for the
+   user's choice.
+
+   Resolves to "proceed", "skip" (restore only the stores without
+   problems) or "cancel".
+ */
+export function chooseRestore(snap, targetDbName, live, problems) {
+  const container = document.querySelector("#restore-check");
+  const summary = document.querySelector("#restore-check-summary");
+  const list = document.querySelector("#restore-check-problems");
+  while (list.firstChild) {
+    list.removeChild(list.firstChild);
+  }
+
+  summary.textContent = [
+    `The snapshot of ${snap.dbName} is version ${snap.schema.version},`,
+    `${targetDbName} is version ${live.version}.`,
+    snap.schema.version > live.version
+      ? "Restoring upgrades it to the snapshot's version."
+      : "",
+    "Restoring will fail because of:",
+  ].join(" ");
+  for (const { storeName, problem } of problems) {
+    const item = document.createElement("li");
+    item.textContent = `${storeName}: ${problem}`;
+    list.appendChild(item);
+  }
+
+  container.classList.remove("hidden");
+  container.scrollIntoView();
+  return new Promise((resolve) => {
+    const choices = {
+      "#button-restore-check-proceed": "proceed",
+      "#button-restore-check-skip": "skip",
+      "#button-restore-check-cancel": "cancel",
+    };
+    for (const [selector, choice] of Object.entries(choices)) {
+      document.querySelector(selector).onclick = () => {
+        container.classList.add("hidden");
+        resolve(choice);
+      };
+    }
+  });
+}
@@ -0,0 +1,86 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Restore here - offer the snapshots of other origins for restoring
+   into the current tab, e.g. data from a staging site into a local
+   development server.
+
+   Restores go to whichever tab is active, so nothing ties a snapshot
+   to the origin it was taken on apart from where it is listed.
+ */
+
+import { listSnapshots } from '../modules/snapshots.js';
+
+/* `restoreControls(snap, label)` builds a snapshot's restore buttons,
+   see popup/script.js.
+ */
+export function setupRestoreHere(origin, restoreControls) {
+  const details = document.querySelector("#restore-here");
+  details.ontoggle = () => {
+    if (details.open) {
+      displayOtherOrigins(origin, restoreControls);
+    }
+  };
+}
+
+async function displayOtherOrigins(origin, restoreControls) {
+  const tbody = document.querySelector("#table-restore-here tbody");
+  while (tbody.firstChild) {
+    tbody.removeChild(tbody.firstChild);
+  }
+
+  const snapshots = (await listSnapshots("by_created", undefined, "prev"))
+    .filter(snap => snap.origin !== origin && snap.complete !== false);
+  document.querySelector("#restore-here-status").textContent =
+    snapshots.length === 0 ? "No snapshots from other origins." : "";
+
+  for (const snap of snapshots) {
+    const tr = document.createElement("tr");
+    tbody.appendChild(tr);
+
+    const dbDiv = document.createElement("div");
+    if (snap.name) {
+      const name = document.createElement("div");
+      name.classList.add("snapshot-name");
+      name.appendChild(document.createTextNode(snap.name));
+      dbDiv.appendChild(name);
+    }
+    dbDiv.appendChild(document.createTextNode(
+      `${snap.dbName} :: v${snap.dbVersion}`
+    ));
+    const buttonDiv = document.createElement("div");
+    const { buttons, options } = restoreControls(snap, "restore here");
+    for (const node of [...buttons, ...options]) {
+      buttonDiv.appendChild(node);
+    }
+    dbDiv.appendChild(buttonDiv);
+
+    const colNodes = [
+      document.createTextNode(snap.origin),
+      dbDiv,
+      document.createTextNode(new Date(snap.created).toUTCString()),
+      document.createTextNode(snap.recordCount),
+    ];
+    for (const node of colNodes) {
+      const td = document.createElement("td");
+      td.appendChild(node);
+      tr.appendChild(td);
+    }
+  }
+}
@@ -18,26 +18,49 @@ along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
 import {
-  idbCursorCollect, idbCursorEach, idbResponse, versionUpgrades
+  idbCursorCollect, idbResponse, versionUpgrades
 } from '../modules/indexedDbUtilities.js';
 import {
-  dbConnect, popupConfirm, promisePopupConfirm, sendContentScriptMessage
+  dbConnect, formatBytes, inDevtools, openExtensionPage, popupConfirm,
+  promisePopupConfirm, sendContentScriptMessage,
+  targetTabId
 } from '../modules/core.js';
+import {
+  deleteOriginSnapshots, snapshotFootprints
+} from '../modules/snapshots.js';
+import { setupDiffViewer, updateDiffChoices } from './diffViewer.js';
+import {
+  findFrames, frameOrigins, readFrameDbs, requestFrameAccess,
+  selectedFrame, selectFrameOrigin
+} from './frames.js';
+import { askPassphrase } from './passphrase.js';
+import { openRecordViewer, setupRecordViewer } from './recordViewer.js';
+import { redactionSummary } from './redactionRules.js';
+import { openSeedGenerator, setupSeedGenerator } from './seedGenerator.js';
+import { chooseRestore, findRestoreProblems } from './restoreCheck.js';
+import { setupRestoreHere } from './restoreHere.js';
+import { setupSettings } from './settingsPanel.js';
+import { transformChoice, transformError } from './transformEditor.js';
+import {
+  filterSnapshots, setupSnapshotFilters, snapshotLabels,
+  takeNextSnapshotLabels, takeNextSnapshotPassphrase, updateFilterChoices
+} from './snapshotLabels.js';
 
 /* Idempotent
  */
-function refreshDisplayDBs() {
-    return browser
-      .tabs
-      .executeScript({ file: "/content_scripts/read_dbs.js"})
-      .then((script_results) => {
-        showDBs(script_results[0])
-      })
+async function refreshDisplayDBs() {
+  const { inaccessible, failed } = await findFrames();
+  showDBs([...failed, ...await readFrameDbs()]);
+  showInaccessibleFrames(inaccessible);
+  showSnapshotOriginChoice();
 }
 
-/* Given a list of db summaries from `/content_scripts/read_dbs.js`
-   put them into the table listed in */
-function showDBs(dbs) {
+/* Given the db summaries of each frame origin, from `readFrameDbs`,
+   put them into the table listed in. When the page has frames on
+   other origins each origin's databases get a heading row. Origins
+   whose databases couldn't be read get a row saying so.
+ */
+function showDBs(frameDbs) {
   const tbody = document.querySelector("#table-page-dbs tbody");
 
   /* First clear, then populate */
@@ -45,6 +68,42 @@ function showDBs(dbs) {
     tbody.removeChild(tbody.firstChild);
   }
 
+  for (const { origin, frameId, dbs, error } of frameDbs) {
+    if (frameDbs.length > 1 || error) {
+      const tr = document.createElement("tr");
+      tr.classList.add("frame-origin");
+      const td = document.createElement("td");
+      td.colSpan = 5;
+      td.appendChild(document.createTextNode(
+        frameId === 0 ? `${origin} (page)` : `${origin} (frame)`
+      ));
+      tr.appendChild(td);
+      tbody.appendChild(tr);
+    }
+    if (error) {
+      showFrameError(tbody, error);
+    } else {
+      showFrameDBs(tbody, dbs, frameId);
+    }
+  }
+}
+
+/* Add a row saying a frame's databases couldn't be read */
+function showFrameError(tbody, error) {
+  const tr = document.createElement("tr");
+  const td = document.createElement("td");
+  td.colSpan = 5;
+  td.classList.add("error");
+  td.appendChild(document.createTextNode(
+    `Couldn't read the databases: ${error.message ?? error}`
+  ));
+  tr.appendChild(td);
+  tbody.appendChild(tr);
+}
+
+/* Add the rows for one frame's db summaries, from
+   `/content_scripts/read_dbs.js` */
+function showFrameDBs(tbody, dbs, frameId) {
   const collapsed = collapseObjects(dbs, ["name", "version"]);
   const metadataColNames = ["store", "indexes", "count"];
   for (const [[dbName, dbVersion], metadata] of collapsed) {
@@ -59,7 +118,7 @@ function showDBs(dbs) {
     tdDbName.classList.add("database-name");
     const div = document.createElement("div");
     tdDbName.appendChild(div);
-    addButtons(div, dbName, dbVersion);
+    addButtons(div, dbName, dbVersion, frameId);
     tr.appendChild(tdDbName);
 
     const tdDbVersion = document.createElement("td");
@@ -71,7 +130,11 @@ function showDBs(dbs) {
     for (const meta of metadata) {
       for (const colName of metadataColNames) {
         const td = document.createElement("td")
-        td.appendChild(document.createTextNode(meta[colName]));
+        if (colName === "store") {
+          addStoreCell(td, meta, frameId);
+        } else {
+          td.appendChild(document.createTextNode(meta[colName]));
+        }
         tr.appendChild(td);
       }
       tbody.appendChild(tr);
@@ -136,12 +199,48 @@ function collapseObjects(objList, keys, eqFn) {
   return output;
 }
 
-/* Add buttons to the database rows */
-function addButtons(inside, dbName, dbVersion) {
+/* Add buttons to the database rows, for a database of the frame
+   `frameId` */
+function addButtons(inside, dbName, dbVersion, frameId) {
   /* onclick handler for buttons that sends the appropriate message */
-  function sendMessage(clickEvent) {
+  async function sendMessage(clickEvent) {
     const {command, dbName, dbVersion} = clickEvent.target.dataset;
-    sendContentScriptMessage({command, dbName, dbVersion});
+    if (command !== "snapshot") {
+      // Clearing and deleting report their errors, e.g. if the
+      // database was open elsewhere.
+      try {
+        await sendContentScriptMessage({command, dbName, dbVersion}, frameId);
+      } catch (error) {
+        alert(`Couldn't ${command} ${dbName}: ${error.message ?? error}`);
+      }
+      return;
+    }
+
+    const { selected, all } = selectedStores(dbName, frameId);
+    if (selected.length === 0) {
+      alert(`Select at least one store of ${dbName} to snapshot.`);
+      return;
+    }
+    // Leaving `stores` out snapshots every store, including any
+    // created since the table was shown.
+    const stores = selected.length < all.length ? selected : undefined;
+    const labels = takeNextSnapshotLabels();
+    // The passphrase goes straight to the background script, the
+    // content script only passes on its id.
+    const passphrase = takeNextSnapshotPassphrase();
+    let encrypt;
+    if (passphrase) {
+      encrypt = crypto.randomUUID();
+      await browser.runtime.sendMessage({
+        target: "background",
+        command: "snapshot-passphrase",
+        id: encrypt,
+        passphrase,
+      });
+    }
+    sendContentScriptMessage(
+      {command, dbName, dbVersion, stores, labels, encrypt}, frameId
+    );
   }
 
   const buttons = ["snapshot", "clear", "delete"];
@@ -156,8 +255,120 @@ function addButtons(inside, dbName, dbVersion) {
   }
 }
 
+/* Fill in the store column: a checkbox to include the store in
+   snapshots, the store name, and buttons to open it in the record
+   viewer or the seed generator.
+ */
+function addStoreCell(inside, storeSummary, frameId) {
+  const { name, store, indexNames } = storeSummary;
+
+  const label = document.createElement("label");
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = true;
+  checkbox.title = "Include in snapshots";
+  checkbox.classList.add("store-select");
+  checkbox.dataset.dbName = name;
+  checkbox.dataset.storeName = store;
+  checkbox.dataset.frameId = frameId;
+  label.appendChild(checkbox);
+  label.appendChild(document.createTextNode(` ${store}`));
+  inside.appendChild(label);
+
+  const div = document.createElement("div");
+  const button = document.createElement("button");
+  button.appendChild(document.createTextNode("browse"));
+  button.onclick = () => openRecordViewer(name, store, indexNames, frameId);
+  div.appendChild(button);
+  const seedButton = document.createElement("button");
+  seedButton.appendChild(document.createTextNode("seed"));
+  seedButton.onclick = () => {
+    const { origin } = frameOrigins().find(frame => frame.frameId === frameId);
+    openSeedGenerator(storeSummary, frameId, origin);
+  };
+  div.appendChild(seedButton);
+  inside.appendChild(div);
+}
+
+/* The stores of a frame's database checked for snapshotting, and all
+   its stores */
+function selectedStores(dbName, frameId) {
+  const checkboxes = [...document.querySelectorAll(".store-select")]
+    .filter(checkbox => checkbox.dataset.dbName === dbName &&
+            Number(checkbox.dataset.frameId) === frameId);
+  return {
+    selected: checkboxes
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.dataset.storeName),
+    all: checkboxes.map(checkbox => checkbox.dataset.storeName),
+  };
+}
+
+/* The origin of the frame the snapshots section is showing, the page
+   itself unless another was chosen */
 function getPageOrigin() {
-  return sendContentScriptMessage({command: "get-origin"});
+  return sendContentScriptMessage(
+    {command: "get-origin"}, selectedFrame().frameId
+  );
+}
+
+/* List the frames whose databases can't be read, with a button to
+   grant access to their origin.
+ */
+function showInaccessibleFrames(inaccessible) {
+  const container = document.querySelector("#frame-access");
+  while (container.firstChild) {
+    container.removeChild(container.firstChild);
+  }
+
+  for (const { url } of inaccessible) {
+    const div = document.createElement("div");
+    div.appendChild(document.createTextNode(
+      `The databases of a frame on ${new URL(url).origin} can't be read. `
+    ));
+    const button = document.createElement("button");
+    button.appendChild(document.createTextNode("grant access"));
+    button.onclick = async () => {
+      if (await requestFrameAccess(url)) {
+        refreshDisplayDBs();
+      }
+    };
+    div.appendChild(button);
+    container.appendChild(div);
+  }
+}
+
+/* A select to switch the snapshots section between the page's origin
+   and the origins of its frames, hidden when there's only one.
+ */
+function showSnapshotOriginChoice() {
+  const select = document.querySelector("#snapshot-origin");
+  const origins = frameOrigins();
+  while (select.firstChild) {
+    select.removeChild(select.firstChild);
+  }
+  for (const { origin, frameId } of origins) {
+    const option = document.createElement("option");
+    option.value = origin;
+    option.appendChild(document.createTextNode(
+      frameId === 0 ? `${origin} (page)` : `${origin} (frame)`
+    ));
+    select.appendChild(option);
+  }
+  select.value = selectedFrame().origin;
+  select.classList.toggle("hidden", origins.length < 2);
+  select.onchange = () => {
+    selectFrameOrigin(select.value);
+    showOriginSnapshots(select.value);
+  };
+}
+
+/* Point the snapshots section at the snapshots of `origin` */
+async function showOriginSnapshots(origin) {
+  const snapshotMetadata = await getSnapshotMetadata(origin);
+  displaySnapshots(origin, snapshotMetadata);
+  setupOnclickHandlers(origin);
+  setupRestoreHere(origin, restoreControls);
 }
 
 async function refreshSnapshotDisplay(origin) {
@@ -184,33 +395,236 @@ async function getSnapshotMetadata(origin) {
     }
   );
   snapshotMetadata.sort(sortDateDesc)
-  return snapshotMetadata;
+  // Snapshots still being streamed in aren't ready to restore.
+  return snapshotMetadata.filter(metadata => metadata.complete !== false);
 }
 
 
+/* The ways a snapshot can be restored, see `restoreSnapshot` in
+   /content_scripts/install_message_handlers.js
+ */
+const RESTORE_MODES = {
+  merge: "merge",
+  replace: "replace",
+  as: "restore as…",
+};
+
 /* Add nodes for the buttons on a snapshot element */
-function snapshotButtons(inside, snapshotKey) {
-  const buttons = [
-    { text: "restore", command: "kickoff-snapshot-restore" },
-    { text: "delete", command: "snapshot-delete"},
-  ]
-  for (const button of buttons) {
-    const b = document.createElement("button");
-    b.appendChild(document.createTextNode(button.text));
-    b.dataset.snapshotKey = snapshotKey;
-    b.dataset.command = button.command;
-    b.onclick = (ev) => {
-      const { command, snapshotKey } = ev.target.dataset;
-      browser.runtime.sendMessage({
-        target:"background",
-        command,
-        snapshotKey: Number(snapshotKey),
+function snapshotButtons(inside, snap) {
+  const restore = restoreControls(snap, "restore");
+
+  // Snapshots from before records were kept with their keys can't be
+  // exported, see `snapshotToFile` in snapshotFile.js.
+  const exportable = (snap.format ?? 1) >= 2 && snap.schema;
+  const exportButton = document.createElement("button");
+  exportButton.appendChild(document.createTextNode("export"));
+  exportButton.onclick = async () => {
+    const passphrase = await askPassphrase(snap);
+    if (passphrase === null) {
+      return;
+    }
+    try {
+      await browser.runtime.sendMessage({
+        target: "background",
+        command: "snapshot-export",
+        snapshotKey: snap.id,
+        passphrase,
       });
+    } catch (error) {
+      alert(`Couldn't export the snapshot: ${error.message ?? error}`);
+    }
+  }
+
+  const deleteButton = document.createElement("button");
+  deleteButton.appendChild(document.createTextNode("delete"));
+  deleteButton.onclick = () => {
+    browser.runtime.sendMessage({
+      target: "background",
+      command: "snapshot-delete",
+      snapshotKey: snap.id,
+    });
+  }
+
+  for (const node of restore.buttons) {
+    inside.appendChild(node);
+  }
+  if (exportable) {
+    inside.appendChild(exportButton);
+  }
+  inside.appendChild(deleteButton);
+  for (const node of restore.options) {
+    inside.appendChild(node);
+  }
+}
+
+/* A restore mode select and restore button for a snapshot, labelled
+   `label`, and the restore options: the choice of stores to restore
+   and a transform.
+
+   Returns `{buttons, options}`, both lists of nodes.
+ */
+function restoreControls(snap, label) {
+  const modeSelect = document.createElement("select");
+  for (const [mode, text] of Object.entries(RESTORE_MODES)) {
+    // Restoring into a new database needs the schema to create it.
+    if (mode === "as" && !snap.schema) {
+      continue;
     }
-    inside.appendChild(b);
+    const option = document.createElement("option");
+    option.value = mode;
+    option.appendChild(document.createTextNode(text));
+    modeSelect.appendChild(option);
+  }
+
+  const storeChoice = restoreStoreChoice(snap);
+  const options = [storeChoice.node];
+  // Transforms work on `[primaryKey, value]` pairs.
+  const transform = (snap.format ?? 1) >= 2
+    ? transformChoice(snap, () => storeChoice.selected() ?? snap.stores)
+    : null;
+  if (transform) {
+    options.push(transform.node);
   }
+
+  const restoreButton = document.createElement("button");
+  restoreButton.appendChild(document.createTextNode(label));
+  restoreButton.onclick = () => {
+    requestRestore(
+      snap, modeSelect.value, storeChoice.selected(), transform?.value()
+    );
+  };
+
+  return { buttons: [modeSelect, restoreButton], options };
 }
 
+/* Checkboxes to pick which of a snapshot's stores to restore.
+
+   Returns `{node, selected}`, where `selected()` gives the list of
+   stores to restore, or undefined for all of them.
+ */
+function restoreStoreChoice(snap) {
+  const details = document.createElement("details");
+  const summary = document.createElement("summary");
+  summary.appendChild(document.createTextNode("stores to restore"));
+  details.appendChild(summary);
+
+  const checkboxes = snap.stores.map((storeName) => {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = true;
+    checkbox.value = storeName;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${storeName} `));
+    details.appendChild(label);
+    return checkbox;
+  });
+
+  function selected() {
+    const checked = checkboxes.filter(c => c.checked).map(c => c.value);
+    return checked.length < snap.stores.length ? checked : undefined;
+  }
+  return { node: details, selected };
+}
+
+/* Confirm the details of a restore with the user, then ask the
+   background script to start it.
+
+   `stores` (optional) restores only those of the snapshot's stores.
+   `transform` (optional) is run over the records first, see
+   modules/transform.js.
+
+   Any problems found comparing the snapshot with the database are
+   shown before the restore starts, see restoreCheck.js.
+ */
+async function requestRestore(snap, mode, stores, transform) {
+  let targetDbName = snap.dbName;
+
+  if (stores?.length === 0) {
+    alert("Select at least one store to restore.");
+    return;
+  }
+  const error = transform ? transformError(transform) : null;
+  if (error) {
+    alert(`The transform can't be compiled: ${error}`);
+    return;
+  }
+  const passphrase = await askPassphrase(snap);
+  if (passphrase === null) {
+    console.log("Restore canceled, the snapshot is still locked");
+    return;
+  }
+
+  if (mode === "replace") {
+    const confirmed = await promisePopupConfirm([
+      `This will clear the stores in ${snap.dbName} that are in the `,
+      "snapshot before restoring it. Records added since the snapshot ",
+      "will be lost. Do you want to continue?"
+    ].join(""));
+    if (!confirmed) {
+      console.log("Replace restore canceled");
+      return;
+    }
+  } else if (mode === "as") {
+    targetDbName = prompt(
+      "Name of the database to restore into:", `${snap.dbName}-restored`
+    );
+    if (!targetDbName) {
+      console.log("Restore as canceled");
+      return;
+    }
+  }
+
+  // Snapshots from before schemas were kept can't be checked.
+  if (snap.schema) {
+    const storeNames = stores ?? snap.stores;
+    const { live, problems } = await findRestoreProblems(
+      snap, mode, targetDbName, storeNames, transform
+    );
+    if (problems.length > 0) {
+      const choice = await chooseRestore(snap, targetDbName, live, problems);
+      if (choice === "cancel") {
+        console.log("Restore canceled");
+        return;
+      }
+      if (choice === "skip") {
+        const skipped = problems.map(({storeName}) => storeName);
+        stores = storeNames.filter(s => !skipped.includes(s));
+        if (stores.length === 0) {
+          alert("Every store has problems, there's nothing left to restore.");
+          return;
+        }
+      }
+    }
+  }
+
+  browser.runtime.sendMessage({
+    target: "background",
+    command: "kickoff-snapshot-restore",
+    snapshotKey: snap.id,
+    mode,
+    targetDbName,
+    stores,
+    transform,
+    passphrase,
+    tabId: await targetTabId(),
+    frameId: selectedFrame().frameId,
+  });
+}
+
+/* The snapshots for the page's origin, as last displayed */
+let originSnapshots = [];
+
+/* Counts calls to `displaySnapshotRows`, so a filter that finishes
+   after a newer one doesn't replace its rows. */
+let snapshotRowsRequest = 0;
+
+/* The footprints of `originSnapshots` worked out so far (see
+   `showFootprints`), by snapshot key. Reading them walks all of a
+   snapshot's batches, so they're kept while only the filters change.
+ */
+let footprintCache = new Map();
+
 /* Idempotent, first clears anything currently displayed, then
    displays the data given
  */
@@ -226,7 +640,21 @@ function displaySnapshots(origin, snapshots) {
     `Snapshots for origin: "${origin}"`
   ));
 
-  // == Snapshot Table ==
+  originSnapshots = snapshots;
+  // Sharing changes as snapshots are added and deleted.
+  footprintCache = new Map();
+  updateFilterChoices(snapshots);
+  displaySnapshotRows();
+  updateDiffChoices(snapshots);
+}
+
+/* Fill the snapshot table with the snapshots matching the filters */
+async function displaySnapshotRows() {
+  const request = ++snapshotRowsRequest;
+  const shown = await filterSnapshots(originSnapshots);
+  if (request !== snapshotRowsRequest) {
+    return;
+  }
   const tbody = document.querySelector("#table-snapshots tbody");
   // Clear existing
   while (tbody.firstChild) {
@@ -234,22 +662,40 @@ function displaySnapshots(origin, snapshots) {
   }
 
   // Then add
-  for (const snap of snapshots) {
+  const storageCells = {};
+  for (const snap of shown) {
     const tr = document.createElement("tr");
     tbody.appendChild(tr);
 
     const dbDiv = document.createElement("div");
+    snapshotLabels(dbDiv, snap, () => refreshSnapshotDisplay(snap.origin));
     dbDiv.appendChild(document.createTextNode(
       `${snap.dbName} :: v${snap.dbVersion}`
     ));
+    if (snap.partial) {
+      dbDiv.appendChild(document.createTextNode(
+        ` (stores: ${snap.stores.join(", ")})`
+      ));
+    }
+    if (snap.encryption) {
+      dbDiv.appendChild(document.createTextNode(" (encrypted)"));
+    }
+    if (snap.redaction) {
+      const redacted = document.createElement("span");
+      redacted.title = redactionSummary(snap);
+      redacted.appendChild(document.createTextNode(" (redacted)"));
+      dbDiv.appendChild(redacted);
+    }
     const buttonDiv = document.createElement("div");
     dbDiv.appendChild(buttonDiv);
-    snapshotButtons(buttonDiv, snap.id);
+    snapshotButtons(buttonDiv, snap);
 
+    storageCells[snap.id] = document.createElement("div");
     const colNodes = [
       dbDiv,
       document.createTextNode(new Date(snap.created).toUTCString()),
-      document.createTextNode(snap.recordCount)
+      document.createTextNode(snap.recordCount),
+      storageCells[snap.id],
     ];
         for (const node of colNodes) {
       const td = document.createElement("td");
@@ -257,6 +703,54 @@ function displaySnapshots(origin, snapshots) {
       tr.appendChild(td);
     }
   }
+  showFootprints(storageCells);
+
+  const status = document.querySelector("#snapshot-filter-status");
+  status.textContent = shown.length < originSnapshots.length
+    ? `Showing ${shown.length} of ${originSnapshots.length} snapshots`
+    : "";
+}
+
+/* Fill in how much space each snapshot takes, `cells` is
+   `{[snapshotKey]: node}`. Records shared with other snapshots are
+   stored once, so a snapshot's own share is what deleting it frees.
+   Compressed records show the stored size next to the original.
+   Snapshots not yet moved into chunks have no size to show.
+ */
+async function showFootprints(cells) {
+  const missing = Object.keys(cells)
+    .map(Number)
+    .filter(snapshotKey => !footprintCache.has(snapshotKey));
+  const cache = footprintCache;
+  if (missing.length > 0) {
+    const footprints = await snapshotFootprints(missing);
+    for (const [snapshotKey, footprint] of Object.entries(footprints)) {
+      cache.set(Number(snapshotKey), footprint);
+    }
+  }
+
+  for (const [snapshotKey, cell] of Object.entries(cells)) {
+    const footprint = cache.get(Number(snapshotKey));
+    if (!footprint) {
+      continue;
+    }
+    const { size, own, storedSize, ownStoredSize, measured } = footprint;
+    if (!measured) {
+      cell.textContent = "not measured yet";
+      cell.title = "Stored by an older version, its size is known once " +
+        "it's moved into shared chunks";
+      continue;
+    }
+    const parts = [
+      storedSize < size
+        ? `${formatBytes(storedSize)} of ${formatBytes(size)}`
+        : formatBytes(size),
+    ];
+    if (own < size) {
+      parts.push(`(${formatBytes(ownStoredSize)} not shared)`);
+    }
+    cell.textContent = parts.join(" ");
+  }
 }
 
 function setupOnclickHandlers(origin) {
@@ -274,33 +768,48 @@ function setupOnclickHandlers(origin) {
       () => { console.log("Snapshot delete canceled"); }
     );
   };
+
+  /* Importing happens in its own page since the popup closes as soon
+     as the file picker opens.
+   */
+  const importButton = document.querySelector("#button-import-snapshots");
+  importButton.onclick = () => {
+    const params = new URLSearchParams({origin});
+    openExtensionPage(`/import/import.html?${params}`);
+    closePopup();
+  };
+
+  const manageButton = document.querySelector("#button-manage-snapshots");
+  manageButton.onclick = () => {
+    openExtensionPage("/manager/manager.html");
+    closePopup();
+  };
+}
+
+/* Close the popup once it's opened a page in a new tab. The devtools
+   panel stays open. */
+function closePopup() {
+  if (!inDevtools()) {
+    window.close();
+  }
 }
 
 async function deleteAllSnapshots(origin) {
   console.log(`Deleting all snapshots for ${origin}`);
 
-  const dbCon = await dbConnect();
-  const tx = dbCon.transaction('snapshots', 'readwrite');
-  const store = tx.objectStore('snapshots');
-  const byOrigin = store.index('by_origin');
-  const range = IDBKeyRange.only(origin);
-
-  const count_deleted = await idbCursorEach(
-    byOrigin, range, 0, (cursor, acc) => {
-      console.log(`Deleting ${cursor.value}`);
-      cursor.delete();
-      return acc + 1;
-  });
+  const count_deleted = await deleteOriginSnapshots(origin);
   console.log(`Deleted ${count_deleted} snapshots`);
   refreshSnapshotDisplay(origin);
 }
 
 function installPopupMessageHandlers() {
   browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    console.log("Popup: ", message);
+    // Messages for the background script go to every extension page,
+    // and may hold a snapshot's passphrase, so only ours are logged.
     if (!message?.target || message.target !== "popup") {
       return;
     }
+    console.log("Popup: ", message.command);
 
     switch (message.command) {
       case "refresh-snapshot-display":
@@ -312,6 +821,9 @@ function installPopupMessageHandlers() {
         break;
       case "refresh-db-display":
         return refreshDisplayDBs();
+      case "restore-report":
+        showRestoreReport(message.report);
+        break;
       default:
         console.log(
           `Popup doesn't understand message type: ${message.command}'`
@@ -336,14 +848,86 @@ function installPopupMessageHandlers() {
 
   browser.storage.local.onChanged.addListener((changes) => {
     console.log(changes);
-    const { processing: processingChange, ...rest } = changes;
-    const processing = processingChange.newValue;
-    console.log(`Local Storage onChanged. Processing ${processing}`);
-
-    toggleProcessingState(processing);
+    if (changes.processing) {
+      const processing = changes.processing.newValue;
+      console.log(`Local Storage onChanged. Processing ${processing}`);
+      toggleProcessingState(processing);
+    }
+    if (changes.progress) {
+      showProgress(changes.progress.newValue);
+    }
   })
 }
 
+/* Show the outcome of a restore, see `restoreSnapshot` in
+   install_message_handlers.js for the report's shape.
+ */
+function showRestoreReport(report) {
+  const container = document.querySelector("#restore-report");
+  while (container.firstChild) {
+    container.removeChild(container.firstChild);
+  }
+
+  const summary = document.createElement("div");
+  if (report.ok) {
+    summary.textContent = `Restored into ${report.dbName} (${report.mode})`;
+  } else if (report.committed) {
+    summary.textContent = `The restore into ${report.dbName} was ` +
+      "written, but doesn't match the snapshot";
+  } else {
+    summary.textContent =
+      `Restore into ${report.dbName} failed, no records were written`;
+  }
+  container.appendChild(summary);
+
+  if (report.schemaChange) {
+    const schemaChange = document.createElement("div");
+    schemaChange.textContent = report.ok
+      ? report.schemaChange
+      : `${report.schemaChange} (not undone)`;
+    container.appendChild(schemaChange);
+  }
+
+  if (report.error) {
+    const error = document.createElement("div");
+    error.classList.add("error");
+    error.textContent = report.error;
+    container.appendChild(error);
+  }
+
+  for (const [storeName, counts] of Object.entries(report.stores)) {
+    const line = document.createElement("div");
+    line.textContent = [
+      `${storeName}: ${counts.written} of ${counts.expected} records written,`,
+      counts.found === null ? "not committed" : `${counts.found} in the store`,
+    ].join(" ");
+    container.appendChild(line);
+  }
+
+  container.classList.remove("hidden");
+}
+
+/* Show how far a streamed snapshot or restore has got, or hide the
+   progress bar when `progress` is null. See `setProgress` in the
+   background script.
+ */
+function showProgress(progress) {
+  const container = document.querySelector("#progress");
+  if (!progress) {
+    container.classList.add("hidden");
+    return;
+  }
+
+  const verb = progress.task === "restore" ? "Restoring" : "Snapshotting";
+  const label = container.querySelector("#progress-label");
+  label.textContent =
+    `${verb} ${progress.dbName}: ${progress.done} of ${progress.total} records`;
+  const bar = container.querySelector("progress");
+  bar.max = Math.max(progress.total, 1);
+  bar.value = Math.min(progress.done, bar.max);
+  container.classList.remove("hidden");
+}
+
 
 /* Perform all the actual page setup, managing the order of async
    effects.
@@ -355,30 +939,46 @@ function setup() {
     return await dbConnect();
   }
 
-  function setupContentScriptHandlers() {
-    return browser
-      .tabs
-      .executeScript({ file: "/content_scripts/install_message_handlers.js" })
-  }
-
   function setupPageDbs() {
+    // Also installs the content script's handlers in each frame.
     return refreshDisplayDBs();
   }
 
   async function setupPopup() {
     installPopupMessageHandlers();
+    setupRecordViewer();
+    setupSeedGenerator();
+    setupDiffViewer();
+    setupSnapshotFilters(displaySnapshotRows);
+    const { progress } = await browser.storage.local.get("progress");
+    showProgress(progress);
 
     // Requires Content Script Handlers set up.
     const origin = await getPageOrigin();
-    const snapshotMetadata = await getSnapshotMetadata(origin);
-    displaySnapshots(origin, snapshotMetadata);
-    setupOnclickHandlers(origin);
+    await showOriginSnapshots(origin);
+    setupSettings(origin);
+  }
+
+  /* The devtools panel stays open while the inspected tab navigates,
+     so the new page's databases and snapshots are read again.
+   */
+  function setupDevtools() {
+    if (!inDevtools()) {
+      return;
+    }
+    document.body.classList.add("devtools");
+    browser.devtools.network.onNavigated.addListener(async () => {
+      await refreshDisplayDBs();
+      const origin = await getPageOrigin();
+      await showOriginSnapshots(origin);
+      setupSettings(origin);
+    });
   }
 
   return setupExtensionDb()
-    .then(setupContentScriptHandlers)
     .then(setupPageDbs)
-    .then(setupPopup);
+    .then(setupPopup)
+    .then(setupDevtools);
 }
 
 setup();
@@ -0,0 +1,219 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Seed generator - add generated records to one of the page's stores,
+   see modules/seedData.js. Each store's generator is saved in the
+   settings under the page's origin, so it can be run again. Its
+   `offset` counts the records of earlier runs, so their `$seq` keys
+   and random values aren't generated again.
+ */
+
+import { sendContentScriptMessage } from '../modules/core.js';
+import { defaultTemplate, pinDates } from '../modules/seedData.js';
+import { getSettings, saveSettings } from '../modules/settings.js';
+import { formatKey, renderValueTree } from './valueTree.js';
+
+const PREVIEW_RECORDS = 5;
+const DEFAULT_COUNT = 100;
+
+/* The store the generator is open for */
+const seeder = {
+  // The store's summary, see /content_scripts/read_dbs.js
+  summary: null,
+  // The frame of the tab the database is in, and its origin, see
+  // popup/frames.js
+  frameId: 0,
+  origin: null,
+  // The number of records the saved generator has added
+  offset: 0,
+};
+
+/* Show the generator for a store, with the generator saved for it or
+   a template made from its schema.
+ */
+export async function openSeedGenerator(summary, frameId, origin) {
+  seeder.summary = summary;
+  seeder.frameId = frameId;
+  seeder.origin = origin;
+
+  document.querySelector("#seed-generator-title").textContent =
+    `Seed data: ${summary.name} / ${summary.store}`;
+  const { seedGenerators } = await getSettings();
+  const saved = seedGenerators[origin]?.[summary.name]?.[summary.store];
+  seeder.offset = saved?.offset ?? 0;
+  document.querySelector("#seed-count").value = saved?.count ?? DEFAULT_COUNT;
+  document.querySelector("#seed-random").value = saved?.seed ?? "";
+  showTemplate(saved?.template ?? defaultTemplate(summary));
+  document.querySelector("#seed-key-template").value = JSON.stringify(
+    saved?.keyTemplate ?? { $seq: { start: 1 } }
+  );
+  document.querySelector("#seed-key-row")
+    .classList.toggle("hidden", !needsKeyTemplate(summary));
+
+  clearPreview();
+  setStatus("");
+  const container = document.querySelector("#seed-generator");
+  container.classList.remove("hidden");
+  container.scrollIntoView();
+}
+
+export function setupSeedGenerator() {
+  document.querySelector("#button-seed-preview").onclick = preview;
+  document.querySelector("#button-seed-run").onclick = run;
+  document.querySelector("#button-seed-reset").onclick = () => {
+    showTemplate(defaultTemplate(seeder.summary));
+  };
+  document.querySelector("#button-seed-close").onclick = () => {
+    seeder.summary = null;
+    document.querySelector("#seed-generator").classList.add("hidden");
+  };
+}
+
+/* Stores without a keyPath or key generator are given their keys */
+function needsKeyTemplate(summary) {
+  return summary.keyPath === null && !summary.autoIncrement;
+}
+
+function showTemplate(template) {
+  document.querySelector("#seed-template").value =
+    JSON.stringify(template, null, 2);
+}
+
+function setStatus(text, isError) {
+  const status = document.querySelector("#seed-status");
+  status.textContent = text;
+  status.classList.toggle("error", !!isError);
+}
+
+function clearPreview() {
+  const container = document.querySelector("#seed-preview");
+  while (container.firstChild) {
+    container.removeChild(container.firstChild);
+  }
+}
+
+function parseTemplate(selector, name) {
+  try {
+    return JSON.parse(document.querySelector(selector).value);
+  } catch (error) {
+    throw new Error(`Invalid ${name}, expected JSON: ${error.message}`);
+  }
+}
+
+/* Read the form into a generator: `{count, template, keyTemplate,
+   seed}`. Throws an Error if something can't be read.
+ */
+function readGenerator() {
+  const count = Number(document.querySelector("#seed-count").value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error("The number of records must be a positive integer.");
+  }
+  const seedText = document.querySelector("#seed-random").value.trim();
+  const seed = seedText === "" ? null : Number(seedText);
+  if (seed !== null && !Number.isInteger(seed)) {
+    throw new Error("The random seed must be an integer, or empty.");
+  }
+  const template = parseTemplate("#seed-template", "template");
+  const keyTemplate = needsKeyTemplate(seeder.summary)
+    ? parseTemplate("#seed-key-template", "key template")
+    : null;
+  return { count, template, keyTemplate, seed };
+}
+
+function seedMessage(generator) {
+  return {
+    command: "seed-store",
+    dbName: seeder.summary.name,
+    storeName: seeder.summary.store,
+    offset: seeder.offset,
+    ...generator,
+  };
+}
+
+async function preview() {
+  clearPreview();
+  let records;
+  try {
+    records = await sendContentScriptMessage({
+      ...seedMessage(readGenerator()), preview: PREVIEW_RECORDS
+    }, seeder.frameId);
+  } catch (error) {
+    setStatus(error.message ?? `${error}`, true);
+    return;
+  }
+  setStatus(`The first ${records.length} records:`);
+  const container = document.querySelector("#seed-preview");
+  records.forEach(([key, value], i) => {
+    container.appendChild(renderValueTree(
+      value, key === undefined ? `record ${i + 1}` : formatKey(key)
+    ));
+  });
+}
+
+/* Save the generator for the store, then run it.
+
+   The offset is moved past this run's records before it starts, so a
+   run that fails part way leaves a gap in the numbers rather than
+   clashing with the records it did add the next time.
+ */
+async function run() {
+  clearPreview();
+  let generator;
+  try {
+    generator = readGenerator();
+  } catch (error) {
+    setStatus(error.message, true);
+    return;
+  }
+  generator.template = pinDates(generator.template);
+  showTemplate(generator.template);
+  if (generator.keyTemplate) {
+    generator.keyTemplate = pinDates(generator.keyTemplate);
+    document.querySelector("#seed-key-template").value =
+      JSON.stringify(generator.keyTemplate);
+  }
+  const message = seedMessage(generator);
+  seeder.offset += generator.count;
+  await saveGenerator({ ...generator, offset: seeder.offset });
+
+  setStatus(`Adding ${generator.count} records…`);
+  try {
+    const added = await sendContentScriptMessage(message, seeder.frameId);
+    setStatus(`Added ${added} records to ${seeder.summary.store}.`);
+  } catch (error) {
+    setStatus(error.message ?? `${error}`, true);
+  }
+}
+
+async function saveGenerator(generator) {
+  const { origin, summary } = seeder;
+  const settings = await getSettings();
+  const originGenerators = settings.seedGenerators[origin] ?? {};
+  settings.seedGenerators = {
+    ...settings.seedGenerators,
+    [origin]: {
+      ...originGenerators,
+      [summary.name]: {
+        ...originGenerators[summary.name],
+        [summary.store]: generator,
+      },
+    },
+  };
+  await saveSettings(settings);
+}
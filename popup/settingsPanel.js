@@ -0,0 +1,218 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Settings panel - automatic snapshots before destructive actions,
+   periodic snapshots of the current origin, how long automatic
+   snapshots are kept, and the current origin's redaction rules. See
+   modules/settings.js.
+ */
+
+import { inDevtools, requestOriginAccess } from '../modules/core.js';
+import { newRedaction } from '../modules/redaction.js';
+import {
+  getSettings, originPattern, saveSettings
+} from '../modules/settings.js';
+import { readRedactionRules, showRedactionRules } from './redactionRules.js';
+
+export function setupSettings(origin) {
+  const details = document.querySelector("#settings");
+  details.ontoggle = () => {
+    if (details.open) {
+      showSettings(origin);
+    }
+  };
+  document.querySelector("#button-save-settings").onclick = () => {
+    onSave(origin);
+  };
+}
+
+/* Only sites can be given periodic snapshots or have their upgrades
+   watched, they need a host permission for the site.
+ */
+function canSchedule(origin) {
+  return origin.startsWith("http://") || origin.startsWith("https://");
+}
+
+function setStatus(text, isError) {
+  const node = document.querySelector("#settings-status");
+  node.textContent = text;
+  node.classList.toggle("error", !!isError);
+}
+
+async function showSettings(origin) {
+  const settings = await getSettings();
+  const { keepLast, maxAgeDays } = settings.retention;
+  const periodic = settings.periodic[origin];
+
+  document.querySelector("#setting-before-destructive").checked =
+    settings.snapshotBeforeDestructive;
+  document.querySelector("#setting-keep-last").value = keepLast ?? "";
+  document.querySelector("#setting-max-age").value = maxAgeDays ?? "";
+  document.querySelector("#setting-compress-snapshots").checked =
+    settings.compressSnapshots;
+  document.querySelector("#setting-compress-exports").checked =
+    settings.compressExports;
+
+  document.querySelector("#setting-watch-upgrades").checked =
+    settings.watchUpgrades.includes(origin);
+  document.querySelector("#setting-watch-upgrades").disabled =
+    !canSchedule(origin);
+  document.querySelector("#setting-periodic-origin").textContent = origin;
+  document.querySelector("#setting-periodic").checked = !!periodic;
+  document.querySelector("#setting-periodic").disabled = !canSchedule(origin);
+  document.querySelector("#setting-periodic-interval").value =
+    periodic?.intervalMinutes ?? 60;
+
+  // The page's databases, and any chosen before that no longer exist.
+  // Periodic snapshots only reach the page, not its frames.
+  const pageDbNames = [...document.querySelectorAll(".store-select")]
+    .filter(checkbox => checkbox.dataset.frameId === "0")
+    .map(checkbox => checkbox.dataset.dbName);
+  const dbNames = [...new Set([...pageDbNames, ...periodic?.dbNames ?? []])];
+  const container = document.querySelector("#setting-periodic-dbs");
+  while (container.firstChild) {
+    container.removeChild(container.firstChild);
+  }
+  for (const dbName of dbNames) {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.classList.add("periodic-db");
+    checkbox.value = dbName;
+    checkbox.checked = periodic?.dbNames.includes(dbName) ?? false;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${dbName} `));
+    container.appendChild(label);
+  }
+
+  document.querySelector("#setting-redaction-origin").textContent = origin;
+  showRedactionRules(
+    settings.redaction[origin],
+    [...document.querySelectorAll(".store-select")]
+      .map(checkbox => checkbox.dataset.storeName)
+  );
+  setStatus("");
+}
+
+function onSave(origin) {
+  const form = readForm();
+  if (!form) {
+    return;
+  }
+  // Permissions can only be requested straight from a click, before
+  // anything is awaited, so the form is checked first.
+  const { periodicOn, watchOn } = form;
+  const permitted = periodicOn || watchOn
+    ? requestOriginAccess([originPattern(origin)])
+    : Promise.resolve(true);
+  saveFromForm(origin, form, permitted);
+}
+
+/* A count from a number input, null when it's left empty */
+function readLimit(id) {
+  const value = document.querySelector(id).value.trim();
+  if (value === "") {
+    return null;
+  }
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) && number >= 0 ? number : undefined;
+}
+
+/* Read and check the settings form. Returns its values, or null after
+   showing what's wrong.
+ */
+function readForm() {
+  const periodicOn = document.querySelector("#setting-periodic").checked;
+  const watchOn = document.querySelector("#setting-watch-upgrades").checked;
+  const keepLast = readLimit("#setting-keep-last");
+  const maxAgeDays = readLimit("#setting-max-age");
+  const intervalMinutes = readLimit("#setting-periodic-interval");
+  const dbNames = [...document.querySelectorAll(".periodic-db")]
+    .filter(checkbox => checkbox.checked)
+    .map(checkbox => checkbox.value);
+
+  if (keepLast === undefined || maxAgeDays === undefined) {
+    setStatus("Retention limits must be positive numbers, or empty.", true);
+    return null;
+  }
+  if (periodicOn && !(intervalMinutes >= 1)) {
+    setStatus("The snapshot interval must be at least 1 minute.", true);
+    return null;
+  }
+  if (periodicOn && dbNames.length === 0) {
+    setStatus("Choose at least one database to snapshot.", true);
+    return null;
+  }
+  let rules;
+  try {
+    rules = readRedactionRules();
+  } catch (error) {
+    setStatus(error.message, true);
+    return null;
+  }
+  return {
+    periodicOn, watchOn, keepLast, maxAgeDays, intervalMinutes, dbNames,
+    rules,
+  };
+}
+
+async function saveFromForm(origin, form, permitted) {
+  const {
+    periodicOn, watchOn, keepLast, maxAgeDays, intervalMinutes, dbNames,
+    rules,
+  } = form;
+  if (!(await permitted.catch(() => false))) {
+    setStatus([
+      `Automatic snapshots of ${origin} need permission to access it.`,
+      inDevtools() ? "Grant it from the toolbar popup." : "",
+    ].join(" "), true);
+    return;
+  }
+
+  const settings = await getSettings();
+  settings.snapshotBeforeDestructive =
+    document.querySelector("#setting-before-destructive").checked;
+  settings.retention = { keepLast, maxAgeDays };
+  settings.compressSnapshots =
+    document.querySelector("#setting-compress-snapshots").checked;
+  settings.compressExports =
+    document.querySelector("#setting-compress-exports").checked;
+  const periodic = { ...settings.periodic };
+  if (periodicOn) {
+    periodic[origin] = { intervalMinutes, dbNames };
+  } else {
+    delete periodic[origin];
+  }
+  settings.periodic = periodic;
+  settings.watchUpgrades = settings.watchUpgrades
+    .filter(watched => watched !== origin)
+    .concat(watchOn ? [origin] : []);
+  // The salt is kept while there are rules, so hashes stay the same.
+  const redaction = { ...settings.redaction };
+  if (rules.length > 0) {
+    const { salt } = redaction[origin] ?? newRedaction();
+    redaction[origin] = { salt, rules };
+  } else {
+    delete redaction[origin];
+  }
+  settings.redaction = redaction;
+
+  await saveSettings(settings);
+  setStatus("Settings saved.");
+}
@@ -0,0 +1,225 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Snapshot labels - give snapshots a name, notes and tags, and filter
+   the snapshot table by them.
+ */
+
+import {
+  normalizeLabels, snapshotKeysWithTag, updateSnapshotLabels
+} from '../modules/snapshots.js';
+
+/* Take the labels entered for the next snapshot, clearing the form
+   for the one after.
+ */
+export function takeNextSnapshotLabels() {
+  const nameInput = document.querySelector("#next-snapshot-name");
+  const tagsInput = document.querySelector("#next-snapshot-tags");
+  const notesInput = document.querySelector("#next-snapshot-notes");
+  const labels = normalizeLabels({
+    name: nameInput.value,
+    notes: notesInput.value,
+    tags: tagsInput.value,
+  });
+  nameInput.value = "";
+  tagsInput.value = "";
+  notesInput.value = "";
+  return labels;
+}
+
+/* Take the passphrase entered to encrypt the next snapshot with, or
+   null for none, clearing it for the one after.
+ */
+export function takeNextSnapshotPassphrase() {
+  const input = document.querySelector("#next-snapshot-passphrase");
+  const passphrase = input.value;
+  input.value = "";
+  return passphrase === "" ? null : passphrase;
+}
+
+/* Show a snapshot's name, tags and notes, with an edit button that
+   swaps them for a form. `onSaved` is called with the updated
+   metadata once the new labels are stored.
+ */
+export function snapshotLabels(inside, snap, onSaved) {
+  const view = document.createElement("div");
+  view.classList.add("snapshot-labels");
+
+  if (snap.name) {
+    const name = document.createElement("div");
+    name.classList.add("snapshot-name");
+    name.appendChild(document.createTextNode(snap.name));
+    view.appendChild(name);
+  }
+  if (snap.tags?.length > 0) {
+    const tags = document.createElement("div");
+    for (const tag of snap.tags) {
+      const span = document.createElement("span");
+      span.classList.add("snapshot-tag");
+      span.appendChild(document.createTextNode(tag));
+      tags.appendChild(span);
+    }
+    view.appendChild(tags);
+  }
+  if (snap.notes) {
+    const notes = document.createElement("div");
+    notes.classList.add("snapshot-notes");
+    notes.appendChild(document.createTextNode(snap.notes));
+    view.appendChild(notes);
+  }
+
+  const editButton = document.createElement("button");
+  editButton.appendChild(document.createTextNode("edit labels"));
+  view.appendChild(editButton);
+
+  const form = labelForm(snap, async (labels) => {
+    try {
+      const updated = await updateSnapshotLabels(snap.id, labels);
+      onSaved(updated);
+    } catch (error) {
+      console.log(error);
+      alert(`Couldn't save the labels: ${error.message ?? error}`);
+    }
+  }, () => {
+    form.classList.add("hidden");
+    view.classList.remove("hidden");
+  });
+  form.classList.add("hidden");
+
+  editButton.onclick = () => {
+    view.classList.add("hidden");
+    form.classList.remove("hidden");
+  };
+
+  inside.appendChild(view);
+  inside.appendChild(form);
+}
+
+function labelForm(snap, onSave, onCancel) {
+  const form = document.createElement("div");
+  form.classList.add("snapshot-label-form");
+
+  const name = document.createElement("input");
+  name.type = "text";
+  name.placeholder = "name";
+  name.value = snap.name ?? "";
+
+  const tags = document.createElement("input");
+  tags.type = "text";
+  tags.placeholder = "tags, comma separated";
+  tags.value = (snap.tags ?? []).join(", ");
+
+  const notes = document.createElement("textarea");
+  notes.placeholder = "notes";
+  notes.value = snap.notes ?? "";
+
+  const save = document.createElement("button");
+  save.appendChild(document.createTextNode("save"));
+  save.onclick = () => onSave({
+    name: name.value, notes: notes.value, tags: tags.value
+  });
+
+  const cancel = document.createElement("button");
+  cancel.appendChild(document.createTextNode("cancel"));
+  cancel.onclick = onCancel;
+
+  for (const node of [name, tags, notes, save, cancel]) {
+    form.appendChild(node);
+  }
+  return form;
+}
+
+/* Call `onChange` whenever a snapshot filter changes */
+export function setupSnapshotFilters(onChange) {
+  const filters = document.querySelectorAll(
+    "#snapshot-filters input, #snapshot-filters select"
+  );
+  for (const filter of filters) {
+    filter.oninput = onChange;
+  }
+  document.querySelector("#button-clear-snapshot-filters").onclick = () => {
+    for (const filter of filters) {
+      filter.value = "";
+    }
+    onChange();
+  };
+}
+
+/* Offer the tags and database names of `snapshots` in the filter
+   selects, keeping the current selection where possible.
+ */
+export function updateFilterChoices(snapshots) {
+  const tags = new Set(snapshots.flatMap(snap => snap.tags ?? []));
+  const dbNames = new Set(snapshots.map(snap => snap.dbName));
+  fillSelect(
+    document.querySelector("#snapshot-filter-tag"), "any tag", [...tags].sort()
+  );
+  fillSelect(
+    document.querySelector("#snapshot-filter-db"),
+    "any database",
+    [...dbNames].sort()
+  );
+}
+
+function fillSelect(select, anyText, values) {
+  const selected = select.value;
+  while (select.firstChild) {
+    select.removeChild(select.firstChild);
+  }
+  for (const [value, text] of [["", anyText], ...values.map(v => [v, v])]) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.appendChild(document.createTextNode(text));
+    select.appendChild(option);
+  }
+  select.value = values.includes(selected) ? selected : "";
+}
+
+/* The snapshots matching the current filters: a tag, database name,
+   version, a range of dates taken (inclusive, in local time) and
+   text to find in the name or notes.
+
+   Resolves to the matching snapshots, in the same order. The tag is
+   looked up with the by_tag index, the rest are checked in memory.
+ */
+export async function filterSnapshots(snapshots) {
+  const value = (id) => document.querySelector(id).value;
+  const tag = value("#snapshot-filter-tag");
+  const dbName = value("#snapshot-filter-db");
+  const version = value("#snapshot-filter-version");
+  const from = value("#snapshot-filter-from");
+  const to = value("#snapshot-filter-to");
+  const text = value("#snapshot-filter-text").trim().toLowerCase();
+
+  // Date inputs give "YYYY-MM-DD", without a time they're read as UTC.
+  const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+  const tagged = tag ? new Set(await snapshotKeysWithTag(tag)) : null;
+
+  return snapshots.filter(snap =>
+    (!tagged || tagged.has(snap.id)) &&
+    (!dbName || snap.dbName === dbName) &&
+    (!version || String(snap.dbVersion) === version.trim()) &&
+    snap.created >= fromTime &&
+    snap.created <= toTime &&
+    (!text || [snap.name, snap.notes]
+      .some(field => field?.toLowerCase().includes(text)))
+  );
+}
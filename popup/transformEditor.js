@@ -0,0 +1,169 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Transform editor - write a transform to run over a snapshot's
+   records before restoring it, and preview its output. See
+   modules/transform.js.
+ */
+
+import { getSnapshot } from '../modules/snapshots.js';
+import { askPassphrase } from './passphrase.js';
+import {
+  applyTransform, compileTransform, TRANSFORM_KINDS
+} from '../modules/transform.js';
+import { formatKey, renderValueTree } from './valueTree.js';
+
+/* How many records of each store are shown before and after */
+const PREVIEW_RECORDS = 5;
+
+const PLACEHOLDERS = {
+  record: [
+    "// value, context: {storeName, key, emit}",
+    "// return the new value, or null to drop the record",
+    "value.fullName = `${value.first} ${value.last}`;",
+    "return value;",
+  ].join("\n"),
+  store: [
+    "// records: [{key, value}], context: {storeName, emit}",
+    "// return the records to keep",
+    "return records.filter(({value}) => !value.deleted);",
+  ].join("\n"),
+};
+
+/* A collapsed editor for a snapshot's restore transform.
+   `selectedStores()` gives the stores that will be restored.
+
+   Returns `{node, value}`, where `value()` gives the transform to
+   pass along with the restore, or null if none was written.
+ */
+export function transformChoice(snap, selectedStores) {
+  const details = document.createElement("details");
+  details.classList.add("transform-editor");
+  const summary = document.createElement("summary");
+  summary.appendChild(document.createTextNode("transform"));
+  details.appendChild(summary);
+
+  const kindSelect = document.createElement("select");
+  for (const [kind, text] of Object.entries(TRANSFORM_KINDS)) {
+    const option = document.createElement("option");
+    option.value = kind;
+    option.appendChild(document.createTextNode(text));
+    kindSelect.appendChild(option);
+  }
+  const source = document.createElement("textarea");
+  source.rows = 6;
+  source.placeholder = PLACEHOLDERS.record;
+  kindSelect.onchange = () => {
+    source.placeholder = PLACEHOLDERS[kindSelect.value];
+  };
+
+  const previewButton = document.createElement("button");
+  previewButton.appendChild(document.createTextNode("preview"));
+  const preview = document.createElement("div");
+  preview.classList.add("transform-preview");
+
+  function value() {
+    if (source.value.trim() === "") {
+      return null;
+    }
+    return { kind: kindSelect.value, source: source.value };
+  }
+
+  previewButton.onclick = async () => {
+    const transform = value();
+    if (transform && await askPassphrase(snap) !== null) {
+      showPreview(preview, snap, selectedStores(), transform);
+    }
+  };
+
+  details.appendChild(kindSelect);
+  details.appendChild(source);
+  details.appendChild(previewButton);
+  details.appendChild(preview);
+  return { node: details, value };
+}
+
+/* Check a transform compiles, so syntax errors are shown before a
+   restore starts. Returns the error message, or null.
+ */
+export function transformError(transform) {
+  try {
+    compileTransform(transform);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+async function showPreview(container, snap, stores, transform) {
+  while (container.firstChild) {
+    container.removeChild(container.firstChild);
+  }
+  container.textContent = "Transforming…";
+
+  let before;
+  let after;
+  try {
+    const snapshot = await getSnapshot(snap.id);
+    before = {};
+    for (const storeName of stores) {
+      before[storeName] = snapshot.snapshot[storeName];
+    }
+    after = await applyTransform(transform, before);
+  } catch (error) {
+    container.textContent = `${error.message ?? error}`;
+    container.classList.add("error");
+    return;
+  }
+  container.textContent = "";
+  container.classList.remove("error");
+
+  for (const [storeName, records] of Object.entries(after)) {
+    const heading = document.createElement("h3");
+    const count = before[storeName]?.length ?? 0;
+    heading.appendChild(document.createTextNode(
+      `${storeName}: ${count} → ${records.length} records`
+    ));
+    container.appendChild(heading);
+    container.appendChild(previewColumns(
+      (before[storeName] ?? []).slice(0, PREVIEW_RECORDS),
+      records.slice(0, PREVIEW_RECORDS)
+    ));
+  }
+}
+
+function previewColumns(beforeRecords, afterRecords) {
+  const columns = document.createElement("div");
+  columns.classList.add("transform-columns");
+  for (const [title, records] of [["before", beforeRecords],
+                                  ["after", afterRecords]]) {
+    const column = document.createElement("div");
+    const label = document.createElement("div");
+    label.classList.add("tree-label");
+    label.appendChild(document.createTextNode(title));
+    column.appendChild(label);
+    for (const [key, value] of records) {
+      column.appendChild(renderValueTree(
+        value, key === undefined ? "(new key)" : formatKey(key)
+      ));
+    }
+    columns.appendChild(column);
+  }
+  return columns;
+}
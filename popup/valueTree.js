@@ -0,0 +1,171 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Value tree - render any value that can be stored in IndexedDB as an
+   expandable tree of DOM nodes, for viewing records and keys.
+ */
+
+/* How many bytes of binary data to show before truncating */
+const BINARY_PREVIEW_BYTES = 32;
+
+/* A short, single line description of a key, e.g. `"abc"`, `42`,
+   `Date(2025-10-01T00:00:00.000Z)` or `["a", 1]`.
+ */
+export function formatKey(key) {
+  if (typeof key === "string") {
+    return JSON.stringify(key);
+  }
+  if (key instanceof Date) {
+    return `Date(${isNaN(key) ? "Invalid" : key.toISOString()})`;
+  }
+  if (Array.isArray(key)) {
+    return `[${key.map(formatKey).join(", ")}]`;
+  }
+  if (key instanceof ArrayBuffer || ArrayBuffer.isView(key)) {
+    return formatBinary(key);
+  }
+  return String(key);
+}
+
+/* Render `value` as a tree. Objects, arrays, Maps and Sets become
+   collapsible `<details>` elements, everything else a single line.
+   `label` (optional) is shown in front of the value.
+ */
+export function renderValueTree(value, label) {
+  const children = childEntries(value);
+  if (children === null) {
+    const line = document.createElement("div");
+    line.classList.add("tree-leaf");
+    if (label !== undefined) {
+      line.appendChild(labelNode(label));
+    }
+    const valueNode = document.createElement("span");
+    valueNode.classList.add(`tree-${valueType(value)}`);
+    valueNode.appendChild(document.createTextNode(formatLeaf(value)));
+    line.appendChild(valueNode);
+    return line;
+  }
+
+  const details = document.createElement("details");
+  const summary = document.createElement("summary");
+  if (label !== undefined) {
+    summary.appendChild(labelNode(label));
+  }
+  summary.appendChild(document.createTextNode(
+    `${containerName(value)}(${children.length})`
+  ));
+  details.appendChild(summary);
+
+  /* Children are only rendered once expanded, records can be large */
+  details.ontoggle = () => {
+    if (!details.open || details.childNodes.length > 1) {
+      return;
+    }
+    const list = document.createElement("div");
+    list.classList.add("tree-children");
+    for (const [childLabel, childValue] of children) {
+      list.appendChild(renderValueTree(childValue, childLabel));
+    }
+    details.appendChild(list);
+  };
+  return details;
+}
+
+function labelNode(label) {
+  const node = document.createElement("span");
+  node.classList.add("tree-label");
+  node.appendChild(document.createTextNode(`${label}: `));
+  return node;
+}
+
+/* The `[label, value]` children of a container, or null for values
+   that are shown on a single line.
+ */
+function childEntries(value) {
+  if (Array.isArray(value)) {
+    return Object.keys(value).map(k => [k, value[k]]);
+  }
+  if (value instanceof Map) {
+    return [...value].map(([k, v]) => [formatKey(k), v]);
+  }
+  if (value instanceof Set) {
+    return [...value].map((v, i) => [i, v]);
+  }
+  if (typeof value === "object" && value !== null && isPlainObject(value)) {
+    return Object.entries(value);
+  }
+  return null;
+}
+
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function containerName(value) {
+  if (Array.isArray(value)) {
+    return "Array";
+  }
+  if (value instanceof Map) {
+    return "Map";
+  }
+  if (value instanceof Set) {
+    return "Set";
+  }
+  return "Object";
+}
+
+function valueType(value) {
+  return value === null ? "null" : typeof value;
+}
+
+function formatLeaf(value) {
+  if (typeof value === "bigint") {
+    return `${value}n`;
+  }
+  if (value instanceof File) {
+    return `File(${JSON.stringify(value.name)}, ${value.type || "no type"}, ` +
+      `${value.size} bytes)`;
+  }
+  if (value instanceof Blob) {
+    return `Blob(${value.type || "no type"}, ${value.size} bytes)`;
+  }
+  if (value instanceof RegExp || value instanceof Error) {
+    return String(value);
+  }
+  if (typeof value === "object" && value !== null &&
+      !(value instanceof Date) && !(value instanceof ArrayBuffer) &&
+      !ArrayBuffer.isView(value)) {
+    const type = Object.prototype.toString.call(value).slice(8, -1);
+    return `${type}(${String(value.valueOf())})`;
+  }
+  return formatKey(value);
+}
+
+function formatBinary(binary) {
+  const bytes = binary instanceof ArrayBuffer
+    ? new Uint8Array(binary)
+    : new Uint8Array(binary.buffer, binary.byteOffset, binary.byteLength);
+  const preview = [...bytes.subarray(0, BINARY_PREVIEW_BYTES)]
+    .map(b => b.toString(16).padStart(2, "0"))
+    .join(" ");
+  const more = bytes.length > BINARY_PREVIEW_BYTES ? " …" : "";
+  const type = Object.prototype.toString.call(binary).slice(8, -1);
+  return `${type}(${binary.byteLength} bytes)<${preview}${more}>`;
+}
@@ -0,0 +1,152 @@
+/*
+IndexedDB-Utils - A browser extension to simplify indexedDB management tasks
+
+Copyright (C) 2025 Erik Swanson
+
+This program is free software: you can redistribute it and/or modify
+it under the terms of the GNU General Public License as published by
+the Free Software Foundation, either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU General Public License for more details.
+
+You should have received a copy of the GNU General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* Restore transforms and the interpreter running them, see
+   modules/transform.js. Run with `node --test tests/`.
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { compileFunction, withTimeLimit } from '../modules/interpreter.js';
+import { applyTransform, compileTransform } from '../modules/transform.js';
+
+test("a record transform compiles and runs", async () => {
+  const transform = {
+    kind: "record",
+    source: [
+      "if (value.deleted) return null;",
+      "value.fullName = `${value.first} ${value.last}`;",
+      "context.emit('names', { name: value.fullName });",
+      "return value;",
+    ].join("\n"),
+  };
+  const records = {
+    people: [
+      [1, { first: "Ada", last: "Lovelace" }],
+      [2, { first: "Old", last: "Record", deleted: true }],
+    ],
+  };
+  assert.deepEqual(await applyTransform(transform, records), {
+    people: [[1, { first: "Ada", last: "Lovelace", fullName: "Ada Lovelace" }]],
+    names: [[undefined, { name: "Ada Lovelace" }]],
+  });
+  // The transform had its own copy of the records.
+  assert.equal(records.people[0][1].fullName, undefined);
+});
+
+test("a store transform compiles and runs", async () => {
+  const transform = {
+    kind: "store",
+    source: [
+      "const byId = new Map();",
+      "for (const { key, value: { tags = [], ...rest } } of records) {",
+      "  byId.set(key, { ...rest, tagCount: tags.length });",
+      "}",
+      "return [...byId].map(([key, value]) => ({ key, value }))",
+      "  .filter(({ value }) => value.tagCount > 0);",
+    ].join("\n"),
+  };
+  const output = await applyTransform(transform, {
+    items: [["a", { tags: ["x", "y"] }], ["b", { name: "b" }]],
+  });
+  assert.deepEqual(output, { items: [["a", { tagCount: 2 }]] });
+});
+
+test("syntax errors say where they are", () => {
+  assert.throws(
+    () => compileTransform({ kind: "record", source: "return value +;" }),
+    /Unexpected ";" \(line 1, column 15\)/
+  );
+  assert.throws(
+    () => compileTransform({ kind: "record", source: "let a = `${1`" }),
+    /Unterminated/
+  );
+});
+
+test("transforms report the record they failed on", async () => {
+  const transform = { kind: "record", source: "return value.a.b;" };
+  await assert.rejects(
+    applyTransform(transform, { s: [[7, {}]] }),
+    /Transform failed on s record 7: TypeError: Cannot read properties/
+  );
+});
+
+test("transforms can't reach constructors or prototypes", () => {
+  for (const source of [
+    "return value.constructor",
+    "return records.map.constructor('return 1')()",
+    "value.__proto__ = {}",
+    "return this",
+    "return browser",
+  ]) {
+    assert.throws(
+      () => compileFunction(["value", "records"], source)({}, []),
+      undefined, source
+    );
+  }
+});
+
+test("the interpreter follows JavaScript's rules", () => {
+  const run = source => compileFunction([], source)();
+  assert.deepEqual(
+    run("const fs = []; for (let i = 0; i < 3; i++) fs.push(() => i);" +
+        "return fs.map(f => f())"),
+    [0, 1, 2]
+  );
+  assert.deepEqual(
+    run("const {a, b: [c, , d = 4], ...rest} = {a: 1, b: [2, 3], e: 5};" +
+        "return [a, c, d, rest]"),
+    [1, 2, 4, { e: 5 }]
+  );
+  assert.deepEqual(
+    run("const o = {x: {y: null}};" +
+        "return [o?.x?.y?.z, o.q?.r.s, o.x.y ?? 'd', o.f?.()]"),
+    [undefined, undefined, "d", undefined]
+  );
+  assert.equal(
+    run("switch (3) { case 1: return 'a'; case 3: case 4: var r = 'b';" +
+        "break; default: r = 'c' } return r"),
+    "b"
+  );
+  assert.equal(
+    run("function fact(n) { return n <= 1 ? 1 : n * fact(n - 1) }" +
+        "return fact(5)"),
+    120
+  );
+  assert.equal(
+    run("let s = ''; try { null.x } catch ({ name }) { s += name }" +
+        "finally { s += '!' } return s"),
+    "TypeError!"
+  );
+  assert.equal(run("let x = 1\nx\n++\nx\nreturn x"), 2);
+  assert.equal(
+    run("return /a(b+)/i.exec('xABB')[1] + 0x1f + 1_000"), "BB311000"
+  );
+  assert.equal(run("let a = [1], i = 0; a[i++]++; return a[0] + i"), 3);
+});
+
+test("a transform that doesn't finish is stopped", () => {
+  const fn = compileFunction(
+    [], "while (true) { try { for (;;) {} } catch (e) {} finally {} }"
+  );
+  assert.throws(
+    () => withTimeLimit(50, fn), /Stopped after running for 0.05 seconds/
+  );
+});